@@ -0,0 +1,427 @@
+// monitor_catsky.js — CATSKY price, liquidity and wallet monitor (Mainnet)
+//
+//   npm run check    - One-shot report
+//   npm run monitor  - Continuous monitoring with threshold alerts
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import cron from "node-cron";
+import chalk from "chalk";
+import Table from "cli-table3";
+import { Asset, NetworkId } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "./src/dex/unified-dex-interface.js";
+import { createDatabase } from "./src/utils/database.js";
+import { initializeWallet, getWalletBalances } from "./src/utils/wallet.js";
+import { CONFIG } from "./src/config/index.js";
+
+const CATSKY_TOKEN = CONFIG.SUPPORTED_TOKENS.CATSKY;
+const PAIR = `ADA/${CATSKY_TOKEN.symbol}`;
+const ONE_HOUR = 60 * 60 * 1000;
+const ONE_DAY = 24 * ONE_HOUR;
+
+// The monitor's own samples; price_history belongs to the main bot's PriceMonitor
+const SAMPLE_TABLE = 'monitor_samples';
+
+export class CatskyMonitor {
+  constructor(options = {}) {
+    this.dexInterface = null;
+    this.database = createDatabase();
+    this.lucid = null;
+    this.walletAddress = null;
+    this.cronJob = null;
+    this.isRunning = false;
+    this.lastPrices = new Map(); // dex -> price from the previous check
+    this.lastAlerts = new Map(); // alert key -> timestamp
+    this.checkCount = 0;
+
+    this.ada = Asset.fromString("lovelace");
+    this.catsky = Asset.fromString(CATSKY_TOKEN.fullUnit);
+
+    this.thresholds = {
+      ...CONFIG.CATSKY_MONITOR,
+      ...options
+    };
+  }
+
+  /**
+   * Initialize database, DEX adapters and (optionally) the wallet
+   */
+  async initialize() {
+    console.log("🔧 Initializing CATSKY Monitor...");
+
+    await this.database.initialize();
+
+    this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    await this.dexInterface.initialize();
+
+    // The wallet section is optional - prices still work without a mnemonic
+    if (CONFIG.MNEMONIC) {
+      try {
+        const wallet = await initializeWallet();
+        this.lucid = wallet.lucid;
+        this.walletAddress = wallet.address;
+      } catch (error) {
+        console.warn(`⚠️ Wallet unavailable: ${error.message}`);
+      }
+    } else {
+      console.log("👛 No MNEMONIC set - wallet balances will be skipped");
+    }
+
+    console.log("✅ CATSKY Monitor initialized");
+  }
+
+  /**
+   * Fetch the current CATSKY price from every adapter
+   * @returns {Promise<Array>}
+   */
+  async fetchPrices() {
+    return await this.dexInterface.getAllPrices(this.ada, this.catsky);
+  }
+
+  /**
+   * Compute the 24h change per DEX from the stored samples (see priceSamples())
+   * @param {Array} prices - Current prices from fetchPrices()
+   * @returns {Promise<Object<string, number|null>>} Percent change keyed by DEX
+   */
+  async get24hChanges(prices) {
+    const target = Date.now() - ONE_DAY;
+
+    // Look for samples within an hour either side of "24h ago"
+    const history = await this.priceSamples(target - ONE_HOUR, target + ONE_HOUR);
+
+    const changes = {};
+    for (const current of prices) {
+      const samples = history.filter(r => r.dex === current.dex && r.price > 0);
+
+      if (samples.length === 0) {
+        changes[current.dex] = null;
+        continue;
+      }
+
+      const baseline = samples.reduce((closest, record) =>
+        Math.abs(record.timestamp - target) < Math.abs(closest.timestamp - target) ? record : closest
+      );
+
+      changes[current.dex] = ((current.price - baseline.price) / baseline.price) * 100;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get ADA and CATSKY balance of the configured wallet
+   * @returns {Promise<{ada: number, catsky: bigint}|null>}
+   */
+  async getWalletBalance() {
+    if (!this.lucid) {
+      return null;
+    }
+
+    const balances = await getWalletBalances(this.lucid);
+    return {
+      ada: Number(balances.lovelace || 0n) / 1_000_000,
+      catsky: balances[CATSKY_TOKEN.fullUnit] || 0n
+    };
+  }
+
+  /**
+   * CATSKY prices stored in a time range: the monitor's own samples plus the main bot's
+   * price_history, so 24h changes are available whichever of the two has been running
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Promise<Array<Object>>}
+   */
+  async priceSamples(startTime, endTime) {
+    const [own, bot] = await Promise.all([
+      this.database.selectByTimeRange(SAMPLE_TABLE, startTime, endTime, { pair: PAIR }),
+      this.database.selectByTimeRange('price_history', startTime, endTime, { pair: PAIR })
+    ]);
+    return [...own, ...bot];
+  }
+
+  /**
+   * Store the fetched prices so 24h changes can be computed later
+   * @param {Array} prices
+   * @private
+   */
+  async recordPrices(prices) {
+    if (prices.length === 0) {
+      return;
+    }
+
+    await this.database.insertMany(SAMPLE_TABLE, prices.map(priceData => ({
+      pair: PAIR,
+      dex: priceData.dex,
+      price: priceData.price,
+      reserveA: priceData.reserves.reserveA.toString(),
+      reserveB: priceData.reserves.reserveB.toString()
+    })));
+  }
+
+  /**
+   * Print a one-shot report
+   */
+  async check() {
+    console.log(chalk.bold.cyan(`\n🐱 CATSKY REPORT - ${new Date().toLocaleString()}`));
+
+    const prices = await this.fetchPrices();
+    const changes = await this.get24hChanges(prices);
+
+    if (prices.length === 0) {
+      console.log(chalk.red("❌ No CATSKY prices available on any DEX"));
+    } else {
+      const table = new Table({
+        head: ['DEX', 'CATSKY per ADA', 'ADA Reserve', 'CATSKY Reserve', '24h Change'],
+        style: { head: ['cyan'] }
+      });
+
+      for (const priceData of prices) {
+        const { adaReserve, tokenReserve } = this._splitReserves(priceData);
+        const change = changes[priceData.dex];
+
+        table.push([
+          priceData.dex,
+          priceData.price.toFixed(4),
+          adaReserve !== null ? `${(Number(adaReserve) / 1_000_000).toLocaleString()} ADA` : '-',
+          tokenReserve !== null ? tokenReserve.toLocaleString() : '-',
+          change === null ? chalk.gray('n/a') :
+            change >= 0 ? chalk.green(`+${change.toFixed(2)}%`) : chalk.red(`${change.toFixed(2)}%`)
+        ]);
+      }
+
+      console.log(table.toString());
+
+      const spread = this._spreadPercent(prices);
+      console.log(`📏 Cross-DEX spread: ${spread.toFixed(2)}%`);
+    }
+
+    const balance = await this.getWalletBalance();
+    if (balance) {
+      console.log(chalk.bold.white(`\n👛 Wallet ${this.walletAddress.slice(0, 20)}...`));
+      console.log(`   ADA:    ${balance.ada.toFixed(6)}`);
+      console.log(`   CATSKY: ${balance.catsky.toLocaleString()}`);
+
+      const best = prices.length > 0 ? prices.reduce((a, b) => (a.price < b.price ? a : b)) : null;
+      if (best && balance.catsky > 0n) {
+        // price is CATSKY per ADA, so the cheapest quote is the best sell price for CATSKY
+        const valueADA = Number(balance.catsky) / best.price;
+        console.log(`   CATSKY value: ~${valueADA.toFixed(2)} ADA (${best.dex})`);
+      }
+    }
+
+    if (prices.length > 0) {
+      const samples = (await this.priceSamples(Date.now() - ONE_DAY, Date.now())).length;
+      console.log(chalk.gray(`\n📚 ${samples} ${PAIR} samples in the last 24h`));
+    }
+  }
+
+  /**
+   * Start continuous monitoring
+   * @param {string} schedule - Cron schedule
+   */
+  start(schedule = this.thresholds.SCHEDULE) {
+    if (this.isRunning) {
+      console.log("⚠️ CATSKY Monitor is already running");
+      return;
+    }
+
+    console.log(`🚀 Starting CATSKY Monitor with schedule: ${schedule}`);
+    console.log(`   Alerts: 24h move ≥ ${this.thresholds.PRICE_CHANGE_24H_ALERT}%, ` +
+      `tick move ≥ ${this.thresholds.PRICE_CHANGE_TICK_ALERT}%, ` +
+      `spread ≥ ${this.thresholds.SPREAD_ALERT}%, ` +
+      `liquidity < ${CONFIG.MIN_LIQUIDITY_ADA.toLocaleString()} ADA`);
+
+    this.runCheck();
+
+    this.cronJob = cron.schedule(schedule, () => {
+      this.runCheck();
+    }, {
+      scheduled: false
+    });
+
+    this.cronJob.start();
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop continuous monitoring
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+    this.isRunning = false;
+    console.log("🛑 CATSKY Monitor stopped");
+  }
+
+  /**
+   * One monitoring tick - fetch, store and evaluate alert thresholds
+   * @private
+   */
+  async runCheck() {
+    try {
+      this.checkCount++;
+      const prices = await this.fetchPrices();
+      const changes = await this.get24hChanges(prices);
+
+      await this.recordPrices(prices);
+      if (this.checkCount % 100 === 0) {
+        await this.database.deleteOlderThan(SAMPLE_TABLE);
+      }
+
+      const summary = prices.map(p => `${p.dex} ${p.price.toFixed(4)}`).join(' | ');
+      console.log(`[${new Date().toLocaleTimeString()}] #${this.checkCount} ${summary || 'no prices'}`);
+
+      for (const alert of this.evaluateAlerts(prices, changes)) {
+        this.raiseAlert(alert);
+      }
+
+      for (const priceData of prices) {
+        this.lastPrices.set(priceData.dex, priceData.price);
+      }
+    } catch (error) {
+      console.error("❌ CATSKY check failed:", error.message);
+    }
+  }
+
+  /**
+   * Compare the latest prices against the configured thresholds
+   * @param {Array} prices
+   * @param {Object<string, number|null>} changes - 24h changes keyed by DEX
+   * @returns {Array<{key: string, message: string}>}
+   */
+  evaluateAlerts(prices, changes) {
+    const alerts = [];
+
+    if (prices.length === 0) {
+      alerts.push({ key: 'no-prices', message: 'No CATSKY prices available on any DEX' });
+      return alerts;
+    }
+
+    for (const priceData of prices) {
+      const change24h = changes[priceData.dex];
+      if (change24h !== null && Math.abs(change24h) >= this.thresholds.PRICE_CHANGE_24H_ALERT) {
+        alerts.push({
+          key: `24h:${priceData.dex}`,
+          message: `${priceData.dex}: CATSKY moved ${change24h.toFixed(2)}% in 24h`
+        });
+      }
+
+      const previous = this.lastPrices.get(priceData.dex);
+      if (previous) {
+        const tickChange = ((priceData.price - previous) / previous) * 100;
+        if (Math.abs(tickChange) >= this.thresholds.PRICE_CHANGE_TICK_ALERT) {
+          alerts.push({
+            key: `tick:${priceData.dex}`,
+            message: `${priceData.dex}: CATSKY moved ${tickChange.toFixed(2)}% since last check`
+          });
+        }
+      }
+
+      const { adaReserve } = this._splitReserves(priceData);
+      if (adaReserve !== null && Number(adaReserve) / 1_000_000 < CONFIG.MIN_LIQUIDITY_ADA) {
+        alerts.push({
+          key: `liquidity:${priceData.dex}`,
+          message: `${priceData.dex}: CATSKY pool liquidity down to ${(Number(adaReserve) / 1_000_000).toFixed(0)} ADA`
+        });
+      }
+    }
+
+    const spread = this._spreadPercent(prices);
+    if (spread >= this.thresholds.SPREAD_ALERT) {
+      alerts.push({ key: 'spread', message: `Cross-DEX spread at ${spread.toFixed(2)}%` });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Print an alert unless the same alert fired within the cooldown
+   * @param {{key: string, message: string}} alert
+   * @private
+   */
+  raiseAlert(alert) {
+    const now = Date.now();
+    const lastRaised = this.lastAlerts.get(alert.key);
+
+    if (lastRaised && now - lastRaised < this.thresholds.ALERT_COOLDOWN) {
+      return;
+    }
+
+    this.lastAlerts.set(alert.key, now);
+    console.log(chalk.yellow.bold(`🚨 ALERT: ${alert.message}`));
+  }
+
+  /**
+   * Spread between the highest and lowest quote in percent
+   * @private
+   */
+  _spreadPercent(prices) {
+    if (prices.length < 2) {
+      return 0;
+    }
+    const values = prices.map(p => p.price);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return ((max - min) / min) * 100;
+  }
+
+  /**
+   * ADA and CATSKY reserves of a price quote
+   * Quotes are requested as ADA/CATSKY and adapters orient the reserves to that pair.
+   * @private
+   */
+  _splitReserves(priceData) {
+    const { reserveA, reserveB } = priceData.reserves || {};
+
+    return {
+      adaReserve: reserveA === undefined ? null : BigInt(reserveA),
+      tokenReserve: reserveB === undefined ? null : BigInt(reserveB)
+    };
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || 'monitor'; // `npm run monitor` passes no command
+  const monitor = new CatskyMonitor();
+
+  try {
+    await monitor.initialize();
+
+    switch (command) {
+      case 'check':
+        await monitor.check();
+        process.exit(0);
+        break;
+
+      case 'monitor':
+      case 'start':
+        monitor.start();
+        console.log("Press Ctrl+C to stop");
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.on(signal, () => {
+            monitor.stop();
+            process.exit(0);
+          });
+        }
+        break;
+
+      default:
+        console.log("Usage:");
+        console.log("  npm run check    - One-shot CATSKY report");
+        console.log("  npm run monitor  - Continuous monitoring with alerts");
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Fatal error:", error);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default CatskyMonitor;
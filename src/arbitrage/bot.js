@@ -6,27 +6,33 @@ import { CONFIG } from '../config/index.js';
 
 export class ArbitrageBot {
   constructor(options = {}) {
-    this.scanner = new ArbitrageScanner();
-    this.executor = new ArbitrageExecutor();
+    // Shared dependencies are handed to the scanner and executor, not kept in config
+    const { dexInterface, database, scanner, dryRun, ...botOptions } = options;
+    
+    this.dryRun = dryRun ?? process.env.DRY_RUN === 'true';
+    this.scanner = scanner || new ArbitrageScanner({ dexInterface, database });
+    this.executor = new ArbitrageExecutor({ dexInterface, database, dryRun: this.dryRun });
     this.isRunning = false;
     this.cronJob = null;
     this.botStartTime = null;
     this.totalScans = 0;
     this.opportunitiesDetected = 0;
+    this.observeOnlyDetected = 0;
     this.arbitragesExecuted = 0;
     this.profitableExecutions = 0;
     this.totalProfitADA = 0;
-    this.dryRun = process.env.DRY_RUN === 'true';
+    this.countedExecutionIds = new Set(); // Executions whose submitted profit is in totalProfitADA
+    this.protectedPnLADA = 0; // Closed protected buys, which aren't arbitrage profit
     
     // Configuration options
     this.config = {
-      scanInterval: options.scanInterval || '*/30 * * * * *', // Every 30 seconds
-      maxExecutionsPerHour: options.maxExecutionsPerHour || 10,
-      minProfitThreshold: options.minProfitThreshold || CONFIG.ARBITRAGE_PROFIT_THRESHOLD,
-      maxTradeAmount: options.maxTradeAmount || 10_000_000n, // 10 ADA max
-      enableAutoExecution: options.enableAutoExecution !== false, // True by default
-      emergencyStopFile: options.emergencyStopFile || './EMERGENCY_STOP',
-      ...options
+      scanInterval: botOptions.scanInterval || '*/30 * * * * *', // Every 30 seconds
+      maxExecutionsPerHour: botOptions.maxExecutionsPerHour || 10,
+      minProfitThreshold: botOptions.minProfitThreshold || CONFIG.ARBITRAGE_PROFIT_THRESHOLD,
+      maxTradeAmount: botOptions.maxTradeAmount || 10_000_000n, // 10 ADA max
+      enableAutoExecution: botOptions.enableAutoExecution !== false, // True by default
+      emergencyStopFile: botOptions.emergencyStopFile || './EMERGENCY_STOP',
+      ...botOptions
     };
     
     // Execution tracking for rate limiting
@@ -130,6 +136,14 @@ export class ArbitrageBot {
         return;
       }
       
+      // Follow open orders, replace reported profits with real fills, then unwind tokens left over
+      // by failed executions
+      await this.trackOrders();
+      await this.processLimitOrders();
+      await this.processProtectedPositions();
+      await this.reconcileFills();
+      await this.processStrandedInventory();
+      
       // Scan for arbitrage opportunities
       const opportunities = await this.scanForOpportunities();
       this.totalScans++;
@@ -163,37 +177,108 @@ export class ArbitrageBot {
     }
   }
 
+  /**
+   * Advance open orders and cancel stale ones (see order-tracker.js)
+   * @private
+   */
+  async trackOrders() {
+    try {
+      await this.executor.trackOrders();
+    } catch (error) {
+      console.error("❌ Error tracking orders:", error);
+    }
+  }
+
+  /**
+   * Close settled limit orders and cancel expired ones (see src/trading/limit-orders.js)
+   * @private
+   */
+  async processLimitOrders() {
+    if (!this.executor.limitOrders) {
+      return;
+    }
+    
+    try {
+      await this.executor.limitOrders.processOpenOrders();
+    } catch (error) {
+      console.error("❌ Error processing limit orders:", error);
+    }
+  }
+
+  /**
+   * Put stop-loss / take-profit orders on new buys and close triggered ones (see
+   * src/trading/position-manager.js)
+   * Their gains and losses are kept apart from the arbitrage profit.
+   * @private
+   */
+  async processProtectedPositions() {
+    if (!this.executor.positionManager) {
+      return;
+    }
+    
+    try {
+      const closed = await this.executor.positionManager.process();
+      for (const position of closed.filter(position => position.realizedPnLADA !== null)) {
+        this.protectedPnLADA += position.realizedPnLADA;
+      }
+    } catch (error) {
+      console.error("❌ Error processing protected positions:", error);
+    }
+  }
+
+  /**
+   * Read the real fills of settled orders (see fill-reconciler.js)
+   * Only executions this run counted move to their realized profit.
+   * @private
+   */
+  async reconcileFills() {
+    try {
+      const settled = await this.executor.reconcileFills();
+      for (const execution of settled.filter(execution => this.countedExecutionIds.delete(execution.id))) {
+        this.totalProfitADA += execution.realizedProfitADA - execution.submittedProfitADA;
+      }
+    } catch (error) {
+      console.error("❌ Error reconciling fills:", error);
+    }
+  }
+
+  /**
+   * Try to sell tokens stranded by failed arbitrage legs (see inventory-recovery.js)
+   * @private
+   */
+  async processStrandedInventory() {
+    if (!this.executor.recovery) {
+      return;
+    }
+    
+    try {
+      const closed = await this.executor.recovery.processOpenPositions();
+      for (const position of closed) {
+        this.totalProfitADA += position.realizedPnLADA;
+      }
+    } catch (error) {
+      console.error("❌ Error processing stranded inventory:", error);
+    }
+  }
+
   /**
    * Scan for arbitrage opportunities
    * @private
    */
   async scanForOpportunities() {
-    // Use the scanner's existing logic to find opportunities
-    const opportunities = [];
+    const opportunities = (await this.scanner.findOpportunities({ maxAmountIn: this.config.maxTradeAmount }))
+      .filter(opportunity => opportunity.netProfitPercent >= this.config.minProfitThreshold);
     
-    for (const pair of this.scanner.tokenPairs) {
-      try {
-        const opportunity = await this.scanner.detectArbitrageForPair(
-          pair.assetA, 
-          pair.assetB, 
-          CONFIG.DEFAULT_SWAP_AMOUNT
-        );
-        
-        if (opportunity && opportunity.netProfitPercent >= this.config.minProfitThreshold) {
-          opportunities.push({
-            ...opportunity,
-            pair: pair.symbol,
-            assetInfo: pair.tokenInfo
-          });
-        }
-        
-      } catch (error) {
-        console.log(`   ${pair.symbol}: Scan error - ${error.message}`);
-      }
+    // Opportunities through a DEX we can only quote are counted, never executed
+    const observeOnly = opportunities.filter(opportunity => !opportunity.executable);
+    if (observeOnly.length > 0) {
+      this.observeOnlyDetected += observeOnly.length;
+      console.log(`👀 Skipping ${observeOnly.length} observe-only opportunit${observeOnly.length === 1 ? 'y' : 'ies'}: ` +
+        observeOnly.map(opportunity => `${opportunity.pair} (${opportunity.observeOnlyDEXs.join(', ')})`).join(', '));
     }
     
-    // Sort by profitability (highest first)
-    return opportunities.sort((a, b) => b.netProfitPercent - a.netProfitPercent);
+    // Already sorted by profitability (highest first)
+    return opportunities.filter(opportunity => opportunity.executable);
   }
 
   /**
@@ -234,6 +319,7 @@ export class ArbitrageBot {
       if (executionResult && executionResult.success) {
         this.profitableExecutions++;
         this.totalProfitADA += executionResult.actualProfitADA || 0;
+        this.countedExecutionIds.add(executionResult.executionId);
         
         console.log(`✅ ARBITRAGE SUCCESS: ${opportunity.pair}`);
         console.log(`   Profit: ${executionResult.actualProfitADA?.toFixed(3) || 'simulated'} ADA`);
@@ -294,10 +380,13 @@ export class ArbitrageBot {
     console.log("=" .repeat(50));
     console.log(`⏱️  Runtime: ${hours}h ${minutes}m`);
     console.log(`🔍 Total Scans: ${this.totalScans}`);
-    console.log(`🎯 Opportunities Detected: ${this.opportunitiesDetected}`);
+    console.log(`🎯 Opportunities Detected: ${this.opportunitiesDetected} (+${this.observeOnlyDetected} observe-only)`);
     console.log(`⚡ Arbitrages Executed: ${this.arbitragesExecuted}`);
     console.log(`✅ Profitable Executions: ${this.profitableExecutions}`);
     console.log(`💰 Total Profit: ${this.totalProfitADA.toFixed(3)} ADA`);
+    if (this.executor.positionManager) {
+      console.log(`🛡️ Protected Positions PnL: ${this.protectedPnLADA.toFixed(3)} ADA`);
+    }
     
     if (this.arbitragesExecuted > 0) {
       const successRate = (this.profitableExecutions / this.arbitragesExecuted) * 100;
@@ -328,9 +417,11 @@ export class ArbitrageBot {
         runtime: Math.floor(runtime),
         totalScans: this.totalScans,
         opportunitiesDetected: this.opportunitiesDetected,
+        observeOnlyDetected: this.observeOnlyDetected,
         arbitragesExecuted: this.arbitragesExecuted,
         profitableExecutions: this.profitableExecutions,
         totalProfitADA: this.totalProfitADA,
+        protectedPnLADA: this.protectedPnLADA,
         scansPerMinute: scansPerMinute.toFixed(2),
         successRate: this.arbitragesExecuted > 0 ? (this.profitableExecutions / this.arbitragesExecuted) * 100 : 0
       },
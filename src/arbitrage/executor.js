@@ -1,24 +1,46 @@
 // Arbitrage Execution Bot - Automatically executes profitable arbitrage trades
 import { NetworkId, Asset, calculateSwapExactIn } from "@minswap/sdk";
-import { Lucid, Blockfrost, fromText, toHex } from "lucid-cardano";
 import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
-import { JSONDatabase } from "../utils/json-database.js";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet, getWalletBalances } from "../utils/wallet.js";
 import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
+import { minimumAmountOut, simulateRoute } from "./round-trip.js";
+import { InventoryRecovery } from "./inventory-recovery.js";
+import { FillReconciler } from "./fill-reconciler.js";
+import { OrderTracker } from "./order-tracker.js";
+import { formatHopPrices } from "./route-graph.js";
+import { LimitOrderManager } from "../trading/limit-orders.js";
+import { PositionManager } from "../trading/position-manager.js";
 
 export class ArbitrageExecutor {
-  constructor() {
-    this.dexInterface = null;
-    this.database = new JSONDatabase();
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} [options.dexInterface] - Shared DEX interface (created if omitted)
+   * @param {JSONDatabase|SQLiteDatabase} [options.database] - Shared database (created if omitted)
+   * @param {boolean} [options.dryRun] - Override the DRY_RUN environment setting
+   * @param {string} [options.executionMode] - "chained" or "sequential" (default CONFIG.ARBITRAGE_EXECUTION_MODE)
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface || null;
+    this.database = options.database || createDatabase();
     this.lucid = null;
     this.walletAddress = null;
+    this.recovery = null;
+    this.reconciler = null;
+    this.orderTracker = null;
+    this.limitOrders = null;
+    this.positionManager = null;
     this.isExecuting = false;
     this.executionCount = 0;
     this.successCount = 0;
     this.failureCount = 0;
     this.totalProfitADA = 0;
-    this.dryRun = process.env.DRY_RUN === 'true';
+    this.countedExecutionIds = new Set(); // Awaiting fills, with their submitted profit in totalProfitADA
+    this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
+    this.executionMode = options.executionMode || CONFIG.ARBITRAGE_EXECUTION_MODE;
     
-    console.log(`🤖 Arbitrage Executor initialized (${this.dryRun ? 'DRY RUN' : 'LIVE'} mode)`);
+    console.log(`🤖 Arbitrage Executor initialized (${this.dryRun ? 'DRY RUN' : 'LIVE'} mode, ${this.executionMode} legs)`);
   }
 
   /**
@@ -28,16 +50,65 @@ export class ArbitrageExecutor {
     try {
       console.log("🔧 Initializing Arbitrage Executor...");
       
-      // Initialize database
-      await this.database.initialize();
+      // Initialize database (skipped when a shared, already initialized one was passed in)
+      if (!this.database.initialized) {
+        await this.database.initialize();
+      }
       
       // Initialize DEX interface
-      this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
-      await this.dexInterface.initialize();
+      if (!this.dexInterface) {
+        this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+      }
+      if (!this.dexInterface.isInitialized) {
+        await this.dexInterface.initialize();
+      }
       
       // Initialize Lucid wallet
       await this.initializeLucidWallet();
       
+      // Live orders are settled by batchers later; the reconciler reads the real fills
+      if (!this.dryRun) {
+        this.reconciler = new FillReconciler({
+          database: this.database,
+          walletAddress: this.walletAddress,
+          dexInterface: this.dexInterface
+        });
+        this.orderTracker = new OrderTracker({
+          database: this.database,
+          walletAddress: this.walletAddress,
+          dexInterface: this.dexInterface,
+          lucid: this.lucid
+        });
+        this.limitOrders = new LimitOrderManager({
+          dexInterface: this.dexInterface,
+          database: this.database,
+          orderTracker: this.orderTracker,
+          lucid: this.lucid,
+          walletAddress: this.walletAddress
+        });
+        
+        // Filled buys get an on-chain stop-loss / take-profit order
+        if (CONFIG.POSITION_MANAGER.ENABLED) {
+          this.positionManager = new PositionManager({
+            dexInterface: this.dexInterface,
+            database: this.database,
+            orderTracker: this.orderTracker,
+            lucid: this.lucid,
+            walletAddress: this.walletAddress
+          });
+        }
+      }
+      
+      // Tokens stranded by failed legs are unwound with the same wallet
+      this.recovery = new InventoryRecovery({
+        dexInterface: this.dexInterface,
+        database: this.database,
+        lucid: this.lucid,
+        walletAddress: this.walletAddress,
+        orderTracker: this.orderTracker,
+        dryRun: this.dryRun
+      });
+      
       console.log("✅ Arbitrage Executor initialized successfully");
       return true;
     } catch (error) {
@@ -57,18 +128,10 @@ export class ArbitrageExecutor {
         return;
       }
 
-      // Initialize Lucid with Blockfrost
-      this.lucid = await Lucid.new(
-        new Blockfrost(
-          `https://cardano-${CONFIG.NETWORK}.blockfrost.io/api/v0`,
-          CONFIG.BF_PROJECT_ID
-        ),
-        CONFIG.NETWORK
-      );
-
       // Load wallet from mnemonic
-      this.lucid.selectWalletFromSeed(CONFIG.MNEMONIC);
-      this.walletAddress = await this.lucid.wallet.address();
+      const wallet = await initializeWallet();
+      this.lucid = wallet.lucid;
+      this.walletAddress = wallet.address;
       
       console.log(`💰 Wallet initialized: ${this.walletAddress.slice(0, 20)}...`);
       
@@ -76,7 +139,7 @@ export class ArbitrageExecutor {
       const utxos = await this.lucid.wallet.getUtxos();
       const totalADA = utxos.reduce((sum, utxo) => {
         return sum + Number(utxo.assets.lovelace || 0);
-      }, 0) / 1_000_000;
+      }, 0) / LOVELACE_PER_ADA;
       
       console.log(`💵 Wallet balance: ${totalADA.toFixed(2)} ADA`);
       
@@ -101,14 +164,25 @@ export class ArbitrageExecutor {
       return null;
     }
 
+    // Don't simulate, or count, trades through a DEX we can only quote
+    const observeOnlyDEXs = this.dexInterface.getNonExecutableDEXs(this._routeOf(opportunity).map(hop => hop.dex));
+    if (observeOnlyDEXs.length > 0) {
+      console.log(`👀 Not executing ${opportunity.pair}: ${observeOnlyDEXs.join(', ')} can only quote`);
+      return this.createExecutionResult(opportunity, false, `NOT_EXECUTABLE: ${observeOnlyDEXs.join(', ')}`, 0, 0);
+    }
+
     this.isExecuting = true;
     const startTime = Date.now();
     let executionResult = null;
 
     try {
       console.log(`\\n🚀 EXECUTING ARBITRAGE: ${opportunity.pair}`);
-      console.log(`   Buy: ${opportunity.buyDEX} @ ${opportunity.buyPrice.toFixed(6)}`);
-      console.log(`   Sell: ${opportunity.sellDEX} @ ${opportunity.sellPrice.toFixed(6)}`);
+      if (opportunity.buyPrice === null) {
+        console.log(`   Route: ${formatHopPrices(opportunity.route)}`);
+      } else {
+        console.log(`   Buy: ${opportunity.buyDEX} @ ${opportunity.buyPrice.toFixed(6)}`);
+        console.log(`   Sell: ${opportunity.sellDEX} @ ${opportunity.sellPrice.toFixed(6)}`);
+      }
       console.log(`   Expected Profit: ${opportunity.netProfitPercent.toFixed(2)}% (${opportunity.estimatedProfitADA.toFixed(3)} ADA)`);
       
       if (this.dryRun) {
@@ -133,10 +207,16 @@ export class ArbitrageExecutor {
         ...executionResult,
         opportunity: opportunity,
         executedAt: Date.now(),
-        executionTime: Date.now() - startTime
+        executionTime: Date.now() - startTime,
+        // Placed orders wait for the fill reconciler
+        fillStatus: executionResult.transactionData?.orders?.length ? 'pending' : null
       };
       
-      await this.database.insert('arbitrage_executions', executionRecord);
+      const stored = await this.database.insert('arbitrage_executions', executionRecord);
+      executionResult.executionId = stored.id;
+      if (executionResult.success && executionRecord.fillStatus === 'pending') {
+        this.countedExecutionIds.add(stored.id);
+      }
       
       const duration = Date.now() - startTime;
       const status = executionResult.success ? "✅ SUCCESS" : "❌ FAILED";
@@ -164,6 +244,8 @@ export class ArbitrageExecutor {
 
   /**
    * Perform real arbitrage execution with blockchain transactions
+   * In chained mode a route that can't be chained is handled by CONFIG.ARBITRAGE_CHAIN_FALLBACK:
+   * "sequential" executes it leg by leg, "skip" fails the execution without placing any order.
    * @param {Object} opportunity 
    * @returns {Promise<Object>}
    * @private
@@ -171,70 +253,308 @@ export class ArbitrageExecutor {
   async performRealExecution(opportunity) {
     try {
       const amountIn = BigInt(opportunity.amountIn);
+      const route = this._routeOf(opportunity);
       
-      // Step 1: Execute buy trade (get tokens at lower price)
-      console.log(`📥 Step 1: Buying tokens on ${opportunity.buyDEX}...`);
-      const buyResult = await this.executeTrade(
-        opportunity.buyDEX,
-        Asset.fromString("lovelace"), // ADA
-        Asset.fromString(opportunity.assetInfo.fullUnit), // Target token
-        amountIn,
-        opportunity.buyPool
-      );
-      
-      if (!buyResult.success) {
-        throw new Error(`Buy trade failed: ${buyResult.error}`);
+      if (this.executionMode === 'chained') {
+        const plan = await this.planChainedExecution(route, amountIn);
+        if (plan.chainable) {
+          return await this.performChainedExecution(opportunity, plan.legs);
+        }
+        
+        console.warn(`⚠️ Can't chain ${opportunity.pair}: ${plan.reason}`);
+        if (CONFIG.ARBITRAGE_CHAIN_FALLBACK !== 'sequential') {
+          return this.createExecutionResult(opportunity, false, `CHAIN_UNAVAILABLE: ${plan.reason}`, 0, 0);
+        }
+        console.log("↪️ Falling back to sequential execution");
       }
       
-      const tokensReceived = buyResult.outputAmount;
-      console.log(`✅ Buy successful: Received ${tokensReceived} tokens`);
-      
-      // Wait for buy transaction to confirm
-      await this.waitForConfirmation(buyResult.txHash, 60000); // 60 second timeout
+      return await this.performSequentialExecution(opportunity, route, amountIn);
       
-      // Step 2: Execute sell trade (sell tokens at higher price)
-      console.log(`📤 Step 2: Selling tokens on ${opportunity.sellDEX}...`);
-      const sellResult = await this.executeTrade(
-        opportunity.sellDEX,
-        Asset.fromString(opportunity.assetInfo.fullUnit), // Target token
-        Asset.fromString("lovelace"), // ADA
-        tokensReceived,
-        opportunity.sellPool
+    } catch (error) {
+      console.error("❌ Real execution error:", error);
+      return this.createExecutionResult(opportunity, false, error.message, 0, 0);
+    }
+  }
+
+  /**
+   * Execute a route leg by leg, placing each leg once the previous leg's order has filled
+   * A leg that is refunded, cancelled or not filled in time ends the execution; from the second
+   * leg on, the tokens the earlier legs bought go to inventory recovery. The last leg isn't waited
+   * for: if it is refunded, reconcileFills() hands its tokens to inventory recovery once it settles.
+   * @param {Object} opportunity 
+   * @param {Array<Object>} route - See _routeOf()
+   * @param {bigint} amountIn 
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async performSequentialExecution(opportunity, route, amountIn) {
+    const orders = [];
+    let amount = amountIn;
+    
+    // Each hop spends everything the previous hop returned
+    for (const [index, hop] of route.entries()) {
+      console.log(`🔁 Step ${index + 1}/${route.length}: Swapping on ${hop.dex}...`);
+      const result = await this.executeTrade(
+        hop.dex,
+        Asset.fromString(hop.assetIn),
+        Asset.fromString(hop.assetOut),
+        amount
       );
       
-      if (!sellResult.success) {
-        console.warn("⚠️ Sell trade failed - tokens may be stuck!");
-        throw new Error(`Sell trade failed: ${sellResult.error}`);
+      if (!result.success) {
+        await this._failSequentialStep(opportunity, route, index, amount, amountIn, result.error);
       }
       
-      const adaReceived = sellResult.outputAmount;
-      console.log(`✅ Sell successful: Received ${adaReceived} lovelace`);
-      
-      // Calculate actual profit
-      const actualProfitLovelace = Number(adaReceived) - Number(amountIn);
-      const actualProfitADA = actualProfitLovelace / 1_000_000;
-      const actualProfitPercent = (actualProfitLovelace / Number(amountIn)) * 100;
+      console.log(`✅ Step ${index + 1} successful: Received ${result.outputAmount}`);
+      const order = this._orderRecord(result.txHash, hop.dex, hop.assetIn, hop.assetOut, amount, result.outputAmount);
+      orders.push(order);
+      amount = result.outputAmount;
       
-      console.log(`💰 ACTUAL PROFIT: ${actualProfitADA.toFixed(3)} ADA (${actualProfitPercent.toFixed(2)}%)`);
+      const [tracked] = await this.orderTracker?.trackOrders(result.txHash, hop.dex, [order], { pair: opportunity.pair, strategy: 'sequential' }) || [];
       
-      return this.createExecutionResult(
-        opportunity,
-        true,
-        "EXECUTION_COMPLETED",
-        actualProfitADA,
-        actualProfitPercent,
-        {
-          buyTxHash: buyResult.txHash,
-          sellTxHash: sellResult.txHash,
-          tokensReceived: tokensReceived.toString(),
-          adaReceived: adaReceived.toString()
+      // The next hop spends this hop's output, so its order has to fill first
+      if (index < route.length - 1) {
+        await this.waitForConfirmation(result.txHash, 60000); // 60 second timeout
+        
+        if (tracked) {
+          let [settled] = await this.orderTracker.waitForSettlement([tracked.id]);
+          if (settled.status === 'on_chain') {
+            settled = await this._cancelUnfilledOrder(settled);
+          }
+          if (settled.status !== 'filled') {
+            // The input came back to the wallet, or stays locked until the cancel lands
+            const pendingOrderId = ['submitted', 'on_chain'].includes(settled.status) ? settled.id : null;
+            const reason = !settled.cancelTxHash ? `order ${settled.status}`
+              : pendingOrderId ? `order not filled in time, cancel ${settled.cancelTxHash} not settled yet`
+              : `order not filled in time, ${settled.status} by ${settled.cancelTxHash}`;
+            await this._failSequentialStep(opportunity, route, index, BigInt(settled.amountIn), amountIn, reason, pendingOrderId);
+          }
+          amount = settled.amountOut !== null ? BigInt(settled.amountOut) : amount;
         }
-      );
+      }
+    }
+    
+    return this._completedExecution(opportunity, amountIn, amount, orders, 'sequential');
+  }
+
+  /**
+   * End a sequential execution at a failed step
+   * Before the first step fills the wallet only holds ADA; after that, the failed step's input
+   * tokens are left over and handed to inventory recovery - as a pending position while an order
+   * whose cancel hasn't landed still holds them.
+   * @private
+   */
+  async _failSequentialStep(opportunity, route, index, amount, amountIn, reason, pendingOrderId = null) {
+    const hop = route[index];
+    
+    if (index > 0) {
+      console.warn(`⚠️ Step ${index + 1} failed - handing ${amount} ${hop.assetIn} to inventory recovery`);
+      await this.recovery?.recordStrandedPosition({
+        opportunity,
+        asset: hop.assetIn,
+        amount,
+        costLovelace: amountIn,
+        failedDEX: hop.dex,
+        error: reason,
+        pendingOrderId
+      });
+    }
+    throw new Error(`Step ${index + 1} (${hop.dex}) failed: ${reason}`);
+  }
+
+  /**
+   * Cancel an order that didn't fill in time, so its funds come back instead of filling later,
+   * and wait for the cancel to land
+   * A batcher can still fill the order before the cancel does.
+   * @param {Object} order - Tracked order record, on-chain
+   * @returns {Promise<Object>} The order record: cancelled or filled, or still on-chain if the
+   *   cancel didn't settle in time
+   * @private
+   */
+  async _cancelUnfilledOrder(order) {
+    const [cancelTxHash] = await this.orderTracker.cancelOrders([order]);
+    if (!cancelTxHash) {
+      throw new Error(`Order ${order.id} on ${order.dex} not filled in time and can't be cancelled - left open`);
+    }
+    
+    console.log(`🚫 Order ${order.id} not filled in time, waiting for its cancel ${cancelTxHash}`);
+    const [settled] = await this.orderTracker.waitForSettlement([order.id]);
+    return settled;
+  }
+
+  /**
+   * Quote every leg of a route and check that it can be chained
+   * A chained leg can't wait for the previous leg's fill, so every leg after the first spends
+   * tokens the wallet already holds: as much as the previous leg is guaranteed to return (its
+   * minimum output), which the fill then replaces.
+   * @param {Array<Object>} route - See _routeOf()
+   * @param {bigint} amountIn 
+   * @returns {Promise<{chainable: boolean, reason?: string, legs?: Array<Object>}>}
+   */
+  async planChainedExecution(route, amountIn) {
+    const unsupported = route.filter(hop => !this.dexInterface.getDEXAdapter(hop.dex).hasCapability('chainedOrders'));
+    if (unsupported.length > 0) {
+      return {
+        chainable: false,
+        reason: `${[...new Set(unsupported.map(hop => hop.dex))].join(', ')} can't place kill-on-failed orders`
+      };
+    }
+    
+    const legs = [];
+    let amount = amountIn;
+    
+    for (const hop of route) {
+      const assetIn = Asset.fromString(hop.assetIn);
+      const assetOut = Asset.fromString(hop.assetOut);
+      const quote = await this.dexInterface.getDEXAdapter(hop.dex).calculateSwapOutput(assetIn, assetOut, amount);
+      const minimumOut = minimumAmountOut(quote.amountOut);
+      
+      legs.push({ ...hop, assetIn, assetOut, amountIn: amount, expectedAmountOut: quote.amountOut, minimumAmountOut: minimumOut });
+      amount = minimumOut;
+    }
+    
+    // Token inventory needed by the legs after the first
+    const required = new Map();
+    for (const leg of legs.slice(1)) {
+      const unit = this._walletUnit(leg.assetIn);
+      required.set(unit, (required.get(unit) || 0n) + leg.amountIn);
+    }
+    
+    const balances = await getWalletBalances(this.lucid);
+    for (const [unit, needed] of required) {
+      const held = balances[unit] || 0n;
+      if (held < needed) {
+        return { chainable: false, reason: `wallet holds ${held} of ${unit}, the chained legs need ${needed}` };
+      }
+    }
+    
+    return { chainable: true, legs };
+  }
+
+  /**
+   * Place every leg of a planned route right away as kill-on-failed orders
+   * Consecutive legs on the same DEX share one transaction. The next DEX's transaction is built
+   * once the previous one is on-chain, so the two don't spend the same wallet UTxOs, but no leg
+   * waits for another leg's fill. Each order fills at its minimum output or is refunded on its own,
+   * so a buy can fill while its sell is refunded; once the orders settle, reconcileFills() hands
+   * the tokens left over to inventory recovery.
+   * @param {Object} opportunity 
+   * @param {Array<Object>} legs - From planChainedExecution()
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async performChainedExecution(opportunity, legs) {
+    const groups = [];
+    for (const leg of legs) {
+      const last = groups[groups.length - 1];
+      if (last && last.dex === leg.dex) {
+        last.legs.push(leg);
+      } else {
+        groups.push({ dex: leg.dex, legs: [leg] });
+      }
+    }
+    
+    const txHashes = [];
+    const orders = [];
+    for (const [index, group] of groups.entries()) {
+      if (index > 0) {
+        await this.waitForConfirmation(txHashes[txHashes.length - 1], 60000);
+      }
       
-    } catch (error) {
-      console.error("❌ Real execution error:", error);
-      return this.createExecutionResult(opportunity, false, error.message, 0, 0);
+      console.log(`⛓️ Placing ${group.legs.length} chained order(s) on ${group.dex}...`);
+      try {
+        const { txHash } = await this.dexInterface.getDEXAdapter(group.dex).executeSwaps(
+          group.legs.map(leg => ({
+            assetIn: leg.assetIn,
+            assetOut: leg.assetOut,
+            amountIn: leg.amountIn,
+            minimumAmountOut: leg.minimumAmountOut,
+            killOnFailed: true
+          })),
+          this.walletAddress,
+          this.lucid
+        );
+        txHashes.push(txHash);
+        const groupOrders = group.legs.map(leg =>
+          this._orderRecord(txHash, leg.dex, leg.assetIn, leg.assetOut, leg.amountIn, leg.minimumAmountOut)
+        );
+        orders.push(...groupOrders);
+        await this.orderTracker?.trackOrders(txHash, group.dex, groupOrders, { pair: opportunity.pair, strategy: 'chained' });
+      } catch (error) {
+        if (txHashes.length > 0) {
+          console.warn(`⚠️ ${txHashes.length} chained order transaction(s) already placed - they fill or refund on their own`);
+        }
+        throw new Error(`Chained orders on ${group.dex} failed: ${error.message}`);
+      }
     }
+    
+    const lastLeg = legs[legs.length - 1];
+    return this._completedExecution(opportunity, legs[0].amountIn, lastLeg.minimumAmountOut, orders, 'chained');
+  }
+
+  /**
+   * Execution result of a route whose orders were all placed
+   * The profit assumes every order fills at its minimum output until the fill reconciler has
+   * read the real fills.
+   * @private
+   */
+  _completedExecution(opportunity, amountIn, adaReceived, orders, strategy) {
+    const txHashes = [...new Set(orders.map(order => order.txHash))];
+    
+    // Calculate actual profit
+    const actualProfitLovelace = Number(adaReceived) - Number(amountIn);
+    const actualProfitADA = actualProfitLovelace / LOVELACE_PER_ADA;
+    const actualProfitPercent = (actualProfitLovelace / Number(amountIn)) * 100;
+    
+    console.log(`💰 ACTUAL PROFIT: ${actualProfitADA.toFixed(3)} ADA (${actualProfitPercent.toFixed(2)}%)`);
+    
+    return this.createExecutionResult(
+      opportunity,
+      true,
+      "EXECUTION_COMPLETED",
+      actualProfitADA,
+      actualProfitPercent,
+      {
+        strategy,
+        buyTxHash: txHashes[0],
+        sellTxHash: txHashes[txHashes.length - 1],
+        txHashes,
+        orders,
+        adaReceived: adaReceived.toString()
+      }
+    );
+  }
+
+  /**
+   * Order placed by an execution, as stored for the fill reconciler
+   * @private
+   */
+  _orderRecord(txHash, dex, assetIn, assetOut, amountIn, minimumAmountOut) {
+    return {
+      txHash,
+      dex,
+      assetIn: assetIn.toString(),
+      assetOut: assetOut.toString(),
+      amountIn: amountIn.toString(),
+      minimumAmountOut: minimumAmountOut.toString()
+    };
+  }
+
+  /**
+   * Swaps of an opportunity: its route, or the buy/sell legs of a direct round trip
+   * @param {Object} opportunity 
+   * @returns {Array<{dex: string, assetIn: string, assetOut: string}>}
+   * @private
+   */
+  _routeOf(opportunity) {
+    if (opportunity.route?.length) {
+      return opportunity.route;
+    }
+    
+    return [
+      { dex: opportunity.buyDEX, assetIn: "lovelace", assetOut: opportunity.assetInfo.fullUnit },
+      { dex: opportunity.sellDEX, assetIn: opportunity.assetInfo.fullUnit, assetOut: "lovelace" }
+    ];
   }
 
   /**
@@ -243,23 +563,23 @@ export class ArbitrageExecutor {
    * @param {Asset} assetIn 
    * @param {Asset} assetOut 
    * @param {bigint} amountIn 
-   * @param {Object} pool 
    * @returns {Promise<Object>}
    * @private
    */
-  async executeTrade(dexName, assetIn, assetOut, amountIn, pool) {
+  async executeTrade(dexName, assetIn, assetOut, amountIn) {
     try {
       const adapter = this.dexInterface.getDEXAdapter(dexName);
       
-      // Calculate expected output
+      // Calculate expected output and the least the order accepts
       const expectedOutput = await adapter.calculateSwapOutput(assetIn, assetOut, amountIn);
+      const minimumOut = minimumAmountOut(expectedOutput.amountOut);
       
       // Build and submit swap transaction
       const swapResult = await adapter.executeSwap(
         assetIn,
         assetOut,
         amountIn,
-        expectedOutput,
+        minimumOut,
         this.walletAddress,
         this.lucid
       );
@@ -267,7 +587,8 @@ export class ArbitrageExecutor {
       return {
         success: true,
         txHash: swapResult.txHash,
-        outputAmount: expectedOutput,
+        outputAmount: swapResult.outputAmount ?? minimumOut,
+        expectedAmountOut: expectedOutput.amountOut,
         dex: dexName
       };
       
@@ -281,6 +602,14 @@ export class ArbitrageExecutor {
     }
   }
 
+  /**
+   * Lucid unit of an asset ("lovelace" or policy id + token name)
+   * @private
+   */
+  _walletUnit(asset) {
+    return asset.toString().replace('.', '');
+  }
+
   /**
    * Wait for transaction confirmation
    * @param {string} txHash 
@@ -289,6 +618,10 @@ export class ArbitrageExecutor {
    * @private
    */
   async waitForConfirmation(txHash, timeoutMs = 120000) {
+    if (this.orderTracker) {
+      return await this.orderTracker.waitForTransaction(txHash, timeoutMs);
+    }
+    
     console.log(`⏳ Waiting for confirmation: ${txHash}`);
     const startTime = Date.now();
     
@@ -361,28 +694,21 @@ export class ArbitrageExecutor {
    */
   async validateOpportunity(opportunity) {
     try {
-      // Re-fetch current prices to ensure opportunity is still valid
-      const currentPrices = await this.dexInterface.getAllPrices(
-        Asset.fromString("lovelace"),
-        Asset.fromString(opportunity.assetInfo.fullUnit)
-      );
-      
-      if (currentPrices.length < 2) {
-        console.log("⚠️ Opportunity validation failed: Not enough DEXs available");
-        return false;
-      }
+      const route = this._routeOf(opportunity);
+      const unavailable = route.filter(hop => !this.dexInterface.getEnabledDEXs().includes(hop.dex));
       
-      const buyDEXPrice = currentPrices.find(p => p.dex === opportunity.buyDEX);
-      const sellDEXPrice = currentPrices.find(p => p.dex === opportunity.sellDEX);
-      
-      if (!buyDEXPrice || !sellDEXPrice) {
-        console.log("⚠️ Opportunity validation failed: DEX prices not available");
+      if (unavailable.length > 0) {
+        console.log(`⚠️ Opportunity validation failed: ${unavailable.map(hop => hop.dex).join(', ')} not available`);
         return false;
       }
       
-      // Check if price difference still exists
-      const currentPriceDiff = sellDEXPrice.price - buyDEXPrice.price;
-      const currentProfitPercent = (currentPriceDiff / buyDEXPrice.price) * 100;
+      // Re-simulate the route at the detected size against the current pools
+      const trade = await simulateRoute(route.map(hop => ({
+        adapter: this.dexInterface.getDEXAdapter(hop.dex),
+        assetIn: Asset.fromString(hop.assetIn),
+        assetOut: Asset.fromString(hop.assetOut)
+      })), BigInt(opportunity.amountIn));
+      const currentProfitPercent = trade.netProfitPercent;
       
       // Allow for some price movement but ensure still profitable
       const minProfitThreshold = CONFIG.ARBITRAGE_PROFIT_THRESHOLD * 0.8; // 80% of original threshold
@@ -401,6 +727,103 @@ export class ArbitrageExecutor {
     }
   }
 
+  /**
+   * Read the real fills of executions whose orders have settled since the last call
+   * Statistics move from the profit reported at submission to the realized profit, for the
+   * executions this run counted; ones submitted before a restart are reconciled but not counted.
+   * @returns {Promise<Array<Object>>} Reconciled execution records
+   */
+  async reconcileFills() {
+    if (!this.reconciler) {
+      return [];
+    }
+    
+    const settled = await this.reconciler.reconcilePending();
+    for (const execution of settled) {
+      await this._recoverLeftoverInventory(execution);
+      if (this.countedExecutionIds.delete(execution.id)) {
+        this.totalProfitADA += execution.realizedProfitADA - execution.submittedProfitADA;
+      }
+    }
+    return settled;
+  }
+
+  /**
+   * Open recovery positions for the tokens a settled execution left in the wallet
+   * A chained execution leaves them when a leg is refunded after the legs before it filled; a
+   * sequential one when its last leg, which it doesn't wait for, is refunded.
+   * Each token gained is valued at what its ADA-in leg paid (or the ADA the execution lost), and
+   * that cost moves from the execution's realized profit to the position, so selling it later
+   * doesn't count the loss twice. Tokens the execution sold without buying back are only reported:
+   * the ADA they fetched is already in the realized profit.
+   * @param {Object} execution - Reconciled arbitrage_executions record, updated in place
+   * @private
+   */
+  async _recoverLeftoverInventory(execution) {
+    const strategy = execution.transactionData?.strategy || 'arbitrage';
+    const positionIds = [];
+    let movedLovelace = 0n;
+    
+    for (const [unit, quantity] of Object.entries(execution.tokenDeltas || {})) {
+      const amount = BigInt(quantity);
+      if (amount < 0n) {
+        console.warn(`⚠️ Execution ${execution.id} (${execution.pair}, ${strategy}) sold ${-amount} ${unit} of wallet inventory without buying it back`);
+        continue;
+      }
+      
+      const fills = execution.fills || [];
+      const bought = fills.find(fill => fill.status === 'filled' && fill.assetIn === 'lovelace' && fill.assetOut === unit && BigInt(fill.amountOut ?? 0) > 0n);
+      const refunded = fills.find(fill => fill.status === 'refunded' && fill.assetIn === unit);
+      const costLovelace = bought
+        ? (BigInt(bought.amountIn) * amount) / BigInt(bought.amountOut)
+        : BigInt(Math.max(0, Math.round(-(execution.realizedProfitADA + execution.networkFeesADA) * LOVELACE_PER_ADA) - Number(movedLovelace)));
+      
+      console.warn(`⚠️ Execution ${execution.id} (${execution.pair}, ${strategy}) left ${amount} ${unit} in the wallet - handing it to inventory recovery`);
+      const position = await this.recovery?.recordStrandedPosition({
+        opportunity: execution,
+        asset: unit,
+        amount,
+        costLovelace,
+        failedDEX: refunded?.dex,
+        error: `${strategy} execution ${execution.fillStatus}`
+      });
+      if (position) {
+        positionIds.push(position.id);
+        movedLovelace += costLovelace;
+      }
+    }
+    
+    if (positionIds.length === 0) {
+      return;
+    }
+    
+    const realizedProfitADA = execution.realizedProfitADA + Number(movedLovelace) / LOVELACE_PER_ADA;
+    const amountTraded = Number(execution.amountTraded);
+    const realizedProfitPercent = amountTraded > 0 ? (realizedProfitADA * LOVELACE_PER_ADA / amountTraded) * 100 : 0;
+    const changes = {
+      recoveryPositionIds: positionIds,
+      realizedProfitADA,
+      realizedProfitPercent,
+      actualProfitADA: realizedProfitADA,
+      actualProfitPercent: realizedProfitPercent
+    };
+    
+    await this.database.update('arbitrage_executions', { id: execution.id }, changes);
+    Object.assign(execution, changes);
+  }
+
+  /**
+   * Advance tracked orders and cancel stale ones (see order-tracker.js)
+   * @returns {Promise<Array<Object>>} Orders whose status changed
+   */
+  async trackOrders() {
+    if (!this.orderTracker) {
+      return [];
+    }
+    
+    return await this.orderTracker.poll();
+  }
+
   /**
    * Get recent execution history
    * @param {number} limit 
@@ -0,0 +1,389 @@
+// Fill Reconciler - Replaces the profit reported at submission with what the batchers paid out
+//
+// A confirmed order transaction only locks funds at the DEX's order script. A batcher later
+// spends each order output, either swapping it and paying the result to our address or
+// refunding it. For every order of a live execution the reconciler follows the order output to
+// the transaction that consumed it (Blockfrost's consumed_by_tx) and reads what that transaction
+// paid to our wallet. Once every order is settled the arbitrage_executions record gets the real
+// fills, the batcher and network fees paid and the realized profit.
+//
+// Per order, locked = the order output's value and returned = what the settlement paid us:
+//   ADA in, filled:    returned lovelace is the deposit, so batcher fee = locked - amountIn - returned
+//   token in, filled:  returned lovelace is the swap output plus the deposit; the batcher fee is
+//                      taken from an ADA-in order of the same DEX, or the DEX's fee estimate
+//   refunded:          everything comes back except the batcher fee, so fee = locked - returned
+// The realized profit needs no such split: it is the lovelace returned less the lovelace locked
+// and the order transactions' fees, exact whenever the route's token legs net out.
+import { BlockFrostAPI } from "@blockfrost/blockfrost-js";
+import { getAddressDetails } from "lucid-cardano";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet } from "../utils/wallet.js";
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
+
+export class FillReconciler {
+  /**
+   * @param {Object} options
+   * @param {JSONDatabase|SQLiteDatabase} options.database - Initialized database
+   * @param {string} options.walletAddress - Address the orders pay out to
+   * @param {BlockFrostAPI} [options.blockfrost] - Blockfrost client (created from CONFIG if omitted)
+   * @param {UnifiedDEXInterface} [options.dexInterface] - Used for batcher fee estimates
+   */
+  constructor(options = {}) {
+    this.database = options.database;
+    this.walletAddress = options.walletAddress;
+    this.dexInterface = options.dexInterface || null;
+    this.blockfrost = options.blockfrost || new BlockFrostAPI({
+      projectId: CONFIG.BF_PROJECT_ID,
+      network: CONFIG.NETWORK
+    });
+  }
+
+  /**
+   * Reconcile every execution whose orders haven't all settled yet
+   * @returns {Promise<Array<Object>>} Executions settled in this pass (updated records)
+   */
+  async reconcilePending() {
+    const pending = await this.database.select('arbitrage_executions', { fillStatus: 'pending' });
+    const settled = [];
+
+    for (const execution of pending) {
+      try {
+        const result = await this.reconcileExecution(execution);
+        if (result) {
+          settled.push(result);
+        }
+      } catch (error) {
+        console.error(`❌ Error reconciling execution ${execution.id}:`, error.message);
+      }
+    }
+
+    return settled;
+  }
+
+  /**
+   * Reconcile one execution against the chain
+   * @param {Object} execution - arbitrage_executions record with transactionData.orders
+   * @returns {Promise<Object|null>} Updated record, or null while an order is still open
+   */
+  async reconcileExecution(execution) {
+    const orders = execution.transactionData?.orders || [];
+    if (orders.length === 0) {
+      await this.database.update('arbitrage_executions', { id: execution.id }, { fillStatus: 'untracked' });
+      return null;
+    }
+
+    // Order outputs of each order transaction, found by their DEX's order script address
+    const located = [];
+    const txFees = new Map();
+    for (const txHash of [...new Set(orders.map(order => order.txHash))]) {
+      const [utxos, tx] = await Promise.all([this.blockfrost.txsUtxos(txHash), this.blockfrost.txs(txHash)]);
+      txFees.set(txHash, BigInt(tx.fees));
+
+      const txOrders = orders.filter(order => order.txHash === txHash);
+      const outputs = matchOrderOutputs(utxos.outputs, txOrders, dex => this._orderScriptHashes(dex));
+      const missing = outputs.filter(output => !output).length;
+      if (missing > 0) {
+        throw new Error(`Order transaction ${txHash} has no order output for ${missing} of its ${txOrders.length} orders`);
+      }
+
+      txOrders.forEach((order, index) => located.push({ order, output: outputs[index] }));
+    }
+
+    const open = located.filter(({ output }) => !output.consumed_by_tx);
+    if (open.length > 0) {
+      await this.database.update('arbitrage_executions', { id: execution.id }, { lastReconciledAt: Date.now() });
+      console.log(`⏳ Execution ${execution.id}: ${open.length}/${located.length} order(s) not settled yet`);
+      return null;
+    }
+
+    // What each settlement transaction paid to our address
+    const settlements = new Map();
+    for (const settlementTx of new Set(located.map(({ output }) => output.consumed_by_tx))) {
+      const utxos = await this.blockfrost.txsUtxos(settlementTx);
+      const returned = sumAmounts(utxos.outputs.filter(output => output.address === this.walletAddress));
+      const ours = located.filter(({ output }) => output.consumed_by_tx === settlementTx).length;
+      settlements.set(settlementTx, { returned, shared: ours > 1 });
+    }
+
+    const fills = this._fills(located, settlements);
+    const changes = this._summary(execution, fills, settlements, txFees);
+    await this.database.update('arbitrage_executions', { id: execution.id }, changes);
+
+    console.log(`🧾 Execution ${execution.id} (${execution.pair}) ${changes.fillStatus}: realized ${changes.realizedProfitADA.toFixed(3)} ADA ` +
+      `(reported ${changes.submittedProfitADA.toFixed(3)} ADA), batcher fees ${changes.batcherFeesADA.toFixed(3)} ADA`);
+
+    return { ...execution, ...changes };
+  }
+
+  /**
+   * Per-order fill details
+   * @private
+   */
+  _fills(located, settlements) {
+    const fills = located.map(({ order, output }) => {
+      const locked = sumAmounts([output]);
+      const { returned, shared } = settlements.get(output.consumed_by_tx);
+      const inUnit = normalizeUnit(order.assetIn);
+      const outUnit = normalizeUnit(order.assetOut);
+      const lockedLovelace = locked.get('lovelace') || 0n;
+      const returnedLovelace = returned.get('lovelace') || 0n;
+      const refunded = isRefund(order, returned);
+
+      const fill = {
+        txHash: order.txHash,
+        dex: order.dex,
+        assetIn: inUnit,
+        assetOut: outUnit,
+        amountIn: order.amountIn,
+        minimumAmountOut: order.minimumAmountOut,
+        status: refunded ? 'refunded' : 'filled',
+        settlementTxHash: output.consumed_by_tx,
+        sharedSettlement: shared,
+        lockedLovelace,
+        returnedLovelace,
+        amountOut: null,
+        batcherFeeLovelace: null,
+        batcherFeeEstimated: false
+      };
+
+      if (shared) {
+        // Several of our orders settled in one batch; only units unique to this order can be attributed
+        fill.amountOut = outUnit === 'lovelace' ? null : returned.get(outUnit) || 0n;
+      } else if (refunded) {
+        fill.amountOut = 0n;
+        fill.batcherFeeLovelace = lockedLovelace - returnedLovelace;
+      } else if (inUnit === 'lovelace') {
+        fill.amountOut = returned.get(outUnit) || 0n;
+        fill.batcherFeeLovelace = lockedLovelace - BigInt(order.amountIn) - returnedLovelace;
+      }
+
+      return fill;
+    });
+
+    // Token-in fills: the batcher fee of an ADA-in order on the same DEX, or the DEX's estimate
+    for (const fill of fills) {
+      if (fill.status !== 'filled' || fill.assetIn === 'lovelace' || fill.sharedSettlement) {
+        continue;
+      }
+
+      const measured = fills.find(other => other.dex === fill.dex && other.assetIn === 'lovelace' && other.batcherFeeLovelace !== null);
+      fill.batcherFeeLovelace = measured ? measured.batcherFeeLovelace : this._estimatedBatcherFee(fill.dex);
+      fill.batcherFeeEstimated = !measured;
+      if (fill.assetOut === 'lovelace') {
+        fill.amountOut = fill.returnedLovelace - (fill.lockedLovelace - fill.batcherFeeLovelace);
+      }
+    }
+
+    return fills;
+  }
+
+  /**
+   * Execution-level totals written to the record
+   * @private
+   */
+  _summary(execution, fills, settlements, txFees) {
+    const lockedLovelace = fills.reduce((total, fill) => total + fill.lockedLovelace, 0n);
+    const returnedLovelace = [...settlements.values()].reduce((total, { returned }) => total + (returned.get('lovelace') || 0n), 0n);
+    const networkFeesLovelace = [...txFees.values()].reduce((total, fee) => total + fee, 0n);
+    const batcherFeesLovelace = fills.reduce((total, fill) => total + (fill.batcherFeeLovelace ?? 0n), 0n);
+
+    const realizedLovelace = Number(returnedLovelace - lockedLovelace - networkFeesLovelace);
+    const amountTraded = Number(execution.amountTraded);
+    const refunds = fills.filter(fill => fill.status === 'refunded').length;
+
+    return {
+      fillStatus: refunds === 0 ? 'filled' : refunds === fills.length ? 'refunded' : 'partially_refunded',
+      fills: fills.map(fill => ({
+        ...fill,
+        lockedLovelace: fill.lockedLovelace.toString(),
+        returnedLovelace: fill.returnedLovelace.toString(),
+        amountOut: fill.amountOut === null ? null : fill.amountOut.toString(),
+        batcherFeeLovelace: fill.batcherFeeLovelace === null ? null : fill.batcherFeeLovelace.toString()
+      })),
+      tokenDeltas: this._tokenDeltas(fills, settlements),
+      batcherFeesADA: Number(batcherFeesLovelace) / LOVELACE_PER_ADA,
+      batcherFeesEstimated: fills.some(fill => fill.batcherFeeEstimated || fill.batcherFeeLovelace === null),
+      networkFeesADA: Number(networkFeesLovelace) / LOVELACE_PER_ADA,
+      submittedProfitADA: execution.submittedProfitADA ?? execution.actualProfitADA,
+      realizedProfitADA: realizedLovelace / LOVELACE_PER_ADA,
+      realizedProfitPercent: amountTraded > 0 ? (realizedLovelace / amountTraded) * 100 : 0,
+      actualProfitADA: realizedLovelace / LOVELACE_PER_ADA,
+      actualProfitPercent: amountTraded > 0 ? (realizedLovelace / amountTraded) * 100 : 0,
+      reconciledAt: Date.now()
+    };
+  }
+
+  /**
+   * Tokens gained or lost by the execution (non-zero when a leg was refunded or filled above its minimum)
+   * @private
+   */
+  _tokenDeltas(fills, settlements) {
+    const deltas = new Map();
+    const add = (unit, quantity) => deltas.set(unit, (deltas.get(unit) || 0n) + quantity);
+
+    for (const fill of fills) {
+      if (fill.assetIn !== 'lovelace') {
+        add(fill.assetIn, -BigInt(fill.amountIn));
+      }
+    }
+    for (const { returned } of settlements.values()) {
+      for (const [unit, quantity] of returned) {
+        if (unit !== 'lovelace') {
+          add(unit, quantity);
+        }
+      }
+    }
+
+    return Object.fromEntries([...deltas].filter(([, quantity]) => quantity !== 0n).map(([unit, quantity]) => [unit, quantity.toString()]));
+  }
+
+  /**
+   * @private
+   */
+  _orderScriptHashes(dex) {
+    return this.dexInterface?.getEnabledDEXs().includes(dex) ? this.dexInterface.getDEXAdapter(dex).getOrderScriptHashes() : [];
+  }
+
+  /**
+   * @private
+   */
+  _estimatedBatcherFee(dex) {
+    const adapter = this.dexInterface?.getDEXAdapter(dex);
+    const batcherFeeADA = adapter ? adapter.getFeeStructure().batcherFee || 0 : 0;
+    return BigInt(Math.round(batcherFeeADA * LOVELACE_PER_ADA));
+  }
+}
+
+/**
+ * Find the output each order of a transaction created
+ * An order output is paid to an order script of the order's DEX (any script when the DEX lists
+ * none, see getOrderScriptHashes()) and holds the order's input. Orders take the first unclaimed
+ * matching output in submission order, so change, fee or partner outputs are never taken for
+ * an order whatever their position.
+ * @param {Array<Object>} outputs - Blockfrost outputs of the order transaction
+ * @param {Array<Object>} orders - That transaction's orders ({dex, assetIn, amountIn}), in submission order
+ * @param {function(string): Array<string>} scriptHashesOf - Order script hashes of a DEX
+ * @returns {Array<Object|undefined>} Each order's output, undefined where none matches
+ */
+export function matchOrderOutputs(outputs, orders, scriptHashesOf) {
+  const claimed = new Set();
+
+  return orders.map(order => {
+    const scriptHashes = scriptHashesOf(order.dex);
+    const inUnit = normalizeUnit(order.assetIn);
+    const output = outputs.find(output =>
+      !claimed.has(output.output_index) &&
+      !output.collateral &&
+      isOrderScriptAddress(output.address, scriptHashes) &&
+      (sumAmounts([output]).get(inUnit) || 0n) >= BigInt(order.amountIn)
+    );
+
+    if (output) {
+      claimed.add(output.output_index);
+    }
+    return output;
+  });
+}
+
+/**
+ * Whether an address is a script address, and one of scriptHashes when any are given
+ * @private
+ */
+function isOrderScriptAddress(address, scriptHashes) {
+  let paymentCredential;
+  try {
+    ({ paymentCredential } = getAddressDetails(address));
+  } catch {
+    return false; // Byron or malformed addresses are never order scripts
+  }
+
+  return paymentCredential?.type === 'Script' &&
+    (scriptHashes.length === 0 || scriptHashes.includes(paymentCredential.hash));
+}
+
+/**
+ * Whether a settlement refunded a swap order rather than filling it
+ * A refund gives back the input asset; a fill pays out the output asset.
+ * @param {{assetIn: string, assetOut: string}} order
+ * @param {Map<string, bigint>} returned - What the settlement paid to our address (see sumAmounts())
+ * @returns {boolean}
+ */
+export function isRefund(order, returned) {
+  const inUnit = normalizeUnit(order.assetIn);
+  const outUnit = normalizeUnit(order.assetOut);
+
+  return inUnit === 'lovelace'
+    ? (returned.get(outUnit) || 0n) === 0n
+    : (returned.get(inUnit) || 0n) > 0n;
+}
+
+/**
+ * Sum Blockfrost outputs' amounts per unit
+ * @param {Array<Object>} outputs - Blockfrost UTxO outputs ({amount: [{unit, quantity}]})
+ * @returns {Map<string, bigint>}
+ */
+export function sumAmounts(outputs) {
+  const totals = new Map();
+  for (const output of outputs) {
+    for (const { unit, quantity } of output.amount) {
+      totals.set(unit, (totals.get(unit) || 0n) + BigInt(quantity));
+    }
+  }
+  return totals;
+}
+
+/**
+ * @private
+ */
+function normalizeUnit(unit) {
+  return unit.replace('.', '');
+}
+
+// CLI functionality if run directly
+async function main() {
+  const command = process.argv[2];
+  const database = createDatabase();
+
+  try {
+    await database.initialize();
+
+    switch (command) {
+      case 'run': {
+        const { address } = await initializeWallet();
+        const reconciler = new FillReconciler({ database, walletAddress: address });
+        const settled = await reconciler.reconcilePending();
+        console.log(`✅ Reconciled ${settled.length} execution(s)`);
+        process.exit(0);
+        break;
+      }
+
+      case 'pending': {
+        const pending = await database.select('arbitrage_executions', { fillStatus: 'pending' });
+        console.log(`⏳ ${pending.length} execution(s) waiting for fills`);
+        for (const execution of pending) {
+          console.log(`   ${execution.id}: ${execution.pair}, ${execution.transactionData?.orders?.length || 0} order(s), ` +
+            `submitted ${new Date(execution.executedAt).toLocaleString()}`);
+        }
+        process.exit(0);
+        break;
+      }
+
+      default:
+        console.log("Usage:");
+        console.log("  node src/arbitrage/fill-reconciler.js run      - Reconcile pending executions now");
+        console.log("  node src/arbitrage/fill-reconciler.js pending  - List executions waiting for fills");
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Fill reconciliation failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default FillReconciler;
@@ -0,0 +1,485 @@
+// Inventory Recovery - Unwinds tokens left in the wallet when a later arbitrage leg fails
+//
+// A failed sell leg leaves the wallet holding the tokens the earlier legs bought. Each such
+// position is recorded in the `positions` table and sold back to ADA on the DEX with the best
+// sell price, skipping DEXs the sell already failed on. When to sell is set by the position's
+// policy (CONFIG.INVENTORY_RECOVERY.POLICY when it was opened):
+//   immediate - sell at market on the next pass
+//   limit     - sell once the proceeds cover the ADA spent plus LIMIT_MIN_RETURN_PERCENT
+//   time      - like limit, but sell at market once the position is older than MAX_HOLD_TIME
+// A submitted sell is followed by the order tracker and the position stays `closing` until the
+// order settles: a fill closes it with the ADA actually received and the realized gain or loss
+// against the ADA spent, a refund or cancel reopens it for another try.
+// A position whose tokens are still locked in an order (a cancel that hasn't landed yet) is
+// recorded `pending` and only opens once that order settles.
+import { NetworkId, Asset } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet } from "../utils/wallet.js";
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA, tokenSymbol } from "../utils/units.js";
+import { minimumAmountOut } from "./round-trip.js";
+import { OrderTracker, isSettled, lovelaceProceeds } from "./order-tracker.js";
+import { selectPositions, updatePosition } from "../trading/positions.js";
+
+export const RECOVERY_POLICIES = ['immediate', 'limit', 'time'];
+
+const POSITION_SOURCE = 'arbitrage_recovery';
+
+export class InventoryRecovery {
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} options.dexInterface
+   * @param {JSONDatabase|SQLiteDatabase} options.database - Initialized database
+   * @param {Object} [options.lucid] - Lucid instance selling the tokens (required unless dryRun)
+   * @param {string} [options.walletAddress]
+   * @param {OrderTracker} [options.orderTracker] - Follows the sell orders (required unless dryRun)
+   * @param {boolean} [options.dryRun] - Log the sells instead of submitting them
+   * @param {Object} [options.settings] - Overrides of CONFIG.INVENTORY_RECOVERY
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface;
+    this.database = options.database;
+    this.lucid = options.lucid || null;
+    this.walletAddress = options.walletAddress || null;
+    this.orderTracker = options.orderTracker || null;
+    this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
+    this.settings = { ...CONFIG.INVENTORY_RECOVERY, ...options.settings };
+
+    if (!RECOVERY_POLICIES.includes(this.settings.POLICY)) {
+      throw new Error(`Unknown inventory recovery policy "${this.settings.POLICY}" (use ${RECOVERY_POLICIES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Record tokens left over by a failed arbitrage leg
+   * Failures are logged rather than thrown, so they don't hide the execution error being handled.
+   * @param {Object} stranded
+   * @param {Object} stranded.opportunity - Opportunity whose execution failed
+   * @param {string} stranded.asset - Unit of the token held
+   * @param {bigint} stranded.amount - Tokens held
+   * @param {bigint} stranded.costLovelace - ADA spent acquiring them
+   * @param {string} [stranded.failedDEX] - DEX the sell failed on (skipped when unwinding)
+   * @param {string} [stranded.error] - Why it failed
+   * @param {string|number} [stranded.pendingOrderId] - Tracked order still holding the tokens
+   * @returns {Promise<Object|null>} The position record
+   */
+  async recordStrandedPosition({ opportunity, asset, amount, costLovelace, failedDEX, error, pendingOrderId }) {
+    try {
+      const position = await this.database.insert('positions', {
+        source: POSITION_SOURCE,
+        pair: opportunity.pair,
+        dex: failedDEX || null,
+        status: pendingOrderId ? 'pending' : 'open',
+        pendingOrderId: pendingOrderId || null,
+        asset,
+        amount: amount.toString(),
+        costLovelace: costLovelace.toString(),
+        entryPrice: Number(amount) / Number(costLovelace), // Tokens per lovelace, like DEX prices
+        policy: this.settings.POLICY,
+        openedAt: Date.now(),
+        openReason: error || null,
+        excludedDEXs: failedDEX ? [failedDEX] : [],
+        attempts: 0,
+        lastCheckedAt: null,
+        lastError: null
+      });
+
+      console.log(`📒 Recorded stranded position ${position.id}: ${amount} ${tokenSymbol(asset)} from ${opportunity.pair} (${this.settings.POLICY} unwind)` +
+        (pendingOrderId ? `, waiting for order ${pendingOrderId} to settle` : ''));
+      return position;
+    } catch (recordError) {
+      console.error("❌ Failed to record stranded position:", recordError);
+      return null;
+    }
+  }
+
+  /**
+   * Open recovery positions, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOpenPositions() {
+    return await selectPositions(this.database, POSITION_SOURCE);
+  }
+
+  /**
+   * Positions whose sell order is waiting to settle, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getClosingPositions() {
+    return await selectPositions(this.database, POSITION_SOURCE, 'closing');
+  }
+
+  /**
+   * Positions whose tokens are still locked in an order, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPendingPositions() {
+    return await selectPositions(this.database, POSITION_SOURCE, 'pending');
+  }
+
+  /**
+   * Open pending positions whose order settled, settle positions whose sell order finished, then
+   * try to unwind every open position that is due for a check
+   * An order counts as settled once the order tracker has seen its settlement transaction.
+   * @returns {Promise<Array<Object>>} Positions closed in this pass
+   */
+  async processOpenPositions() {
+    const closed = [];
+    const now = Date.now();
+
+    for (const position of await this.getPendingPositions()) {
+      try {
+        await this.releasePending(position);
+      } catch (error) {
+        console.error(`❌ Error checking the order of pending position ${position.id}:`, error);
+      }
+    }
+
+    for (const position of await this.getClosingPositions()) {
+      try {
+        const result = await this.settleSell(position);
+        if (result) {
+          closed.push(result);
+        }
+      } catch (error) {
+        console.error(`❌ Error settling the sell of position ${position.id}:`, error);
+      }
+    }
+
+    for (const position of await this.getOpenPositions()) {
+      if (position.lastCheckedAt && now - position.lastCheckedAt < this.settings.RETRY_INTERVAL) {
+        continue;
+      }
+
+      try {
+        await this.unwindPosition(position); // Closes on a later pass, once the sell settles
+      } catch (error) {
+        console.error(`❌ Error unwinding position ${position.id}:`, error);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Sell a position back to ADA if its policy allows it now
+   * The position moves to `closing` once the sell is submitted; settleSell() closes it.
+   * @param {Object} position - Open position record
+   * @returns {Promise<Object|null>} The closing position, or null while it stays open
+   */
+  async unwindPosition(position) {
+    const ada = Asset.fromString('lovelace');
+    const token = Asset.fromString(position.asset);
+    const amount = BigInt(position.amount);
+    const symbol = tokenSymbol(position.asset);
+
+    // Only DEXs we can sell on, less the ones the sell already failed on
+    const excludeDEXs = [...(position.excludedDEXs || []), ...this.dexInterface.getObserveOnlyDEXs()];
+
+    let best;
+    try {
+      best = await this.dexInterface.getBestSellPrice(ada, token, { excludeDEXs });
+    } catch (error) {
+      // Every DEX quoting the token has failed once; start over with all of them next time
+      console.warn(`⚠️ No DEX left to sell ${symbol} from position ${position.id}: ${error.message}`);
+      await updatePosition(this.database, position, { excludedDEXs: [], lastCheckedAt: Date.now(), lastError: error.message });
+      return null;
+    }
+
+    const quote = await best.adapter.calculateSwapOutput(token, ada, amount, best.pool);
+    const decision = this.sellDecision(position, quote.amountOut);
+
+    if (!decision.sell) {
+      console.log(`⏳ Holding ${amount} ${symbol} (position ${position.id}): ${best.dex} pays ${this._formatADA(quote.amountOut)} ADA, ${decision.reason}`);
+      await updatePosition(this.database, position, { lastCheckedAt: Date.now() });
+      return null;
+    }
+
+    const minimumOut = minimumAmountOut(quote.amountOut);
+    console.log(`🧯 Unwinding position ${position.id} on ${best.dex} (${decision.reason}): ${amount} ${symbol} → ≥${this._formatADA(minimumOut)} ADA`);
+
+    if (this.dryRun) {
+      console.log("🏃 DRY RUN: Sell not submitted");
+      await updatePosition(this.database, position, { lastCheckedAt: Date.now() });
+      return null;
+    }
+
+    if (!this.orderTracker) {
+      throw new Error("Selling a recovery position needs an order tracker to follow the sell order");
+    }
+
+    let swap;
+    try {
+      swap = await best.adapter.executeSwap(token, ada, amount, minimumOut, this.walletAddress, this.lucid);
+    } catch (error) {
+      console.warn(`⚠️ Sell of position ${position.id} failed on ${best.dex}: ${error.message}`);
+      await updatePosition(this.database, position, {
+        excludedDEXs: [...(position.excludedDEXs || []), best.dex],
+        attempts: (position.attempts || 0) + 1,
+        lastCheckedAt: Date.now(),
+        lastError: error.message
+      });
+      return null;
+    }
+
+    // The tokens are in the sell order now: whatever happens to the tracking, don't sell them again
+    await updatePosition(this.database, position, {
+      status: 'closing',
+      sellTxHash: swap.txHash,
+      sellOrderId: null,
+      sellDEX: best.dex,
+      sellMinimumOut: minimumOut.toString(),
+      sellReason: decision.reason,
+      attempts: (position.attempts || 0) + 1,
+      lastCheckedAt: Date.now()
+    });
+    console.log(`📤 Sell of position ${position.id} submitted in ${swap.txHash}, waiting for it to settle`);
+
+    await this._trackSell(position);
+    return position;
+  }
+
+  /**
+   * Follow a closing position's sell order with the order tracker
+   * A tracking failure is only logged: the position stays closing and the next pass retries.
+   * @param {Object} position - Closing position record with sellTxHash
+   * @returns {Promise<Object|null>} The order record
+   * @private
+   */
+  async _trackSell(position) {
+    try {
+      const [order] = await this.orderTracker.trackOrders(
+        position.sellTxHash,
+        position.sellDEX,
+        [{ assetIn: position.asset, assetOut: 'lovelace', amountIn: position.amount, minimumAmountOut: position.sellMinimumOut }],
+        { pair: position.pair, strategy: 'recovery', positionId: position.id }
+      );
+      await updatePosition(this.database, position, { sellOrderId: order.id });
+      return order;
+    } catch (error) {
+      console.warn(`⚠️ Couldn't track the sell of position ${position.id} (${position.sellTxHash}), retrying next pass: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Close a closing position once its sell order filled, or reopen it if the order came back
+   * A sell whose tracking failed is tracked first.
+   * @param {Object} position - Position record with status closing
+   * @returns {Promise<Object|null>} Closed position, or null while the sell is open or was reopened
+   */
+  async settleSell(position) {
+    if (!position.sellOrderId) {
+      if (!this.orderTracker || !await this._trackSell(position)) {
+        return null;
+      }
+    }
+
+    const [order] = await this.database.select('orders', { id: position.sellOrderId });
+    if (!order) {
+      throw new Error(`Sell order ${position.sellOrderId} of position ${position.id} is missing`);
+    }
+    if (!isSettled(order)) {
+      return null;
+    }
+
+    switch (order.status) {
+      case 'filled': {
+        const batcherFee = this.dexInterface.getEnabledDEXs().includes(order.dex)
+          ? this.dexInterface.getDEXAdapter(order.dex).getFeeStructure().batcherFee || 0
+          : 0;
+        return await this.closePosition(position, {
+          dex: order.dex,
+          txHash: order.txHash,
+          proceedsLovelace: lovelaceProceeds(order, batcherFee),
+          reason: position.sellReason
+        });
+      }
+      case 'refunded':
+      case 'cancelled':
+      case 'expired':
+        console.warn(`↩️ Sell of position ${position.id} on ${order.dex} ${order.status} - reopening it`);
+        await updatePosition(this.database, position, {
+          status: 'open',
+          sellOrderId: null,
+          excludedDEXs: [...(position.excludedDEXs || []), order.dex],
+          lastCheckedAt: Date.now(),
+          lastError: `sell order ${order.status}`
+        });
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Open a pending position once the order holding its tokens settled
+   * A refund or cancel returns the tokens the position was recorded with; if the order filled
+   * after all, the wallet holds its output instead.
+   * @param {Object} position - Position record with status pending
+   * @returns {Promise<boolean>} Whether the position opened
+   */
+  async releasePending(position) {
+    const [order] = await this.database.select('orders', { id: position.pendingOrderId });
+    if (!order) {
+      throw new Error(`Order ${position.pendingOrderId} holding position ${position.id} is missing`);
+    }
+    if (!isSettled(order)) {
+      return false;
+    }
+
+    const changes = { status: 'open', pendingOrderId: null };
+    if (order.status === 'filled') {
+      console.log(`✅ Order ${order.id} of pending position ${position.id} filled before its cancel - unwinding ${order.amountOut} ${tokenSymbol(order.assetOut)} instead`);
+      Object.assign(changes, { asset: order.assetOut, amount: order.amountOut });
+    }
+
+    await updatePosition(this.database, position, changes);
+    return true;
+  }
+
+  /**
+   * Whether a position's policy sells at the quoted proceeds
+   * @param {Object} position - Open position record
+   * @param {bigint} proceedsLovelace - ADA the sell would return
+   * @param {number} [now]
+   * @returns {{sell: boolean, reason: string}}
+   */
+  sellDecision(position, proceedsLovelace, now = Date.now()) {
+    if (position.policy === 'immediate') {
+      return { sell: true, reason: 'immediate policy' };
+    }
+
+    const cost = BigInt(position.costLovelace);
+    const targetBasisPoints = BigInt(Math.round((100 + this.settings.LIMIT_MIN_RETURN_PERCENT) * 100));
+    const limitProceeds = (cost * targetBasisPoints) / 10_000n;
+
+    if (proceedsLovelace >= limitProceeds) {
+      return { sell: true, reason: 'limit return reached' };
+    }
+
+    if (position.policy === 'time' && now - position.openedAt >= this.settings.MAX_HOLD_TIME) {
+      return { sell: true, reason: 'maximum hold time reached' };
+    }
+
+    return { sell: false, reason: `waiting for ${this._formatADA(limitProceeds)} ADA` };
+  }
+
+  /**
+   * Close a position and report its realized gain or loss
+   * @param {Object} position - Open or closing position record
+   * @param {Object} close
+   * @param {string} close.dex - DEX the tokens were sold on
+   * @param {string} [close.txHash]
+   * @param {bigint} close.proceedsLovelace - ADA received (the sell order's settled payout)
+   * @param {string} [close.reason]
+   * @returns {Promise<Object>} Closed position
+   */
+  async closePosition(position, { dex, txHash = null, proceedsLovelace, reason = null }) {
+    const cost = BigInt(position.costLovelace);
+    const pnlLovelace = Number(BigInt(proceedsLovelace) - cost);
+    const changes = {
+      status: 'closed',
+      closedAt: Date.now(),
+      closeDEX: dex,
+      closeTxHash: txHash,
+      closeReason: reason,
+      proceedsLovelace: proceedsLovelace.toString(),
+      realizedPnLADA: pnlLovelace / LOVELACE_PER_ADA,
+      realizedPnLPercent: (pnlLovelace / Number(cost)) * 100
+    };
+
+    await updatePosition(this.database, position, changes);
+
+    const outcome = pnlLovelace >= 0 ? '📈 gain' : '📉 loss';
+    console.log(`✅ Closed position ${position.id} on ${dex}: ${outcome} of ${changes.realizedPnLADA.toFixed(3)} ADA (${changes.realizedPnLPercent.toFixed(2)}%)`);
+
+    return { ...position, ...changes };
+  }
+
+  /**
+   * @private
+   */
+  _formatADA(lovelace) {
+    return (Number(lovelace) / LOVELACE_PER_ADA).toFixed(3);
+  }
+}
+
+// CLI functionality if run directly
+async function main() {
+  const command = process.argv[2];
+  const database = createDatabase();
+
+  try {
+    await database.initialize();
+
+    switch (command) {
+      case 'list': {
+        const dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+        const recovery = new InventoryRecovery({ dexInterface, database });
+        const positions = [
+          ...await recovery.getPendingPositions(),
+          ...await recovery.getOpenPositions(),
+          ...await recovery.getClosingPositions()
+        ];
+
+        console.log(`📒 ${positions.length} open recovery position(s)`);
+        for (const position of positions) {
+          const age = Math.round((Date.now() - position.openedAt) / 60000);
+          console.log(`   ${position.id}: ${position.amount} ${tokenSymbol(position.asset)} from ${position.pair}, ` +
+            `cost ${recovery._formatADA(position.costLovelace)} ADA, ${position.policy} policy, ${age} min old` +
+            (position.status === 'pending' ? `, waiting for order ${position.pendingOrderId}` : '') +
+            (position.status === 'closing' ? `, selling on ${position.sellDEX} in ${position.sellTxHash} (order ${position.sellOrderId ?? 'not tracked yet'})` : '') +
+            (position.lastError ? `, last error: ${position.lastError}` : ''));
+        }
+        process.exit(0);
+        break;
+      }
+
+      case 'process': {
+        const dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+        await dexInterface.initialize();
+
+        const dryRun = process.env.DRY_RUN === 'true';
+        const wallet = dryRun ? {} : await initializeWallet();
+        const orderTracker = dryRun ? null : new OrderTracker({
+          database,
+          walletAddress: wallet.address,
+          dexInterface,
+          lucid: wallet.lucid
+        });
+        const recovery = new InventoryRecovery({
+          dexInterface,
+          database,
+          lucid: wallet.lucid,
+          walletAddress: wallet.address,
+          orderTracker,
+          dryRun
+        });
+
+        await orderTracker?.poll();
+        const closed = await recovery.processOpenPositions();
+        console.log(`✅ Recovery pass complete: ${closed.length} position(s) closed`);
+        process.exit(0);
+        break;
+      }
+
+      default:
+        console.log("Usage:");
+        console.log("  node src/arbitrage/inventory-recovery.js list     - Show open recovery positions");
+        console.log("  node src/arbitrage/inventory-recovery.js process  - Try to unwind open positions now");
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Inventory recovery failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default InventoryRecovery;
@@ -0,0 +1,483 @@
+// Order Tracker - Follows batcher-based DEX orders from submission until they settle
+//
+// Every order the bot places is a row in the `orders` table that moves through:
+//   submitted  - order transaction sent, not seen on-chain yet
+//   on_chain   - the order output sits at the DEX's order script, waiting for a batcher
+//   filled     - a batcher spent the order and paid out the output asset
+//   refunded   - a batcher spent the order and gave the input back (kill-on-failed, or a failed swap)
+//   cancelled  - our own cancel transaction spent the order
+//   expired    - the order transaction didn't make it on-chain within SUBMIT_TIMEOUT
+// A transaction without a validity end can still land after SUBMIT_TIMEOUT, so expired orders are
+// looked for again for EXPIRED_RECHECK_WINDOW and move on to on_chain if it does; only then is
+// an expired order final (isSettled()). The state lives only in the database and on-chain, so poll() picks up where a previous run
+// left off. Orders that stay on-chain longer than STALE_ORDER_AGE are cancelled through the
+// DEX's cancel redeemer when its adapter supports it. Resting orders (context.resting) - limit
+// orders and protective stop-loss / OCO orders - are meant to wait and are never stale; their
+// owners cancel them (src/trading/limit-orders.js, src/trading/position-manager.js).
+import { BlockFrostAPI } from "@blockfrost/blockfrost-js";
+import { NetworkId } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet } from "../utils/wallet.js";
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
+import { isRefund, sumAmounts, matchOrderOutputs } from "./fill-reconciler.js";
+
+export const ORDER_STATUSES = ['submitted', 'on_chain', 'filled', 'refunded', 'cancelled', 'expired'];
+
+const OPEN_STATUSES = ['submitted', 'on_chain'];
+
+export class OrderTracker {
+  /**
+   * @param {Object} options
+   * @param {JSONDatabase|SQLiteDatabase} options.database - Initialized database
+   * @param {string} options.walletAddress - Address that placed the orders and receives their payouts
+   * @param {UnifiedDEXInterface} [options.dexInterface] - Needed to cancel stale orders
+   * @param {Object} [options.lucid] - Lucid instance signing cancel transactions
+   * @param {BlockFrostAPI} [options.blockfrost] - Blockfrost client (created from CONFIG if omitted)
+   * @param {Object} [options.settings] - Overrides of CONFIG.ORDER_TRACKING
+   */
+  constructor(options = {}) {
+    this.database = options.database;
+    this.walletAddress = options.walletAddress;
+    this.dexInterface = options.dexInterface || null;
+    this.lucid = options.lucid || null;
+    this.settings = { ...CONFIG.ORDER_TRACKING, ...options.settings };
+    this.blockfrost = options.blockfrost || new BlockFrostAPI({
+      projectId: CONFIG.BF_PROJECT_ID,
+      network: CONFIG.NETWORK
+    });
+  }
+
+  /**
+   * Start tracking the orders of a submitted transaction
+   * @param {string} txHash - Order transaction
+   * @param {string} dex - DEX the orders were placed on
+   * @param {Array<Object>} orders - In the order the transaction creates them
+   * @param {string} orders[].assetIn
+   * @param {string} orders[].assetOut
+   * @param {bigint|string} orders[].amountIn
+   * @param {bigint|string} orders[].minimumAmountOut
+   * @param {Object} [context] - Stored with each order, e.g. the pair being traded
+   * @returns {Promise<Array<Object>>} The order records
+   */
+  async trackOrders(txHash, dex, orders, context = null) {
+    const now = Date.now();
+    const records = [];
+
+    for (const [orderIndex, order] of orders.entries()) {
+      records.push(await this.database.insert('orders', {
+        dex,
+        txHash,
+        orderIndex,
+        outputIndex: null,
+        status: 'submitted',
+        assetIn: order.assetIn.toString(),
+        assetOut: order.assetOut.toString(),
+        amountIn: order.amountIn.toString(),
+        minimumAmountOut: order.minimumAmountOut.toString(),
+        amountOut: null,
+        settlementTxHash: null,
+        cancelTxHash: null,
+        context,
+        submittedAt: now,
+        onChainAt: null,
+        settledAt: null,
+        history: [{ status: 'submitted', at: now }]
+      }));
+    }
+
+    return records;
+  }
+
+  /**
+   * Orders that haven't reached a final state
+   * @returns {Promise<Array<Object>>} Oldest first
+   */
+  async getOpenOrders() {
+    const open = [];
+    for (const status of OPEN_STATUSES) {
+      open.push(...await this.database.select('orders', { status }));
+    }
+    return open.sort((a, b) => a.submittedAt - b.submittedAt);
+  }
+
+  /**
+   * Expired orders whose transaction may still land (see EXPIRED_RECHECK_WINDOW)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRecheckableOrders() {
+    const now = Date.now();
+    return (await this.database.select('orders', { status: 'expired' }))
+      .filter(order => !isSettled(order, now, this.settings));
+  }
+
+  /**
+   * Advance every open order and recheck recently expired ones, then cancel the stale ones
+   * @returns {Promise<Array<Object>>} Orders whose status changed in this pass
+   */
+  async poll() {
+    const changed = [];
+
+    for (const order of [...await this.getOpenOrders(), ...await this.getRecheckableOrders()]) {
+      try {
+        if (await this.advance(order)) {
+          changed.push(order);
+        }
+      } catch (error) {
+        console.error(`❌ Error checking order ${order.id}:`, error.message);
+      }
+    }
+
+    if (this.settings.AUTO_CANCEL_STALE) {
+      await this.cancelStaleOrders();
+    }
+
+    return changed;
+  }
+
+  /**
+   * Move one order forward as far as the chain allows
+   * @param {Object} order - Open order record (updated in place)
+   * @returns {Promise<boolean>} Whether its status changed
+   */
+  async advance(order) {
+    const status = order.status;
+
+    if (order.status === 'submitted' || order.status === 'expired') {
+      await this._checkSubmitted(order);
+    }
+    if (order.status === 'on_chain') {
+      await this._checkOnChain(order);
+    }
+
+    return order.status !== status;
+  }
+
+  /**
+   * Cancel orders that have been waiting on-chain longer than STALE_ORDER_AGE
+   * Orders of one DEX are cancelled in a single transaction. Resting orders are skipped.
+   * @param {number} [maxAge]
+   * @returns {Promise<Array<string>>} Cancel transaction hashes
+   */
+  async cancelStaleOrders(maxAge = this.settings.STALE_ORDER_AGE) {
+    const now = Date.now();
+    const stale = (await this.database.select('orders', { status: 'on_chain' }))
+      .filter(order => !order.context?.resting && now - order.onChainAt >= maxAge && !this.isCancelPending(order, now));
+
+    return await this.cancelOrders(stale);
+  }
+
+  /**
+   * Cancel open on-chain orders through their DEX's cancel redeemer
+   * @param {Array<Object>} orders - Order records with status on_chain
+   * @returns {Promise<Array<string>>} Cancel transaction hashes
+   */
+  async cancelOrders(orders) {
+    const byDEX = new Map();
+    for (const order of orders) {
+      byDEX.set(order.dex, [...(byDEX.get(order.dex) || []), order]);
+    }
+
+    const txHashes = [];
+    for (const [dex, dexOrders] of byDEX) {
+      const adapter = this.dexInterface?.getEnabledDEXs().includes(dex) ? this.dexInterface.getDEXAdapter(dex) : null;
+      if (!adapter?.hasCapability('cancel') || !this.lucid) {
+        console.warn(`⚠️ Can't cancel ${dexOrders.length} stale order(s) on ${dex}: ${adapter ? 'no cancel support or wallet' : 'adapter not available'}`);
+        continue;
+      }
+
+      try {
+        const { txHash } = await adapter.cancelOrders(
+          dexOrders.map(order => ({ txHash: order.txHash, outputIndex: order.outputIndex })),
+          this.walletAddress,
+          this.lucid
+        );
+        for (const order of dexOrders) {
+          await this._updateOrder(order, { cancelTxHash: txHash, cancelRequestedAt: Date.now() });
+        }
+        txHashes.push(txHash);
+      } catch (error) {
+        console.error(`❌ Cancelling ${dexOrders.length} order(s) on ${dex} failed:`, error.message);
+      }
+    }
+
+    return txHashes;
+  }
+
+  /**
+   * A cancel transaction was sent and hasn't had SUBMIT_TIMEOUT to land yet
+   * @param {Object} order
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isCancelPending(order, now = Date.now()) {
+    return order.cancelTxHash && now - order.cancelRequestedAt < this.settings.SUBMIT_TIMEOUT;
+  }
+
+  /**
+   * Wait until a transaction is on-chain
+   * @param {string} txHash
+   * @param {number} [timeoutMs]
+   * @returns {Promise<boolean>}
+   */
+  async waitForTransaction(txHash, timeoutMs = 120000) {
+    console.log(`⏳ Waiting for confirmation: ${txHash}`);
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeoutMs) {
+      if (await this._findTransaction(txHash)) {
+        console.log(`✅ Transaction confirmed: ${txHash}`);
+        return true;
+      }
+      await this._sleep();
+    }
+
+    throw new Error(`Transaction confirmation timeout: ${txHash}`);
+  }
+
+  /**
+   * Wait until orders reach a final state
+   * @param {Array<string|number>} orderIds
+   * @param {number} [timeoutMs]
+   * @returns {Promise<Array<Object>>} The order records; those still open when the time ran out
+   *   keep their open status
+   */
+  async waitForSettlement(orderIds, timeoutMs = this.settings.SETTLEMENT_TIMEOUT) {
+    const startTime = Date.now();
+
+    while (true) {
+      const orders = await this._ordersById(orderIds);
+      for (const order of orders.filter(order => OPEN_STATUSES.includes(order.status))) {
+        await this.advance(order);
+      }
+
+      if (orders.every(order => !OPEN_STATUSES.includes(order.status)) || Date.now() - startTime >= timeoutMs) {
+        return orders;
+      }
+      await this._sleep();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _checkSubmitted(order) {
+    const utxos = await this._findTransaction(order.txHash, true);
+    if (!utxos) {
+      if (order.status === 'submitted' && Date.now() - order.submittedAt >= this.settings.SUBMIT_TIMEOUT) {
+        console.warn(`⌛ Order ${order.id} expired: ${order.txHash} isn't on-chain yet, still looking for it a while`);
+        await this._setStatus(order, 'expired', { expiredAt: Date.now() });
+      }
+      return;
+    }
+
+    if (order.status === 'expired') {
+      console.warn(`🔁 Order ${order.id} on ${order.dex} landed after it expired: ${order.txHash}`);
+    }
+
+    // Match every order of the transaction, so each claims its own output at the DEX's order script
+    const txOrders = (await this.database.select('orders', { txHash: order.txHash }))
+      .sort((a, b) => a.orderIndex - b.orderIndex);
+    const outputs = matchOrderOutputs(utxos.outputs, txOrders, dex => this._orderScriptHashes(dex));
+    const output = outputs[txOrders.findIndex(txOrder => txOrder.id === order.id)];
+    if (!output) {
+      throw new Error(`Order transaction ${order.txHash} has no order output for order #${order.orderIndex}`);
+    }
+
+    const lockedLovelace = output.amount.find(amount => amount.unit === 'lovelace')?.quantity || '0';
+    await this._setStatus(order, 'on_chain', { outputIndex: output.output_index, lockedLovelace, onChainAt: Date.now() });
+  }
+
+  /**
+   * @private
+   */
+  async _checkOnChain(order) {
+    const utxos = await this.blockfrost.txsUtxos(order.txHash);
+    const output = utxos.outputs.find(output => output.output_index === order.outputIndex);
+    if (!output?.consumed_by_tx) {
+      return;
+    }
+
+    const settlementTxHash = output.consumed_by_tx;
+    if (settlementTxHash === order.cancelTxHash) {
+      console.log(`🚫 Order ${order.id} on ${order.dex} cancelled`);
+      await this._setStatus(order, 'cancelled', { settlementTxHash, settledAt: Date.now() });
+      return;
+    }
+
+    const settlement = await this.blockfrost.txsUtxos(settlementTxHash);
+    const returned = sumAmounts(settlement.outputs.filter(output => output.address === this.walletAddress));
+
+    if (isRefund(order, returned)) {
+      console.warn(`↩️ Order ${order.id} on ${order.dex} refunded`);
+      await this._setStatus(order, 'refunded', { settlementTxHash, amountOut: '0', settledAt: Date.now() });
+      return;
+    }
+
+    // Lovelace payouts include the returned deposit, so only token outputs are read exactly;
+    // the whole lovelace payout is kept as returnedLovelace
+    const outUnit = order.assetOut.replace('.', '');
+    const amountOut = outUnit === 'lovelace' ? null : (returned.get(outUnit) || 0n).toString();
+    const returnedLovelace = (returned.get('lovelace') || 0n).toString();
+    console.log(`✅ Order ${order.id} on ${order.dex} filled${amountOut ? `: ${amountOut} received` : ''}`);
+    await this._setStatus(order, 'filled', { settlementTxHash, amountOut, returnedLovelace, settledAt: Date.now() });
+  }
+
+  /**
+   * @private
+   */
+  _orderScriptHashes(dex) {
+    return this.dexInterface?.getEnabledDEXs().includes(dex) ? this.dexInterface.getDEXAdapter(dex).getOrderScriptHashes() : [];
+  }
+
+  /**
+   * The transaction (or its UTxOs), or null while Blockfrost doesn't know it
+   * @private
+   */
+  async _findTransaction(txHash, withUtxos = false) {
+    try {
+      return withUtxos ? await this.blockfrost.txsUtxos(txHash) : await this.blockfrost.txs(txHash);
+    } catch (error) {
+      if (error.status_code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _ordersById(orderIds) {
+    const orders = [];
+    for (const id of orderIds) {
+      const [order] = await this.database.select('orders', { id });
+      if (order) {
+        orders.push(order);
+      }
+    }
+    return orders;
+  }
+
+  /**
+   * @private
+   */
+  async _setStatus(order, status, changes = {}) {
+    const now = Date.now();
+    await this._updateOrder(order, {
+      ...changes,
+      status,
+      updatedAt: now,
+      history: [...(order.history || []), { status, at: now }]
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _updateOrder(order, changes) {
+    await this.database.update('orders', { id: order.id }, changes);
+    Object.assign(order, changes);
+  }
+
+  /**
+   * @private
+   */
+  _sleep() {
+    return new Promise(resolve => setTimeout(resolve, this.settings.POLL_INTERVAL));
+  }
+}
+
+/**
+ * Whether an order reached a status that won't change any more
+ * Expired orders only count once EXPIRED_RECHECK_WINDOW has passed without their transaction.
+ * @param {Object} order - Order record
+ * @param {number} [now]
+ * @param {Object} [settings] - CONFIG.ORDER_TRACKING or overrides of it
+ * @returns {boolean}
+ */
+export function isSettled(order, now = Date.now(), settings = CONFIG.ORDER_TRACKING) {
+  if (OPEN_STATUSES.includes(order.status)) {
+    return false;
+  }
+  return order.status !== 'expired' || !(now - order.expiredAt < settings.EXPIRED_RECHECK_WINDOW);
+}
+
+/**
+ * ADA a filled token → ADA order paid, in lovelace
+ * The settlement returns the swap output plus the order's deposit, which is the lovelace the
+ * order locked less the batcher fee.
+ * @param {Object} order - Filled order record
+ * @param {number} batcherFeeADA - Batcher fee of the order's DEX
+ * @returns {bigint}
+ */
+export function lovelaceProceeds(order, batcherFeeADA) {
+  const batcherFee = BigInt(Math.round(batcherFeeADA * LOVELACE_PER_ADA));
+  const deposit = BigInt(order.lockedLovelace || 0) - batcherFee;
+  const proceeds = BigInt(order.returnedLovelace || 0) - (deposit > 0n ? deposit : 0n);
+  return proceeds > 0n ? proceeds : 0n;
+}
+
+// CLI functionality if run directly
+async function main() {
+  const command = process.argv[2];
+  const database = createDatabase();
+
+  try {
+    await database.initialize();
+
+    switch (command) {
+      case 'list': {
+        const statuses = process.argv[3] ? [process.argv[3]] : OPEN_STATUSES;
+        for (const status of statuses) {
+          const orders = await database.select('orders', { status });
+          console.log(`📋 ${orders.length} ${status} order(s)`);
+          for (const order of orders) {
+            const age = Math.round((Date.now() - order.submittedAt) / 60000);
+            console.log(`   ${order.id}: ${order.dex} ${order.amountIn} ${order.assetIn.slice(0, 16)} → ${order.assetOut.slice(0, 16)}, ` +
+              `${order.txHash}#${order.outputIndex ?? '?'}, ${age} min old` + (order.cancelTxHash ? `, cancel ${order.cancelTxHash}` : ''));
+          }
+        }
+        process.exit(0);
+        break;
+      }
+
+      case 'poll':
+      case 'cancel-stale': {
+        const dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+        await dexInterface.initialize();
+
+        const { lucid, address } = await initializeWallet();
+        const tracker = new OrderTracker({ database, walletAddress: address, dexInterface, lucid });
+
+        if (command === 'poll') {
+          const changed = await tracker.poll();
+          console.log(`✅ ${changed.length} order(s) changed status`);
+        } else {
+          const txHashes = await tracker.cancelStaleOrders();
+          console.log(`✅ Sent ${txHashes.length} cancel transaction(s)`);
+        }
+        process.exit(0);
+        break;
+      }
+
+      default:
+        console.log("Usage:");
+        console.log("  node src/arbitrage/order-tracker.js list [status]  - Show open orders (or orders with a status)");
+        console.log("  node src/arbitrage/order-tracker.js poll           - Advance open orders and cancel stale ones");
+        console.log("  node src/arbitrage/order-tracker.js cancel-stale   - Cancel stale on-chain orders now");
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Order tracking failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default OrderTracker;
@@ -0,0 +1,160 @@
+// Round-trip simulation - Prices an ADA → ... → ADA arbitrage with the DEXs' own swap math
+//
+// Spot prices (reserveB / reserveA) ignore price impact, which grows with the trade size. Instead
+// each hop's calculateSwapOutput() result is fed into the next hop's calculateSwapOutput() and the
+// batcher and network fees of every hop are subtracted. Against constant-product pools the net
+// profit is concave in the trade size (it rises, peaks, then falls as price impact takes over),
+// so the most profitable size is found with a ternary search.
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
+
+/**
+ * Simulate a route of swaps, each hop spending everything the previous hop returned
+ * @param {Array<Object>} hops - [{adapter, pool, assetIn, assetOut}], starting and ending in ADA
+ * @param {BaseDEXAdapter} hops[].adapter - DEX the hop is swapped on
+ * @param {Object} [hops[].pool] - Pool snapshot to quote against (fetched if omitted)
+ * @param {bigint} amountIn - Lovelace spent on the first hop
+ * @returns {Promise<Object>} Per-hop outputs and costs, and the net profit
+ */
+export async function simulateRoute(hops, amountIn) {
+  const hopResults = [];
+  let amount = amountIn;
+  let batcherFeesADA = 0;
+  let networkFeesADA = 0;
+
+  for (const hop of hops) {
+    const swap = await hop.adapter.calculateSwapOutput(hop.assetIn, hop.assetOut, amount, hop.pool);
+    const fees = hopFees(hop.adapter);
+
+    hopResults.push({
+      dex: hop.adapter.name,
+      assetIn: hop.assetIn.toString(),
+      assetOut: hop.assetOut.toString(),
+      amountIn: amount,
+      amountOut: swap.amountOut,
+      tradingFee: swap.fee,
+      priceImpact: swap.priceImpact,
+      batcherFeeADA: fees.batcherFee,
+      networkFeeADA: fees.networkFee
+    });
+
+    batcherFeesADA += fees.batcherFee;
+    networkFeesADA += fees.networkFee;
+    amount = swap.amountOut;
+  }
+
+  const fixedFeesADA = batcherFeesADA + networkFeesADA;
+  const netProfitLovelace = Number(amount - amountIn) - fixedFeesADA * LOVELACE_PER_ADA;
+
+  return {
+    amountIn,
+    amountOut: amount,
+    netProfitADA: netProfitLovelace / LOVELACE_PER_ADA,
+    netProfitPercent: (netProfitLovelace / Number(amountIn)) * 100,
+    costs: { batcherFeesADA, networkFeesADA, fixedFeesADA },
+    hops: hopResults
+  };
+}
+
+/**
+ * Two-hop route buying assetB with assetA on one DEX and selling it back on another
+ * @param {Object} roundTrip
+ * @param {BaseDEXAdapter} roundTrip.buyAdapter - DEX the token is bought on
+ * @param {BaseDEXAdapter} roundTrip.sellAdapter - DEX the token is sold on
+ * @param {Object} [roundTrip.buyPool] - Pool snapshot to quote the buy against (fetched if omitted)
+ * @param {Object} [roundTrip.sellPool] - Pool snapshot to quote the sell against (fetched if omitted)
+ * @param {Asset} roundTrip.assetA - ADA
+ * @param {Asset} roundTrip.assetB - Token
+ * @returns {Array<Object>} Hops for simulateRoute() / findOptimalTradeSize()
+ */
+export function roundTripHops({ buyAdapter, sellAdapter, buyPool, sellPool, assetA, assetB }) {
+  return [
+    { adapter: buyAdapter, pool: buyPool, assetIn: assetA, assetOut: assetB },
+    { adapter: sellAdapter, pool: sellPool, assetIn: assetB, assetOut: assetA }
+  ];
+}
+
+/**
+ * Find the trade size with the highest net ADA profit
+ * @param {Array<Object>} hops - See simulateRoute()
+ * @param {Object} options
+ * @param {bigint} [options.minAmountIn] - Smallest size considered (lovelace)
+ * @param {bigint} [options.maxAmountIn] - Largest size considered (lovelace)
+ * @param {bigint} [options.precision] - Stop when the search interval is this narrow (lovelace)
+ * @returns {Promise<Object|null>} simulateRoute() result at the best size, or null if no size is profitable
+ */
+export async function findOptimalTradeSize(hops, options = {}) {
+  const minAmountIn = options.minAmountIn ?? CONFIG.ARBITRAGE_MIN_TRADE_SIZE;
+  const maxAmountIn = options.maxAmountIn ?? CONFIG.ARBITRAGE_MAX_TRADE_SIZE;
+  const precision = options.precision ?? CONFIG.ARBITRAGE_SIZE_PRECISION;
+
+  if (maxAmountIn < minAmountIn) {
+    return null;
+  }
+
+  const simulations = new Map();
+  const simulate = async (amountIn) => {
+    if (!simulations.has(amountIn)) {
+      simulations.set(amountIn, await simulateRoute(hops, amountIn).catch(() => null));
+    }
+    return simulations.get(amountIn);
+  };
+  // A size the pools can't fill counts as the worst possible outcome
+  const profitAt = async (amountIn) => (await simulate(amountIn))?.netProfitADA ?? -Infinity;
+
+  // The swaps return proportionally less the more goes in, so a route that loses value before
+  // fees at the smallest size loses at every size
+  const smallest = await simulate(minAmountIn);
+  if (!smallest || smallest.amountOut <= minAmountIn) {
+    return null;
+  }
+
+  let low = minAmountIn;
+  let high = maxAmountIn;
+  while (high - low > precision) {
+    const third = (high - low) / 3n;
+    const left = low + third;
+    const right = high - third;
+
+    if (await profitAt(left) < await profitAt(right)) {
+      low = left;
+    } else {
+      high = right;
+    }
+  }
+
+  let best = null;
+  for (const amountIn of [low, (low + high) / 2n, high]) {
+    const result = await simulate(amountIn);
+    if (result && (!best || result.netProfitADA > best.netProfitADA)) {
+      best = result;
+    }
+  }
+
+  return best && best.netProfitADA > 0 ? best : null;
+}
+
+/**
+ * Smallest output an order accepts: the quoted output less a slippage tolerance
+ * @param {bigint} amountOut - Quoted output
+ * @param {number} [slippagePercent] - Default CONFIG.DEFAULT_SLIPPAGE
+ * @returns {bigint}
+ */
+export function minimumAmountOut(amountOut, slippagePercent = CONFIG.DEFAULT_SLIPPAGE) {
+  const keptBasisPoints = BigInt(Math.round((100 - slippagePercent) * 100));
+  return (amountOut * keptBasisPoints) / 10_000n;
+}
+
+/**
+ * Fixed per-swap fees of a DEX in ADA
+ * @private
+ */
+function hopFees(adapter) {
+  const fees = adapter.getFeeStructure();
+  return {
+    batcherFee: fees.batcherFee || 0,
+    networkFee: fees.networkFee ?? CONFIG.NETWORK_FEE_ESTIMATE
+  };
+}
+
+export default findOptimalTradeSize;
@@ -0,0 +1,153 @@
+// Route Graph - Pools between ADA and the supported tokens, searched for arbitrage cycles
+//
+// Every asset is a node and every pool an adapter can quote is a pair of directed edges (one per
+// swap direction), so token/token pools such as MIN/SUNDAE connect tokens directly. A cycle that
+// starts and ends in ADA, e.g. ADA→MIN (Minswap)→SUNDAE (SundaeSwap)→ADA (WingRiders), is a
+// candidate route for the round-trip simulation. An edge's price is units of its `to` asset per
+// unit of its `from` asset, so the two edges of a pool carry inverse prices.
+//
+// Most token/token pairs have no pool anywhere. Pairs that came back empty are skipped until the
+// next discovery pass (CONFIG.ROUTE_DISCOVERY_INTERVAL), so a refresh only re-quotes known pools.
+import { Asset } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
+
+export class RouteGraph {
+  /**
+   * @param {UnifiedDEXInterface} dexInterface
+   * @param {Object} options
+   * @param {number} [options.maxHops] - Longest cycle searched (default CONFIG.MAX_ROUTE_HOPS)
+   * @param {number} [options.discoveryInterval] - How long empty pairs are skipped (ms)
+   * @param {Array<Object>} [options.tokens] - Token definitions (default CONFIG.SUPPORTED_TOKENS)
+   */
+  constructor(dexInterface, options = {}) {
+    this.dexInterface = dexInterface;
+    this.maxHops = options.maxHops ?? CONFIG.MAX_ROUTE_HOPS;
+    this.discoveryInterval = options.discoveryInterval ?? CONFIG.ROUTE_DISCOVERY_INTERVAL;
+
+    const tokens = options.tokens || Object.values(CONFIG.SUPPORTED_TOKENS);
+    this.nodes = [
+      { unit: 'lovelace', symbol: 'ADA', asset: Asset.fromString('lovelace'), tokenInfo: null },
+      ...tokens.map(token => ({
+        unit: token.fullUnit,
+        symbol: token.symbol,
+        asset: Asset.fromString(token.fullUnit),
+        tokenInfo: token
+      }))
+    ];
+
+    this.edges = new Map(); // unit -> outgoing edges
+    this.emptyPairs = new Set();
+    this.lastDiscovery = null;
+    this.refreshedAt = null;
+  }
+
+  /**
+   * Quote every asset pair on every DEX and rebuild the edges
+   * @returns {Promise<{pairs: number, edges: number}>} Pairs with at least one pool, directed edges
+   */
+  async refresh() {
+    const discovering = !this.lastDiscovery || Date.now() - this.lastDiscovery >= this.discoveryInterval;
+    if (discovering) {
+      this.emptyPairs.clear();
+    }
+
+    const edges = new Map(this.nodes.map(node => [node.unit, []]));
+    let pairs = 0;
+    let edgeCount = 0;
+
+    for (let i = 0; i < this.nodes.length; i++) {
+      for (let j = i + 1; j < this.nodes.length; j++) {
+        const from = this.nodes[i];
+        const to = this.nodes[j];
+        const key = `${from.unit}|${to.unit}`;
+
+        if (this.emptyPairs.has(key)) {
+          continue;
+        }
+
+        const quotes = await this.dexInterface.getAllPrices(from.asset, to.asset);
+        if (quotes.length === 0) {
+          if (discovering) {
+            this.emptyPairs.add(key);
+          }
+          continue;
+        }
+
+        pairs++;
+        for (const quote of quotes) {
+          // Quotes are `to` per `from`; the reverse swap gets the inverse
+          edges.get(from.unit).push({ dex: quote.dex, from, to, pool: quote.pool, price: quote.price });
+          edges.get(to.unit).push({ dex: quote.dex, from: to, to: from, pool: quote.pool, price: quote.price > 0 ? 1 / quote.price : 0 });
+          edgeCount += 2;
+        }
+      }
+    }
+
+    if (discovering) {
+      this.lastDiscovery = Date.now();
+    }
+    this.edges = edges;
+    this.refreshedAt = Date.now();
+
+    return { pairs, edges: edgeCount };
+  }
+
+  /**
+   * Enumerate cycles through the graph that start and end in ADA
+   * Assets are not revisited within a cycle, and a two-hop cycle never swaps back through the
+   * pool it just used.
+   * @param {Object} options
+   * @param {number} [options.minHops=2]
+   * @param {number} [options.maxHops] - Default this.maxHops
+   * @returns {Array<Array<Object>>} Cycles as edge lists ({dex, from, to, pool, price})
+   */
+  findCycles({ minHops = 2, maxHops = this.maxHops } = {}) {
+    const start = 'lovelace';
+    const cycles = [];
+    const visited = new Set([start]);
+
+    const walk = (path) => {
+      const current = path.length > 0 ? path[path.length - 1].to.unit : start;
+
+      for (const edge of this.edges.get(current) || []) {
+        const hops = path.length + 1;
+
+        if (edge.to.unit === start) {
+          if (hops >= minHops && !(hops === 2 && edge.dex === path[0].dex)) {
+            cycles.push([...path, edge]);
+          }
+          continue;
+        }
+
+        if (hops < maxHops && !visited.has(edge.to.unit)) {
+          visited.add(edge.to.unit);
+          walk([...path, edge]);
+          visited.delete(edge.to.unit);
+        }
+      }
+    };
+
+    walk([]);
+    return cycles;
+  }
+
+  /**
+   * Symbol of an asset unit ('lovelace' is ADA)
+   * @param {string} unit
+   * @returns {string}
+   */
+  symbolOf(unit) {
+    return this.nodes.find(node => node.unit === unit)?.symbol || unit;
+  }
+}
+
+/**
+ * Per-hop prices of a route, e.g. "Minswap @ 412.5 → SundaeSwap @ 0.0031 → WingRiders @ 0.00079"
+ * @param {Array<{dex: string, price: number}>} route - Route hops with their edge prices
+ * @returns {string}
+ */
+export function formatHopPrices(route) {
+  return route.map(hop => `${hop.dex} @ ${Number(hop.price).toPrecision(6)}`).join(' → ');
+}
+
+export default RouteGraph;
@@ -2,13 +2,26 @@
 import cron from 'node-cron';
 import { NetworkId, Asset } from "@minswap/sdk";
 import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
-import { JSONDatabase } from "../utils/json-database.js";
+import { DexHunterAdapter } from "../dex/dexhunter-adapter.js";
+import { findOptimalTradeSize, roundTripHops } from "./round-trip.js";
+import { RouteGraph, formatHopPrices } from "./route-graph.js";
+import { createDatabase } from "../utils/database.js";
 import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
 
 export class ArbitrageScanner {
-  constructor() {
-    this.dexInterface = null;
-    this.database = new JSONDatabase();
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} [options.dexInterface] - Shared DEX interface (created if omitted)
+   * @param {JSONDatabase|SQLiteDatabase} [options.database] - Shared database (created if omitted)
+   * @param {DexHunterAdapter} [options.benchmark] - Aggregator quoting each opportunity's legs
+   *   (created from CONFIG.DEXHUNTER when the benchmark is enabled and a partner id is set)
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface || null;
+    this.database = options.database || createDatabase();
+    this.routeGraph = null;
+    this.benchmark = options.benchmark || null;
     this.isRunning = false;
     this.cronJob = null;
     this.lastScanTime = null;
@@ -28,12 +41,22 @@ export class ArbitrageScanner {
     try {
       console.log("🔧 Initializing Arbitrage Scanner...");
       
-      // Initialize database
-      await this.database.initialize();
+      // Initialize database (skipped when a shared, already initialized one was passed in)
+      if (!this.database.initialized) {
+        await this.database.initialize();
+      }
       
       // Initialize DEX interface
-      this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
-      await this.dexInterface.initialize();
+      if (!this.dexInterface) {
+        this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+      }
+      if (!this.dexInterface.isInitialized) {
+        await this.dexInterface.initialize();
+      }
+      
+      this.routeGraph = new RouteGraph(this.dexInterface);
+      
+      await this._initializeBenchmark();
       
       console.log("✅ Arbitrage Scanner initialized successfully");
       return true;
@@ -101,11 +124,7 @@ export class ArbitrageScanner {
       
       for (const pair of this.tokenPairs) {
         try {
-          const opportunity = await this.detectArbitrageForPair(
-            pair.assetA, 
-            pair.assetB, 
-            CONFIG.DEFAULT_SWAP_AMOUNT
-          );
+          const opportunity = await this.detectArbitrageForPair(pair.assetA, pair.assetB);
           
           if (opportunity) {
             opportunities.push({
@@ -114,10 +133,13 @@ export class ArbitrageScanner {
               assetInfo: pair.tokenInfo
             });
             
-            console.log(`🚨 ARBITRAGE FOUND: ${pair.symbol}`);
+            console.log(`${opportunity.executable ? '🚨 ARBITRAGE FOUND' : '👀 OBSERVE-ONLY ARBITRAGE'}: ${pair.symbol}`);
             console.log(`   Buy: ${opportunity.buyDEX} @ ${opportunity.buyPrice.toFixed(6)}`);
             console.log(`   Sell: ${opportunity.sellDEX} @ ${opportunity.sellPrice.toFixed(6)}`);
-            console.log(`   Profit: ${opportunity.netProfitPercent.toFixed(2)}%`);
+            console.log(`   Size: ${(Number(opportunity.amountIn) / LOVELACE_PER_ADA).toFixed(1)} ADA`);
+            console.log(`   Profit: ${opportunity.estimatedProfitADA.toFixed(3)} ADA (${opportunity.netProfitPercent.toFixed(2)}%)`);
+            this._logObserveOnly(opportunity);
+            this._logBenchmark(opportunity);
           } else {
             console.log(`   ${pair.symbol}: No profitable arbitrage`);
           }
@@ -127,6 +149,18 @@ export class ArbitrageScanner {
         }
       }
       
+      // Multi-hop routes, including token/token pools
+      for (const opportunity of await this.detectRouteArbitrage()) {
+        opportunities.push(opportunity);
+        
+        console.log(`${opportunity.executable ? '🚨 ROUTE ARBITRAGE FOUND' : '👀 OBSERVE-ONLY ROUTE ARBITRAGE'}: ${opportunity.pair}`);
+        console.log(`   Route: ${formatHopPrices(opportunity.route)}`);
+        console.log(`   Size: ${(Number(opportunity.amountIn) / LOVELACE_PER_ADA).toFixed(1)} ADA`);
+        console.log(`   Profit: ${opportunity.estimatedProfitADA.toFixed(3)} ADA (${opportunity.netProfitPercent.toFixed(2)}%)`);
+        this._logObserveOnly(opportunity);
+        this._logBenchmark(opportunity);
+      }
+      
       // Store opportunities in database
       if (opportunities.length > 0) {
         await this.database.insertMany('arbitrage_opportunities', opportunities);
@@ -134,8 +168,8 @@ export class ArbitrageScanner {
         
         console.log(`💾 Stored ${opportunities.length} arbitrage opportunities`);
         
-        // Send alerts for high-profit opportunities
-        const highProfitOps = opportunities.filter(op => op.netProfitPercent > 5);
+        // Send alerts for high-profit opportunities we could actually trade
+        const highProfitOps = opportunities.filter(op => op.executable && op.netProfitPercent > 5);
         if (highProfitOps.length > 0) {
           await this.sendHighProfitAlert(highProfitOps);
         }
@@ -147,7 +181,8 @@ export class ArbitrageScanner {
       
       const duration = Date.now() - startTime;
       console.log(`✅ Arbitrage scan completed in ${duration}ms`);
-      console.log(`📊 Total found: ${opportunities.length} | Session total: ${this.opportunitiesFound}`);
+      const executable = opportunities.filter(op => op.executable).length;
+      console.log(`📊 Total found: ${opportunities.length} (${executable} executable) | Session total: ${this.opportunitiesFound}`);
       
       // Clean old opportunities (keep last 24 hours)
       if (this.scanCount % 50 === 0) { // Clean every 50 scans
@@ -159,157 +194,307 @@ export class ArbitrageScanner {
     }
   }
 
+  /**
+   * Find current opportunities on every monitored pair and route, without storing or alerting
+   * @param {Object} [sizeLimits] - {minAmountIn, maxAmountIn} in lovelace, defaults from CONFIG
+   * @returns {Promise<Array<Object>>} Most profitable first, tagged executable or not
+   */
+  async findOpportunities(sizeLimits = {}) {
+    const opportunities = [];
+    
+    for (const pair of this.tokenPairs) {
+      try {
+        const opportunity = await this.detectArbitrageForPair(pair.assetA, pair.assetB, sizeLimits);
+        if (opportunity) {
+          opportunities.push({
+            ...opportunity,
+            pair: pair.symbol,
+            assetInfo: pair.tokenInfo
+          });
+        }
+      } catch (error) {
+        console.log(`   ${pair.symbol}: Scan error - ${error.message}`);
+      }
+    }
+    
+    opportunities.push(...await this.detectRouteArbitrage(sizeLimits));
+    
+    return opportunities.sort((a, b) => b.netProfitPercent - a.netProfitPercent);
+  }
+
   /**
    * Detect arbitrage opportunity for a specific token pair
-   * @param {Asset} assetA 
-   * @param {Asset} assetB 
-   * @param {bigint} amountIn 
+   * Every ordered pair of DEXs quoting the pair is simulated as a round trip (buy assetB on one,
+   * sell it back on the other) at the size that maximizes net ADA profit; the best route wins.
+   * Routes whose DEXs can all execute swaps beat observe-only routes, which are only reported
+   * (tagged executable: false) when no executable route is profitable.
+   * @param {Asset} assetA - ADA
+   * @param {Asset} assetB - Token
+   * @param {Object} [sizeLimits] - {minAmountIn, maxAmountIn} in lovelace, defaults from CONFIG
    * @returns {Promise<Object|null>}
    */
-  async detectArbitrageForPair(assetA, assetB, amountIn) {
+  async detectArbitrageForPair(assetA, assetB, sizeLimits = {}) {
     try {
-      // Get prices from all DEXs
+      // Get prices (and the pools behind them) from all DEXs
       const prices = await this.dexInterface.getAllPrices(assetA, assetB);
       
       if (prices.length < 2) {
         return null; // Need at least 2 DEXs for arbitrage
       }
 
-      // Find highest and lowest prices
-      const sortedPrices = prices.sort((a, b) => a.price - b.price);
-      const lowestPrice = sortedPrices[0];
-      const highestPrice = sortedPrices[sortedPrices.length - 1];
+      let best = null;
+      for (const buyQuote of prices) {
+        for (const sellQuote of prices) {
+          if (buyQuote.dex === sellQuote.dex) {
+            continue;
+          }
 
-      if (lowestPrice.dex === highestPrice.dex) {
-        return null; // Same DEX, no arbitrage possible
+          const trade = await findOptimalTradeSize(roundTripHops({
+            buyAdapter: this.dexInterface.getDEXAdapter(buyQuote.dex),
+            sellAdapter: this.dexInterface.getDEXAdapter(sellQuote.dex),
+            buyPool: buyQuote.pool,
+            sellPool: sellQuote.pool,
+            assetA,
+            assetB
+          }), sizeLimits);
+
+          const candidate = { buyQuote, sellQuote, trade, ...this._executability([buyQuote.dex, sellQuote.dex]) };
+          if (trade && this._isBetterRoute(candidate, best)) {
+            best = candidate;
+          }
+        }
+      }
+
+      // Check if profitable after all costs
+      if (!best || best.trade.netProfitPercent <= CONFIG.ARBITRAGE_PROFIT_THRESHOLD) {
+        return null;
       }
 
-      // Calculate basic price difference
-      const priceDifference = highestPrice.price - lowestPrice.price;
-      const percentDifference = (priceDifference / lowestPrice.price) * 100;
+      const { buyQuote, sellQuote, trade, executable, observeOnlyDEXs } = best;
+      const percentDifference = Math.abs(sellQuote.price - buyQuote.price) / Math.min(sellQuote.price, buyQuote.price) * 100;
+      const benchmark = await this._benchmarkLegs([
+        { dex: buyQuote.dex, assetIn: assetA, assetOut: assetB, ...amounts(trade.hops[0]) },
+        { dex: sellQuote.dex, assetIn: assetB, assetOut: assetA, ...amounts(trade.hops[1]) }
+      ]);
 
-      // Get fee structures for both DEXs
-      const buyDEXAdapter = this.dexInterface.getDEXAdapter(lowestPrice.dex);
-      const sellDEXAdapter = this.dexInterface.getDEXAdapter(highestPrice.dex);
+      return {
+        profitable: true,
+        buyDEX: buyQuote.dex,
+        sellDEX: sellQuote.dex,
+        buyPrice: buyQuote.price,
+        sellPrice: sellQuote.price,
+        percentDifference,
+        netProfitPercent: trade.netProfitPercent,
+        estimatedProfitADA: trade.netProfitADA,
+        costs: trade.costs,
+        amountIn: trade.amountIn.toString(), // Optimal trade size in lovelace
+        expectedTokens: trade.hops[0].amountOut.toString(),
+        expectedAmountOut: trade.amountOut.toString(),
+        route: trade.hops,
+        executable,
+        observeOnlyDEXs,
+        benchmark,
+        timestamp: Date.now(),
+        // Additional data for execution
+        buyPool: buyQuote.pool,
+        sellPool: sellQuote.pool,
+        allPrices: prices
+      };
       
-      const buyFees = buyDEXAdapter.getFeeStructure();
-      const sellFees = sellDEXAdapter.getFeeStructure();
+    } catch (error) {
+      console.error("Error detecting arbitrage for pair:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Detect multi-hop arbitrage: cycles of 3 up to CONFIG.MAX_ROUTE_HOPS swaps through the route graph
+   * Direct ADA/token round trips are covered by detectArbitrageForPair(). Of the routes through
+   * the same assets, only the most profitable DEX combination is reported, preferring combinations
+   * whose DEXs can all execute swaps.
+   * @param {Object} [sizeLimits] - {minAmountIn, maxAmountIn} in lovelace, defaults from CONFIG
+   * @returns {Promise<Array<Object>>} Profitable routes, most profitable first
+   */
+  async detectRouteArbitrage(sizeLimits = {}) {
+    if (!this.routeGraph || this.routeGraph.maxHops < 3) {
+      return [];
+    }
 
-      // Calculate comprehensive costs
-      const costs = this.calculateArbitrageCosts(
-        Number(amountIn),
-        lowestPrice.price,
-        highestPrice.price,
-        buyFees,
-        sellFees
-      );
+    try {
+      await this.routeGraph.refresh();
 
-      // Net profit calculation
-      const netProfitPercent = percentDifference - costs.totalFeePercent - costs.slippagePercent;
+      const bestByPath = new Map();
+      for (const cycle of this.routeGraph.findCycles({ minHops: 3 })) {
+        const trade = await findOptimalTradeSize(cycle.map(edge => ({
+          adapter: this.dexInterface.getDEXAdapter(edge.dex),
+          pool: edge.pool,
+          assetIn: edge.from.asset,
+          assetOut: edge.to.asset
+        })), sizeLimits);
 
-      // Check if profitable after all costs
-      if (netProfitPercent > CONFIG.ARBITRAGE_PROFIT_THRESHOLD) {
-        return {
+        if (!trade || trade.netProfitPercent <= CONFIG.ARBITRAGE_PROFIT_THRESHOLD) {
+          continue;
+        }
+
+        const path = [cycle[0].from, ...cycle.map(edge => edge.to)].map(node => node.symbol).join('→');
+        const candidate = { path, cycle, trade, ...this._executability(cycle.map(edge => edge.dex)) };
+        if (this._isBetterRoute(candidate, bestByPath.get(path))) {
+          bestByPath.set(path, candidate);
+        }
+      }
+
+      const opportunities = [];
+      for (const { path, cycle, trade, executable, observeOnlyDEXs } of bestByPath.values()) {
+        const benchmark = await this._benchmarkLegs(cycle.map((edge, index) => ({
+          dex: edge.dex,
+          assetIn: edge.from.asset,
+          assetOut: edge.to.asset,
+          ...amounts(trade.hops[index])
+        })));
+
+        opportunities.push({
           profitable: true,
-          buyDEX: lowestPrice.dex,
-          sellDEX: highestPrice.dex,
-          buyPrice: lowestPrice.price,
-          sellPrice: highestPrice.price,
-          priceDifference,
-          percentDifference,
-          netProfitPercent,
-          estimatedProfitADA: costs.estimatedProfitADA,
-          costs,
-          amountIn: amountIn.toString(),
+          pair: path,
+          buyDEX: cycle[0].dex,
+          sellDEX: cycle[cycle.length - 1].dex,
+          // The hops trade different pairs, so there is no single buy/sell price: see route[].price
+          buyPrice: null,
+          sellPrice: null,
+          netProfitPercent: trade.netProfitPercent,
+          estimatedProfitADA: trade.netProfitADA,
+          costs: trade.costs,
+          amountIn: trade.amountIn.toString(),
+          expectedAmountOut: trade.amountOut.toString(),
+          route: trade.hops.map((hop, index) => ({ ...hop, price: cycle[index].price })),
+          executable,
+          observeOnlyDEXs,
+          benchmark,
           timestamp: Date.now(),
-          // Additional data for execution
-          buyPool: lowestPrice.pool,
-          sellPool: highestPrice.pool,
-          allPrices: prices
-        };
+          buyPool: cycle[0].pool,
+          sellPool: cycle[cycle.length - 1].pool,
+          assetInfo: cycle[0].to.tokenInfo
+        });
       }
 
-      return null;
+      return opportunities.sort((a, b) => b.estimatedProfitADA - a.estimatedProfitADA);
       
     } catch (error) {
-      console.error("Error detecting arbitrage for pair:", error);
-      return null;
+      console.error("Error detecting route arbitrage:", error);
+      return [];
     }
   }
 
   /**
-   * Calculate comprehensive arbitrage costs
-   * @param {number} amountInADA 
-   * @param {number} buyPrice 
-   * @param {number} sellPrice 
-   * @param {Object} buyFees 
-   * @param {Object} sellFees 
-   * @returns {Object}
+   * Whether every DEX of a route can execute swaps
+   * @param {Array<string>} dexNames
+   * @returns {{executable: boolean, observeOnlyDEXs: Array<string>}}
+   * @private
    */
-  calculateArbitrageCosts(amountInADA, buyPrice, sellPrice, buyFees, sellFees) {
-    // Convert to numbers for calculation
-    const amountADA = amountInADA / 1_000_000; // Convert from lovelace
-    
-    // Trading fees
-    const buyTradingFee = buyFees.tradingFee * 100; // Convert to percentage
-    const sellTradingFee = sellFees.tradingFee * 100;
-    
-    // Network fees (in ADA)
-    const buyNetworkFee = buyFees.networkFee || 0.3;
-    const sellNetworkFee = sellFees.networkFee || 0.3;
-    
-    // Batcher fees (in ADA)
-    const buyBatcherFee = buyFees.batcherFee || 0.7;
-    const sellBatcherFee = sellFees.batcherFee || 0.7;
-    
-    // Slippage estimation (higher for larger trades)
-    const estimatedSlippage = this.estimateSlippage(amountADA);
-    
-    // Calculate total costs
-    const totalTradingFeePercent = buyTradingFee + sellTradingFee;
-    const totalNetworkFeesADA = buyNetworkFee + sellNetworkFee;
-    const totalBatcherFeesADA = buyBatcherFee + sellBatcherFee;
-    const totalFixedFeesADA = totalNetworkFeesADA + totalBatcherFeesADA;
-    
-    // Convert fixed fees to percentage of trade amount
-    const fixedFeesPercent = (totalFixedFeesADA / amountADA) * 100;
-    
-    const totalFeePercent = totalTradingFeePercent + fixedFeesPercent;
-    const slippagePercent = estimatedSlippage;
-    
-    // Estimate profit calculation
-    const tokensReceived = amountADA * buyPrice * (1 - totalTradingFeePercent / 100);
-    const adaFromSale = tokensReceived * sellPrice * (1 - sellTradingFee / 100);
-    const finalADA = adaFromSale - totalFixedFeesADA;
-    const estimatedProfitADA = finalADA - amountADA;
-    
-    return {
-      totalFeePercent,
-      slippagePercent,
-      estimatedProfitADA,
-      breakdown: {
-        buyTradingFee: `${buyTradingFee}%`,
-        sellTradingFee: `${sellTradingFee}%`,
-        totalTradingFees: `${totalTradingFeePercent}%`,
-        networkFees: `${totalNetworkFeesADA} ADA`,
-        batcherFees: `${totalBatcherFeesADA} ADA`,
-        totalFixedFees: `${totalFixedFeesADA} ADA`,
-        estimatedSlippage: `${estimatedSlippage}%`
+  _executability(dexNames) {
+    const observeOnlyDEXs = this.dexInterface.getNonExecutableDEXs(dexNames);
+    return { executable: observeOnlyDEXs.length === 0, observeOnlyDEXs };
+  }
+
+  /**
+   * Executable routes first, then the higher net profit
+   * @private
+   */
+  _isBetterRoute(candidate, best) {
+    if (!best) {
+      return true;
+    }
+    if (candidate.executable !== best.executable) {
+      return candidate.executable;
+    }
+    return candidate.trade.netProfitADA > best.trade.netProfitADA;
+  }
+
+  /**
+   * @private
+   */
+  _logObserveOnly(opportunity) {
+    if (!opportunity.executable) {
+      console.log(`   Not executable: ${opportunity.observeOnlyDEXs.join(', ')} can only quote`);
+    }
+  }
+
+  /**
+   * Create the DexHunter benchmark when it is enabled and configured
+   * Without a partner id the scanner runs without a benchmark; so it does when the aggregator
+   * adapter can't be initialized.
+   * @private
+   */
+  async _initializeBenchmark() {
+    if (!this.benchmark) {
+      if (!CONFIG.DEXHUNTER.BENCHMARK || !CONFIG.DEXHUNTER.PARTNER_ID) {
+        return;
       }
-    };
+      this.benchmark = new DexHunterAdapter(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    }
+
+    if (!this.benchmark.isInitialized) {
+      try {
+        await this.benchmark.initialize();
+      } catch (error) {
+        console.warn(`⚠️ DexHunter benchmark disabled: ${error.message}`);
+        this.benchmark = null;
+      }
+    }
+  }
+
+  /**
+   * Quote every leg of an opportunity with the aggregator, for the same input as our route
+   * edgePercent is how much more (or, when negative, less) our DEX pays than the aggregator's
+   * best route. A negative edge means the route's estimate could be beaten by routing that leg
+   * through the aggregator.
+   * @param {Array<{dex: string, assetIn: Asset, assetOut: Asset, amountIn: bigint, amountOut: bigint}>} legs
+   * @returns {Promise<Object|null>} {source, legs, worstEdgePercent}, or null without a benchmark
+   * @private
+   */
+  async _benchmarkLegs(legs) {
+    if (!this.benchmark) {
+      return null;
+    }
+
+    try {
+      const benchmarked = [];
+      for (const leg of legs) {
+        const { amountOut: aggregatorAmountOut } = await this.benchmark.estimateSwap(leg.assetIn, leg.assetOut, leg.amountIn);
+        benchmarked.push({
+          dex: leg.dex,
+          amountIn: leg.amountIn.toString(),
+          amountOut: leg.amountOut.toString(),
+          aggregatorAmountOut: aggregatorAmountOut.toString(),
+          edgePercent: aggregatorAmountOut > 0n
+            ? (Number(leg.amountOut) - Number(aggregatorAmountOut)) / Number(aggregatorAmountOut) * 100
+            : null
+        });
+      }
+
+      const edges = benchmarked.map(leg => leg.edgePercent).filter(edge => edge !== null);
+      return {
+        source: this.benchmark.name,
+        legs: benchmarked,
+        worstEdgePercent: edges.length > 0 ? Math.min(...edges) : null
+      };
+    } catch (error) {
+      console.log(`   ${this.benchmark.name} benchmark unavailable: ${error.message}`);
+      return null;
+    }
   }
 
   /**
-   * Estimate slippage based on trade size
-   * @param {number} amountADA 
-   * @returns {number} Slippage percentage
+   * @private
    */
-  estimateSlippage(amountADA) {
-    // Simple slippage model - larger trades have higher slippage
-    if (amountADA < 10) return 0.1; // 0.1% for small trades
-    if (amountADA < 100) return 0.3; // 0.3% for medium trades
-    if (amountADA < 1000) return 0.7; // 0.7% for large trades
-    return 1.5; // 1.5% for very large trades
+  _logBenchmark(opportunity) {
+    if (!opportunity.benchmark) {
+      return;
+    }
+
+    const legs = opportunity.benchmark.legs
+      .map(leg => `${leg.dex} ${leg.edgePercent === null ? 'n/a' : `${leg.edgePercent >= 0 ? '+' : ''}${leg.edgePercent.toFixed(2)}%`}`)
+      .join(', ');
+    console.log(`   vs ${opportunity.benchmark.source}: ${legs}`);
   }
 
   /**
@@ -323,8 +508,12 @@ export class ArbitrageScanner {
     for (const op of opportunities) {
       console.log(`💰 ${op.pair}:`);
       console.log(`   Profit: ${op.netProfitPercent.toFixed(2)}%`);
-      console.log(`   Buy: ${op.buyDEX} @ ${op.buyPrice.toFixed(6)}`);
-      console.log(`   Sell: ${op.sellDEX} @ ${op.sellPrice.toFixed(6)}`);
+      if (op.buyPrice === null) {
+        console.log(`   Route: ${formatHopPrices(op.route)}`);
+      } else {
+        console.log(`   Buy: ${op.buyDEX} @ ${op.buyPrice.toFixed(6)}`);
+        console.log(`   Sell: ${op.sellDEX} @ ${op.sellPrice.toFixed(6)}`);
+      }
       console.log(`   Estimated Profit: ${op.estimatedProfitADA.toFixed(3)} ADA`);
       console.log("");
     }
@@ -347,13 +536,17 @@ export class ArbitrageScanner {
    * Get arbitrage statistics
    */
   async getStats() {
-    const opportunities = await this.database.select('arbitrage_opportunities');
     const now = Date.now();
     const oneHour = 60 * 60 * 1000;
     const oneDay = 24 * 60 * 60 * 1000;
+
+    // Opportunities are pruned after 24h, so the last day's partitions hold (nearly) all of them
+    const total = await this.database.count('arbitrage_opportunities');
+    const dailyOps = await this.database.selectByTimeRange('arbitrage_opportunities', now - oneDay + 1, now);
+    const hourlyOps = dailyOps.filter(op => op.timestamp > now - oneHour);
     
-    const hourlyOps = opportunities.filter(op => op.timestamp > now - oneHour);
-    const dailyOps = opportunities.filter(op => op.timestamp > now - oneDay);
+    // Profit figures only count opportunities every DEX of the route could have executed
+    const executableOps = dailyOps.filter(op => op.executable === true);
     
     return {
       scanner: {
@@ -364,14 +557,16 @@ export class ArbitrageScanner {
         opportunitiesFound: this.opportunitiesFound
       },
       opportunities: {
-        total: opportunities.length,
+        total,
         lastHour: hourlyOps.length,
         last24h: dailyOps.length,
-        avgProfitPercent: opportunities.length > 0 
-          ? opportunities.reduce((sum, op) => sum + op.netProfitPercent, 0) / opportunities.length 
+        executableLast24h: executableOps.length,
+        observeOnlyLast24h: dailyOps.length - executableOps.length,
+        avgProfitPercent: executableOps.length > 0 
+          ? executableOps.reduce((sum, op) => sum + op.netProfitPercent, 0) / executableOps.length 
           : 0,
-        maxProfitPercent: opportunities.length > 0 
-          ? Math.max(...opportunities.map(op => op.netProfitPercent)) 
+        maxProfitPercent: executableOps.length > 0 
+          ? Math.max(...executableOps.map(op => op.netProfitPercent)) 
           : 0
       }
     };
@@ -401,6 +596,14 @@ export class ArbitrageScanner {
   }
 }
 
+/**
+ * Input and output of a simulated hop
+ * @private
+ */
+function amounts(hop) {
+  return { amountIn: hop.amountIn, amountOut: hop.amountOut };
+}
+
 // CLI functionality if run directly
 async function main() {
   const scanner = new ArbitrageScanner();
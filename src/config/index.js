@@ -12,18 +12,90 @@ export const CONFIG = {
   DEFAULT_SWAP_AMOUNT: 1_000_000n, // 1 ADA in lovelace
   DEFAULT_SLIPPAGE: 0.5, // 0.5%
   ARBITRAGE_PROFIT_THRESHOLD: 2.0, // 2% minimum profit
+  ARBITRAGE_MIN_TRADE_SIZE: 5_000_000n, // Smallest round trip the scanner sizes (5 ADA)
+  ARBITRAGE_MAX_TRADE_SIZE: 1_000_000_000n, // Largest round trip the scanner sizes (1,000 ADA)
+  ARBITRAGE_SIZE_PRECISION: 100_000n, // Trade size search resolution (0.1 ADA)
+  MAX_ROUTE_HOPS: 3, // Longest arbitrage cycle searched (2 = direct ADA/token round trips only)
+  ROUTE_DISCOVERY_INTERVAL: 60 * 60 * 1000, // Re-check token pairs without pools every hour
+  // How arbitrage legs are placed (src/arbitrage/executor.js):
+  //   "sequential" - each leg is placed after the previous leg's order transaction confirms
+  //   "chained"    - every leg is quoted first, then placed right away as a kill-on-failed order, later
+  //                  legs spending tokens the wallet already holds instead of waiting for earlier fills.
+  //                  Needs a token inventory: the wallet must already hold what every leg after the
+  //                  first sells, so an ADA-only wallet never chains
+  ARBITRAGE_EXECUTION_MODE: process.env.ARBITRAGE_EXECUTION_MODE || "sequential",
+  // What chained mode does with a route it can't chain (a DEX without kill-on-failed orders, or not
+  // enough token inventory): "sequential" runs it leg by leg, "skip" leaves the opportunity alone
+  ARBITRAGE_CHAIN_FALLBACK: process.env.ARBITRAGE_CHAIN_FALLBACK || "sequential",
+  // Batcher order lifecycle (src/arbitrage/order-tracker.js)
+  ORDER_TRACKING: {
+    POLL_INTERVAL: 10000, // Check open orders every 10 seconds while waiting on them
+    SUBMIT_TIMEOUT: 10 * 60 * 1000, // A submitted order not on-chain after 10 minutes expires...
+    EXPIRED_RECHECK_WINDOW: 2 * 60 * 60 * 1000, // ...but its transaction may still land, so look for it for 2 more hours
+    SETTLEMENT_TIMEOUT: 5 * 60 * 1000, // How long a sequential arbitrage leg waits for its fill
+    STALE_ORDER_AGE: 30 * 60 * 1000, // Orders open on-chain this long are stale...
+    AUTO_CANCEL_STALE: true // ...and get cancelled where the DEX supports it
+  },
+  // Unwinding tokens left over when a later arbitrage leg fails (src/arbitrage/inventory-recovery.js)
+  INVENTORY_RECOVERY: {
+    // "immediate" sells at market on the next pass, "limit" waits for the limit return,
+    // "time" waits for the limit return until MAX_HOLD_TIME and then sells at market
+    POLICY: process.env.INVENTORY_RECOVERY_POLICY || "time",
+    LIMIT_MIN_RETURN_PERCENT: 0, // Limit: sell once proceeds reach the ADA spent plus this % (0 = break even)
+    MAX_HOLD_TIME: 60 * 60 * 1000, // "time" policy sells at market after an hour
+    RETRY_INTERVAL: 2 * 60 * 1000 // Wait between sell attempts for the same position
+  },
+  // Resting limit orders (src/trading/limit-orders.js)
+  LIMIT_ORDERS: {
+    DEX: "Minswap", // DEX limit orders are placed on (needs the limitOrders capability)
+    DEFAULT_EXPIRY: 7 * 24 * 60 * 60 * 1000, // Orders placed without an expiry expire after a week
+    MAX_CANCELLATION_TIP: 300_000n, // Lovelace a batcher may keep for cancelling one of our expired orders
+    AUTO_CANCEL_EXPIRED: true // The bot loop cancels expired orders itself
+  },
+  // Stop-loss / take-profit orders protecting token buys (src/trading/position-manager.js), with
+  // triggers from STOP_LOSS_PERCENT and TAKE_PROFIT_PERCENT below
+  POSITION_MANAGER: {
+    ENABLED: process.env.POSITION_PROTECTION !== "false",
+    DEX: "Minswap", // Fallback DEX for the protective order when the buy's DEX has no stop orders
+    PROTECTED_STRATEGIES: ["limit", "dca", "manual"], // Buys protected by order context strategy (not arbitrage legs, which go to inventory recovery)
+    PROTECT_WINDOW: 24 * 60 * 60 * 1000 // Only buys filled in the last 24 hours get protected
+  },
+  // Dollar-cost averaging into a token on a schedule (src/trading/dca.js)
+  DCA: {
+    ENABLED: process.env.DCA_ENABLED === "true", // Run the scheduler inside the main bot
+    TOKEN: process.env.DCA_TOKEN || "CATSKY", // Symbol from SUPPORTED_TOKENS
+    SCHEDULE: process.env.DCA_SCHEDULE || "0 */6 * * *", // node-cron expression: every 6 hours
+    AMOUNT_ADA: Number(process.env.DCA_AMOUNT_ADA || 10), // ADA spent per buy
+    MAX_SLIPPAGE: Number(process.env.DCA_MAX_SLIPPAGE || 1), // Percent below the quote a buy may fill at
+    PRICE_CEILING_ADA: process.env.DCA_PRICE_CEILING_ADA ? Number(process.env.DCA_PRICE_CEILING_ADA) : null, // Skip buys quoted above this ADA per token unit (null = no ceiling)
+    BUDGET_ADA: Number(process.env.DCA_BUDGET_ADA || 100) // Total ADA all DCA buys may spend
+  },
   MAX_POSITION_SIZE: 0.1, // 10% of portfolio max per trade
   
   // Risk Management
   DAILY_LOSS_LIMIT: 0.05, // 5% daily loss limit
   STOP_LOSS_PERCENT: -0.02, // 2% stop loss
+  TAKE_PROFIT_PERCENT: 0.05, // 5% take profit (null = protect buys with a stop-loss only)
   MIN_LIQUIDITY_ADA: 10_000, // Minimum 10k ADA pool liquidity
   
   // Bot Operation
   PRICE_UPDATE_INTERVAL: 30000, // 30 seconds
   MAIN_LOOP_INTERVAL: 30000, // 30 seconds
+  POOL_CACHE_TTL: 20000, // Reuse a DEX's downloaded pool list for 20 seconds
+  PRICE_QUERY_TIMEOUT: 8000, // Per-DEX price query timeout (ms)
+  PRICE_QUERY_DEADLINE: 12000, // Overall deadline for one price fan-out (ms, null = wait for every DEX)
+  MAX_QUOTE_SKEW: 3000, // Drop quotes fetched more than 3s before the newest quote of the same fan-out
   MAX_RETRIES: 3,
   RETRY_DELAY: 5000, // 5 seconds
+
+  // DEX adapter circuit breaker (src/dex/adapter-health.js)
+  ADAPTER_HEALTH: {
+    FAILURE_THRESHOLD: 3, // Consecutive failures before a DEX is paused
+    BASE_BACKOFF: 30000, // First pause 30s, doubling on every repeated trip...
+    MAX_BACKOFF: 15 * 60 * 1000, // ...up to 15 minutes
+    WINDOW_SIZE: 50, // Requests used for error rate and latency percentiles
+    DEGRADED_ERROR_RATE: 0.2 // Report a DEX as degraded above 20% errors
+  },
   
   // Supported Tokens (only tokens with confirmed liquidity pools)
   SUPPORTED_TOKENS: {
@@ -124,11 +196,43 @@ export const CONFIG = {
     VYFINANCE: 0.003 // 0.3%
   },
   
+  // SundaeSwap V3 orders (src/dex/sundaeswap-adapter.js). Set the order script hash from
+  // SundaeSwap's published V3 deployment; SundaeSwap swaps are refused until it is set.
+  SUNDAESWAP_V3: {
+    ORDER_SCRIPT_HASH: process.env.SUNDAESWAP_ORDER_SCRIPT_HASH || "",
+    SCOOPER_FEE: BigInt(process.env.SUNDAESWAP_SCOOPER_FEE || 1_000_000), // Max protocol fee an order pays the scooper (lovelace)
+    ORDER_DEPOSIT: 2_000_000n // Min-UTxO deposit locked with each order, paid back with the output
+  },
+  
+  // DexHunter aggregator (src/dex/dexhunter-adapter.js): best-route quotes and swaps across
+  // every Cardano DEX. The API needs a partner id; without one the adapter can't be used.
+  DEXHUNTER: {
+    API_URL: process.env.DEXHUNTER_API_URL || "https://api-us.dexhunterv3.app",
+    PARTNER_ID: process.env.DEXHUNTER_PARTNER_ID || "",
+    BENCHMARK: process.env.DEXHUNTER_BENCHMARK !== "false", // Compare scanner opportunities with aggregator quotes
+    PRICE_REFERENCE_AMOUNT: 100, // Display units of the base asset quoted by getPrice()
+    REQUEST_TIMEOUT: 10000 // 10 seconds
+  },
+  
+  // Extra DEX adapter plugin modules (files or directories, see src/dex/adapter-registry.js)
+  DEX_ADAPTER_PATHS: (process.env.DEX_ADAPTER_PATHS || "").split(",").map(p => p.trim()).filter(Boolean),
+
   // Network Fees
   NETWORK_FEE_ESTIMATE: 0.3, // ~0.3 ADA average network fee
-  
+
+  // CATSKY Monitor (monitor_catsky.js)
+  CATSKY_MONITOR: {
+    SCHEDULE: '*/30 * * * * *', // Every 30 seconds
+    PRICE_CHANGE_24H_ALERT: 10, // Alert on a 10% move against the 24h baseline
+    PRICE_CHANGE_TICK_ALERT: 3, // Alert on a 3% move between two checks
+    SPREAD_ALERT: 3, // Alert when DEX prices differ by more than 3%
+    ALERT_COOLDOWN: 15 * 60 * 1000 // Repeat the same alert at most every 15 minutes
+  },
+
   // Database
-  DATABASE_PATH: "./data/trading_bot.db",
+  DATABASE_BACKEND: process.env.DATABASE_BACKEND || "json", // "json" (JSONL files) or "sqlite"
+  DATA_DIR: "./data", // JSON backend table directory
+  DATABASE_PATH: "./data/trading_bot.db", // SQLite backend database file
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || "info",
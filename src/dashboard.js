@@ -11,9 +11,10 @@ import Table from 'cli-table3';
 
 class TradingDashboard {
   constructor() {
-    this.priceMonitor = new PriceMonitor();
-    this.arbitrageScanner = new ArbitrageScanner();
+    // One DEX interface for every panel, so DEX health reflects all dashboard traffic
     this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    this.priceMonitor = new PriceMonitor({ dexInterface: this.dexInterface });
+    this.arbitrageScanner = new ArbitrageScanner({ dexInterface: this.dexInterface });
     this.refreshInterval = 10000; // 10 seconds
     this.isRunning = false;
   }
@@ -72,14 +73,13 @@ class TradingDashboard {
     if (!assetA || !assetB) return {};
 
     const prices = {};
-    
-    for (const [dexName, adapter] of this.dexInterface.adapters.entries()) {
-      try {
-        const priceData = await adapter.getPrice(assetA, assetB);
-        prices[dexName] = priceData.price;
-      } catch (error) {
-        prices[dexName] = null;
-      }
+    for (const dexName of this.dexInterface.getEnabledDEXs()) {
+      prices[dexName] = null;
+    }
+
+    // Goes through the interface so paused (circuit-open) DEXs are skipped
+    for (const priceData of await this.dexInterface.getAllPrices(assetA, assetB)) {
+      prices[priceData.dex] = priceData.price;
     }
     
     return prices;
@@ -103,34 +103,99 @@ class TradingDashboard {
     ];
   }
 
+  displayDEXHealth() {
+    const table = new Table({
+      head: ['DEX', 'Status', 'Errors', 'p50 ms', 'p95 ms', 'Last Quote', 'Reason'],
+      colWidths: [13, 11, 8, 8, 8, 12, 40],
+      style: { head: ['cyan'] }
+    });
+
+    const colors = { healthy: chalk.green, degraded: chalk.yellow, down: chalk.red };
+
+    for (const snapshot of Object.values(this.dexInterface.getStats().health)) {
+      const color = colors[snapshot.status];
+      table.push([
+        snapshot.name,
+        color(snapshot.status.toUpperCase()),
+        `${(snapshot.errorRate * 100).toFixed(0)}%`,
+        snapshot.latency.p50 ?? '-',
+        snapshot.latency.p95 ?? '-',
+        snapshot.lastQuoteAt ? `${Math.round((Date.now() - snapshot.lastQuoteAt) / 1000)}s ago` : chalk.gray('never'),
+        snapshot.reason ? chalk.gray(snapshot.reason.slice(0, 38)) : ''
+      ]);
+    }
+
+    console.log(chalk.bold.white('\n🩺 DEX HEALTH'));
+    console.log(table.toString());
+  }
+
+  displayVenues() {
+    const table = new Table({
+      head: ['DEX', 'Mode', 'Quote', 'Build Tx', 'Execute', 'Cancel', 'Limit', 'Exact Out', 'Stop/OCO', 'Chained'],
+      colWidths: [13, 14, 7, 10, 9, 8, 7, 11, 10, 9],
+      style: { head: ['cyan'] }
+    });
+
+    const capabilities = this.dexInterface.getCapabilities();
+    const mark = supported => supported ? chalk.green('✓') : chalk.gray('-');
+    const tradable = this.dexInterface.getTradableDEXs();
+
+    // Tradable venues first, then the ones we can only watch
+    for (const dexName of [...tradable, ...this.dexInterface.getObserveOnlyDEXs()]) {
+      const caps = capabilities[dexName];
+      table.push([
+        dexName,
+        tradable.includes(dexName) ? chalk.green('TRADABLE') : chalk.yellow('OBSERVE-ONLY'),
+        mark(caps.quote),
+        mark(caps.buildTx),
+        mark(caps.execute),
+        mark(caps.cancel),
+        mark(caps.limitOrders),
+        mark(caps.exactOut),
+        mark(caps.stopOrders),
+        mark(caps.chainedOrders)
+      ]);
+    }
+
+    console.log(chalk.bold.white('\n🏛️  VENUES'));
+    console.log(table.toString());
+  }
+
   async displayArbitrageOpportunities() {
+    const opportunities = await this.arbitrageScanner.findOpportunities();
+    const tradable = opportunities.filter(opp => opp.executable);
+    const observeOnly = opportunities.filter(opp => !opp.executable);
+
     console.log(chalk.bold.white('\n💰 ARBITRAGE OPPORTUNITIES'));
-    
-    const opportunities = await this.arbitrageScanner.scanAllPairs();
-    
+    this.displayOpportunityTable(tradable, 'No tradable arbitrage opportunities at this time.');
+
+    console.log(chalk.bold.white('\n👀 OBSERVE-ONLY OPPORTUNITIES') + chalk.gray(' (a DEX on the route can only quote)'));
+    this.displayOpportunityTable(observeOnly, 'None.');
+  }
+
+  displayOpportunityTable(opportunities, emptyMessage) {
     if (opportunities.length === 0) {
-      console.log(chalk.gray('No profitable arbitrage opportunities at this time.'));
+      console.log(chalk.gray(emptyMessage));
       return;
     }
 
     const table = new Table({
-      head: ['Token Pair', 'Buy DEX', 'Buy Price', 'Sell DEX', 'Sell Price', 'Profit %', 'Est. Profit (1000 ADA)'],
+      head: ['Token Pair', 'Buy DEX', 'Buy Price', 'Sell DEX', 'Sell Price', 'Profit %', 'Est. Profit'],
       colWidths: [15, 12, 10, 12, 10, 10, 20],
       style: { head: ['yellow'] }
     });
 
     opportunities
-      .sort((a, b) => b.netProfitPercent - a.netProfitPercent)
-      .slice(0, 5) // Top 5 opportunities
+      .slice(0, 5) // Top 5 opportunities (already sorted by profit)
       .forEach(opp => {
         table.push([
-          `${opp.tokenA}/${opp.tokenB}`,
+          opp.pair,
           opp.buyDEX,
-          opp.buyPrice.toFixed(4),
+          opp.buyPrice === null ? 'route' : opp.buyPrice.toFixed(4), // Multi-hop routes price each hop
           opp.sellDEX,
-          opp.sellPrice.toFixed(4),
+          opp.sellPrice === null ? 'route' : opp.sellPrice.toFixed(4),
           chalk.green.bold(`${opp.netProfitPercent.toFixed(2)}%`),
-          chalk.yellow.bold(`${(1000 * opp.netProfitPercent / 100).toFixed(2)} ADA`)
+          chalk.yellow.bold(`${opp.estimatedProfitADA.toFixed(2)} ADA`)
         ]);
       });
 
@@ -140,6 +205,7 @@ class TradingDashboard {
   async displaySystemStats() {
     const stats = {
       activeDEXs: this.dexInterface.getEnabledDEXs().length,
+      tradableDEXs: this.dexInterface.getTradableDEXs().length,
       totalTokens: Object.keys(CONFIG.SUPPORTED_TOKENS).length,
       scanInterval: this.refreshInterval / 1000,
       uptime: process.uptime(),
@@ -147,7 +213,7 @@ class TradingDashboard {
     };
 
     console.log(chalk.bold.white('\n⚙️ SYSTEM STATUS'));
-    console.log(chalk.cyan(`Active DEXs: ${stats.activeDEXs}`));
+    console.log(chalk.cyan(`Active DEXs: ${stats.activeDEXs} (${stats.tradableDEXs} tradable)`));
     console.log(chalk.cyan(`Tokens Tracked: ${stats.totalTokens}`));
     console.log(chalk.cyan(`Refresh Rate: ${stats.scanInterval}s`));
     console.log(chalk.cyan(`Uptime: ${Math.floor(stats.uptime / 60)}m ${Math.floor(stats.uptime % 60)}s`));
@@ -180,6 +246,8 @@ class TradingDashboard {
     
     try {
       await this.displayPriceTable();
+      this.displayDEXHealth();
+      this.displayVenues();
       await this.displayArbitrageOpportunities();
       await this.displaySystemStats();
       await this.displayTradingTips();
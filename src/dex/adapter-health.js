@@ -0,0 +1,191 @@
+// Adapter Health - Error rate, latency and circuit breaker state for one DEX adapter
+//
+// The breaker is closed while the adapter works. After FAILURE_THRESHOLD consecutive failures
+// it opens and the adapter is skipped for a backoff period that doubles on every trip (up to
+// MAX_BACKOFF). When the backoff expires the breaker is half-open: one probe request is let
+// through, and its outcome either closes the breaker or opens it again with a longer backoff.
+import { CONFIG } from "../config/index.js";
+
+export const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+export class AdapterHealth {
+  /**
+   * @param {string} name - DEX name
+   * @param {Object} options - Overrides of CONFIG.ADAPTER_HEALTH
+   */
+  constructor(name, options = {}) {
+    const settings = { ...CONFIG.ADAPTER_HEALTH, ...options };
+
+    this.name = name;
+    this.failureThreshold = settings.FAILURE_THRESHOLD;
+    this.baseBackoff = settings.BASE_BACKOFF;
+    this.maxBackoff = settings.MAX_BACKOFF;
+    this.windowSize = settings.WINDOW_SIZE;
+    this.degradedErrorRate = settings.DEGRADED_ERROR_RATE;
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.openUntil = null;
+    this.trips = 0;
+    this.probeInFlight = false;
+    this.consecutiveFailures = 0;
+
+    // Rolling window of recent outcomes: {ok: boolean, latencyMs: number, at: number}
+    this.samples = [];
+    this.totalRequests = 0;
+    this.totalFailures = 0;
+    this.lastSuccessAt = null;
+    this.lastQuoteAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a request may be sent now; moves an expired open breaker to half-open
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === BREAKER_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === BREAKER_STATES.OPEN && Date.now() >= this.openUntil) {
+      this.state = BREAKER_STATES.HALF_OPEN;
+      this.probeInFlight = false;
+    }
+
+    if (this.state === BREAKER_STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      console.log(`🔎 ${this.name}: probing after backoff`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful response
+   * @param {number} latencyMs
+   * @param {boolean} gotQuote - False when the DEX answered but has no pool for the pair
+   */
+  recordSuccess(latencyMs, gotQuote = true) {
+    this._addSample(true, latencyMs);
+    this.lastSuccessAt = Date.now();
+    if (gotQuote) {
+      this.lastQuoteAt = this.lastSuccessAt;
+    }
+    this.consecutiveFailures = 0;
+
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      console.log(`✅ ${this.name}: recovered, resuming requests`);
+    }
+    this.state = BREAKER_STATES.CLOSED;
+    this.openUntil = null;
+    this.trips = 0;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed request (transport error, timeout, bad response)
+   * @param {Error} error
+   * @param {number} latencyMs
+   */
+  recordFailure(error, latencyMs) {
+    this._addSample(false, latencyMs);
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.lastError = { message: error.message, code: error.code || null, at: Date.now() };
+
+    // Requests sent before the breaker opened may still fail; they don't extend the backoff
+    if (this.state === BREAKER_STATES.OPEN) {
+      return;
+    }
+
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this._open();
+    }
+  }
+
+  /**
+   * Health summary for stats and dashboards
+   * @returns {Object}
+   */
+  getSnapshot() {
+    const failures = this.samples.filter(sample => !sample.ok).length;
+    const errorRate = this.samples.length > 0 ? failures / this.samples.length : 0;
+    const latencies = this.samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+
+    let status = 'healthy';
+    let reason = null;
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      status = 'down';
+      reason = `circuit ${this.state}${this.lastError ? `: ${this.lastError.message}` : ''}`;
+    } else if (errorRate >= this.degradedErrorRate || this.consecutiveFailures > 0) {
+      status = 'degraded';
+      reason = `${(errorRate * 100).toFixed(0)}% errors in last ${this.samples.length} requests` +
+        (this.lastError ? ` (last: ${this.lastError.message})` : '');
+    }
+
+    return {
+      name: this.name,
+      status,
+      reason,
+      state: this.state,
+      openUntil: this.openUntil,
+      trips: this.trips,
+      consecutiveFailures: this.consecutiveFailures,
+      errorRate,
+      latency: {
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95),
+        p99: percentile(latencies, 0.99)
+      },
+      totalRequests: this.totalRequests,
+      totalFailures: this.totalFailures,
+      lastSuccessAt: this.lastSuccessAt,
+      lastQuoteAt: this.lastQuoteAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Open the breaker with exponential backoff
+   * @private
+   */
+  _open() {
+    this.trips++;
+    const backoff = Math.min(this.baseBackoff * 2 ** (this.trips - 1), this.maxBackoff);
+
+    this.state = BREAKER_STATES.OPEN;
+    this.openUntil = Date.now() + backoff;
+    this.probeInFlight = false;
+
+    console.warn(`⏸️ ${this.name}: pausing for ${Math.round(backoff / 1000)}s after ${this.consecutiveFailures} consecutive failure(s) (${this.lastError.message})`);
+  }
+
+  /**
+   * @private
+   */
+  _addSample(ok, latencyMs) {
+    this.totalRequests++;
+    this.samples.push({ ok, latencyMs, at: Date.now() });
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+  }
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+export default AdapterHealth;
@@ -0,0 +1,205 @@
+// Adapter Registry - Maps DEX names to adapter factories
+//
+// UnifiedDEXInterface creates its adapters from a registry instead of hardcoding them. The
+// built-in DEXs are registered by registerBuiltinAdapters(); other DEXs can be added from a
+// plugin module listed in CONFIG.DEX_ADAPTER_PATHS (DEX_ADAPTER_PATHS env, comma separated
+// files or directories). A plugin module exports a register function:
+//
+//   import { BaseDEXAdapter } from "../src/dex/base-dex-adapter.js";
+//   class CswapAdapter extends BaseDEXAdapter { ... }
+//
+//   export function register(registry) {
+//     registry.register('CSWAP', ({ networkId, blockfrostProjectId }) =>
+//       new CswapAdapter(networkId, blockfrostProjectId));
+//   }
+//
+// Adapters are quote-only (observe-only venues) unless they override getCapabilities().
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { MinswapAdapter } from "./minswap-adapter.js";
+import { SundaeSwapAdapter } from "./sundaeswap-adapter.js";
+import { MuesliSwapAdapter } from "./muesliswap-adapter.js";
+import { SplashAdapter } from "./splash-adapter.js";
+import { WingRidersAdapter } from "./wingriders-adapter.js";
+import { SpectrumAdapter } from "./spectrum-adapter.js";
+import { VyFinanceAdapter } from "./vyfinance-adapter.js";
+
+export class AdapterRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.loadedModules = new Set();
+  }
+
+  /**
+   * Register an adapter factory
+   * @param {string} name - DEX name used everywhere else (getDEXAdapter, price records, ...)
+   * @param {Function} factory - ({networkId, blockfrostProjectId}) => BaseDEXAdapter (may be async)
+   * @param {Object} options
+   * @param {boolean} [options.required=false] - Initialization failure aborts the interface and the DEX can't be disabled
+   * @param {string} [options.source='builtin'] - Where the registration came from
+   */
+  register(name, factory, options = {}) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Adapter '${name}': factory must be a function`);
+    }
+    if (this.entries.has(name)) {
+      console.warn(`⚠️ Adapter '${name}' registered again, replacing the previous factory`);
+    }
+
+    this.entries.set(name, {
+      name,
+      factory,
+      required: options.required === true,
+      source: options.source || 'builtin'
+    });
+  }
+
+  /**
+   * Remove an adapter registration
+   * @param {string} name
+   */
+  unregister(name) {
+    this.entries.delete(name);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {{name: string, factory: Function, required: boolean, source: string}}
+   */
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`No DEX adapter registered as '${name}' (registered: ${this.names().join(', ')})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Registered DEX names, in registration order
+   * @returns {Array<string>}
+   */
+  names() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Create (but don't initialize) an adapter
+   * @param {string} name
+   * @param {Object} context - {networkId, blockfrostProjectId}
+   * @returns {Promise<BaseDEXAdapter>}
+   */
+  async create(name, context) {
+    const adapter = await this.get(name).factory(context);
+    if (!adapter || typeof adapter.getPrice !== 'function') {
+      throw new Error(`Adapter factory for '${name}' did not return a DEX adapter`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Load plugin modules from files or directories (every .js/.mjs file inside)
+   * Each path is loaded once, however often this is called.
+   * @param {Array<string>} modulePaths - Absolute, or relative to the working directory
+   * @returns {Promise<Array<string>>} Names registered by the loaded modules
+   */
+  async loadModules(modulePaths) {
+    const registered = [];
+
+    for (const modulePath of modulePaths) {
+      for (const file of await listModuleFiles(path.resolve(modulePath))) {
+        registered.push(...await this._loadModule(file));
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * @private
+   */
+  async _loadModule(file) {
+    if (this.loadedModules.has(file)) {
+      return [];
+    }
+
+    try {
+      const module = await import(pathToFileURL(file).href);
+      const register = module.register || module.default;
+      if (typeof register !== 'function') {
+        throw new Error('module must export a register(registry) function');
+      }
+
+      // Tag everything the module registers with its file
+      const before = new Set(this.names());
+      await register({
+        register: (name, factory, options = {}) => this.register(name, factory, { ...options, source: file })
+      });
+      this.loadedModules.add(file);
+
+      const added = this.names().filter(name => !before.has(name));
+      console.log(`🔌 Loaded DEX adapter plugin ${path.basename(file)}: ${added.join(', ') || 'nothing registered'}`);
+      return added;
+    } catch (error) {
+      console.error(`❌ Failed to load DEX adapter plugin ${file}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Register the DEX adapters that ship with the bot
+ * @param {AdapterRegistry} registry
+ * @returns {AdapterRegistry}
+ */
+export function registerBuiltinAdapters(registry) {
+  const builtins = [
+    ['Minswap', MinswapAdapter, { required: true }], // Primary DEX - the only one that can execute swaps
+    ['SundaeSwap', SundaeSwapAdapter],
+    ['MuesliSwap', MuesliSwapAdapter],
+    ['Splash', SplashAdapter],
+    ['WingRiders', WingRidersAdapter],
+    ['Spectrum', SpectrumAdapter],
+    ['VyFinance', VyFinanceAdapter]
+  ];
+
+  for (const [name, AdapterClass, options] of builtins) {
+    registry.register(
+      name,
+      ({ networkId, blockfrostProjectId }) => new AdapterClass(networkId, blockfrostProjectId),
+      options
+    );
+  }
+
+  return registry;
+}
+
+/**
+ * Registry with the built-in adapters
+ * @returns {AdapterRegistry}
+ */
+export function createDefaultRegistry() {
+  return registerBuiltinAdapters(new AdapterRegistry());
+}
+
+/**
+ * Expand a plugin path into module files
+ * @private
+ */
+async function listModuleFiles(modulePath) {
+  const stats = await fs.stat(modulePath);
+  if (!stats.isDirectory()) {
+    return [modulePath];
+  }
+
+  return (await fs.readdir(modulePath))
+    .filter(file => file.endsWith('.js') || file.endsWith('.mjs'))
+    .sort()
+    .map(file => path.join(modulePath, file));
+}
+
+export default AdapterRegistry;
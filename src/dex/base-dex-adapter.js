@@ -1,5 +1,20 @@
 // Base DEX Adapter - Abstract interface for all DEX integrations
 import { Asset } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
+import { constantProductOut, feeToNumerator } from "./swap-math.js";
+
+export const ADAPTER_CAPABILITIES = ['quote', 'buildTx', 'execute', 'cancel', 'limitOrders', 'exactOut', 'stopOrders', 'chainedOrders'];
+
+const QUOTE_ONLY = {
+  quote: true,
+  buildTx: false,
+  execute: false,
+  cancel: false,
+  limitOrders: false,
+  exactOut: false,
+  stopOrders: false,
+  chainedOrders: false
+};
 
 export class BaseDEXAdapter {
   constructor(name, networkId, config = {}) {
@@ -7,6 +22,12 @@ export class BaseDEXAdapter {
     this.networkId = networkId;
     this.config = config;
     this.isInitialized = false;
+
+    // Pool list snapshot for adapters whose API only offers "download every pool"
+    this.poolCacheTTL = config.poolCacheTTL ?? CONFIG.POOL_CACHE_TTL;
+    this.poolSnapshot = null;
+    this.poolSnapshotRequest = null;
+    this.poolCacheStats = { hits: 0, fetches: 0, notModified: 0, errors: 0 };
   }
 
   /**
@@ -29,23 +50,112 @@ export class BaseDEXAdapter {
 
   /**
    * Get current price for a token pair
+   * The price is the pool's spot rate in assetB per assetA (base units), whichever way round the
+   * DEX stores the pool; reserves are oriented the same way. effectivePrice includes the trading
+   * fee of an assetA → assetB swap.
    * @param {Asset} assetA - Base asset
    * @param {Asset} assetB - Quote asset
-   * @returns {Promise<{price: number, reserves: {reserveA: bigint, reserveB: bigint}}>}
+   * @returns {Promise<{price: number, effectivePrice: number, fee: number, reserves: {reserveA: bigint, reserveB: bigint}, pool: Object}>}
    */
   async getPrice(assetA, assetB) {
-    throw new Error(`${this.name}: getPrice() must be implemented`);
+    this._ensureInitialized();
+    
+    const pool = await this.getPool(assetA, assetB);
+    if (!pool) {
+      throw this.noPoolError(assetA, assetB);
+    }
+
+    const { assetInIsA, reserveIn, reserveOut } = this.orientPool(pool, assetA);
+    const price = Number(reserveOut) / Number(reserveIn);
+    const fee = this.getTradingFee(pool, assetInIsA);
+
+    return {
+      price,
+      effectivePrice: price * (1 - fee),
+      fee,
+      reserves: {
+        reserveA: reserveIn,
+        reserveB: reserveOut
+      },
+      pool: pool
+    };
   }
 
   /**
-   * Calculate expected output for a swap
+   * Calculate expected output for a swap with the DEX's own formula (see quoteSwap())
    * @param {Asset} assetIn - Input asset
    * @param {Asset} assetOut - Output asset
    * @param {bigint} amountIn - Input amount
-   * @returns {Promise<{amountOut: bigint, slippage: number, fee: number}>}
+   * @param {Object} [pool] - Pool to quote against, e.g. from getPrice(); fetched when omitted
+   * @returns {Promise<{amountOut: bigint, slippage: number, fee: number, priceImpact: number, pool: Object}>}
+   *   fee is the trading fee as a fraction, slippage and priceImpact are percentages
    */
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    throw new Error(`${this.name}: calculateSwapOutput() must be implemented`);
+  async calculateSwapOutput(assetIn, assetOut, amountIn, pool = null) {
+    this._ensureInitialized();
+    
+    pool = pool || await this.getPool(assetIn, assetOut);
+    if (!pool) {
+      throw this.noPoolError(assetIn, assetOut);
+    }
+
+    const { assetInIsA, reserveIn, reserveOut } = this.orientPool(pool, assetIn);
+    const amountOut = this.quoteSwap(pool, assetInIsA, BigInt(amountIn));
+    
+    if (amountOut <= 0n) {
+      throw new Error("Insufficient liquidity for swap");
+    }
+
+    const priceImpact = this.calculatePriceImpact(amountIn, reserveIn, reserveOut);
+
+    return {
+      amountOut,
+      slippage: priceImpact,
+      fee: this.getTradingFee(pool, assetInIsA),
+      priceImpact,
+      pool: pool
+    };
+  }
+
+  /**
+   * Output of a swap against a normalized pool, rounded like the DEX's contract
+   * The default is a constant product with the fee charged on the input; adapters override it
+   * where their DEX computes swaps differently.
+   * @param {Object} pool - Normalized pool
+   * @param {boolean} assetInIsA - Swap direction
+   * @param {bigint} amountIn
+   * @returns {bigint}
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    const reserveIn = BigInt(assetInIsA ? pool.reserveA : pool.reserveB);
+    const reserveOut = BigInt(assetInIsA ? pool.reserveB : pool.reserveA);
+    const feeNumerator = feeToNumerator(this.getTradingFee(pool, assetInIsA));
+
+    return constantProductOut(amountIn, reserveIn, reserveOut, feeNumerator);
+  }
+
+  /**
+   * Trading fee of a swap direction as a fraction of the input (0.003 = 0.3%)
+   * @param {Object} pool - Normalized pool
+   * @param {boolean} assetInIsA - Swap direction
+   * @returns {number}
+   */
+  getTradingFee(pool, assetInIsA) {
+    return pool.fee ?? this.getFeeStructure().tradingFee;
+  }
+
+  /**
+   * Reserves of a pool seen from the input side of a swap
+   * @param {Object} pool - Normalized pool
+   * @param {Asset} assetIn
+   * @returns {{assetInIsA: boolean, reserveIn: bigint, reserveOut: bigint}}
+   */
+  orientPool(pool, assetIn) {
+    const assetInIsA = assetUnit(pool.assetA) === assetUnit(assetIn);
+    return {
+      assetInIsA,
+      reserveIn: BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      reserveOut: BigInt(assetInIsA ? pool.reserveB : pool.reserveA)
+    };
   }
 
   /**
@@ -77,9 +187,135 @@ export class BaseDEXAdapter {
     throw new Error(`${this.name}: executeSwap() must be implemented`);
   }
 
+  /**
+   * Place several swap orders in one transaction
+   * Used by chained arbitrage execution, which places every leg routed through this DEX at once.
+   * @param {Array<Object>} orders
+   * @param {Asset} orders[].assetIn - Input asset
+   * @param {Asset} orders[].assetOut - Output asset
+   * @param {bigint} orders[].amountIn - Input amount
+   * @param {bigint} orders[].minimumAmountOut - Minimum expected output
+   * @param {boolean} [orders[].killOnFailed=false] - Refund the order instead of leaving it open
+   *   when the batcher can't fill it at minimumAmountOut
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} lucid - Lucid instance
+   * @returns {Promise<{txHash: string}>}
+   */
+  async executeSwaps(orders, walletAddress, lucid) {
+    throw new Error(`${this.name}: executeSwaps() must be implemented`);
+  }
+
+  /**
+   * Place a resting limit order, filled only at limitPrice or better
+   * @param {Asset} assetIn - Input asset
+   * @param {Asset} assetOut - Output asset
+   * @param {bigint} amountIn - Input amount
+   * @param {number} limitPrice - Least assetOut per assetIn accepted, in base units
+   * @param {number|null} expiry - Timestamp (ms) after which the order can't be filled, null for none
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} lucid - Lucid instance
+   * @returns {Promise<{txHash: string, minimumAmountOut: bigint}>}
+   */
+  async placeLimitOrder(assetIn, assetOut, amountIn, limitPrice, expiry, walletAddress, lucid) {
+    throw new Error(`${this.name}: placeLimitOrder() must be implemented`);
+  }
+
+  /**
+   * Swap at most maximumAmountIn for exactly amountOut
+   * @param {Asset} assetIn - Input asset
+   * @param {Asset} assetOut - Output asset
+   * @param {bigint} maximumAmountIn - Most input the swap may spend
+   * @param {bigint} amountOut - Exact output wanted
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} lucid - Lucid instance
+   * @param {boolean} [killOnFailed=true] - Refund instead of resting when amountOut costs more
+   * @returns {Promise<{txHash: string, outputAmount: bigint}>}
+   */
+  async executeSwapExactOut(assetIn, assetOut, maximumAmountIn, amountOut, walletAddress, lucid, killOnFailed = true) {
+    throw new Error(`${this.name}: executeSwapExactOut() must be implemented`);
+  }
+
+  /**
+   * Place a stop-loss order, filled once the swap pays stopAmount or less
+   * @param {Asset} assetIn - Input asset
+   * @param {Asset} assetOut - Output asset
+   * @param {bigint} amountIn - Input amount
+   * @param {bigint} stopAmount - Output at or below which the order fills
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} lucid - Lucid instance
+   * @returns {Promise<{txHash: string}>}
+   */
+  async placeStopLoss(assetIn, assetOut, amountIn, stopAmount, walletAddress, lucid) {
+    throw new Error(`${this.name}: placeStopLoss() must be implemented`);
+  }
+
+  /**
+   * Place a one-cancels-the-other order: take profit at limitAmount or stop out at stopAmount
+   * @param {Asset} assetIn - Input asset
+   * @param {Asset} assetOut - Output asset
+   * @param {bigint} amountIn - Input amount
+   * @param {bigint} limitAmount - Output at or above which the order fills (take profit)
+   * @param {bigint} stopAmount - Output at or below which the order fills (stop loss)
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} lucid - Lucid instance
+   * @returns {Promise<{txHash: string}>}
+   */
+  async placeOCO(assetIn, assetOut, amountIn, limitAmount, stopAmount, walletAddress, lucid) {
+    throw new Error(`${this.name}: placeOCO() must be implemented`);
+  }
+
+  /**
+   * Cancel open orders at the DEX's order script, returning their funds to the wallet
+   * @param {Array<{txHash: string, outputIndex: number}>} orderRefs - Order outputs to cancel
+   * @param {string} walletAddress - Wallet address that placed the orders
+   * @param {Object} lucid - Lucid instance
+   * @returns {Promise<{txHash: string}>}
+   */
+  async cancelOrders(orderRefs, walletAddress, lucid) {
+    throw new Error(`${this.name}: cancelOrders() must be implemented`);
+  }
+
+  /**
+   * What this adapter can do with its DEX
+   *   quote         - price pools and quote swaps
+   *   buildTx       - build swap order transactions (buildSwapTransaction())
+   *   execute       - submit swaps (executeSwap() / executeSwaps())
+   *   cancel        - cancel our open orders (cancelOrders())
+   *   limitOrders   - place orders that wait for a price instead of filling at market (placeLimitOrder())
+   *   exactOut      - swap for an exact output amount (executeSwapExactOut())
+   *   stopOrders    - place stop-loss and OCO (take profit or stop loss) orders (placeStopLoss() / placeOCO())
+   *   chainedOrders - place kill-on-failed orders, which chained arbitrage execution requires
+   * Adapters override this with the operations they implement; the default is quote-only.
+   * @returns {{quote: boolean, buildTx: boolean, execute: boolean, cancel: boolean, limitOrders: boolean, exactOut: boolean, stopOrders: boolean, chainedOrders: boolean}}
+   */
+  getCapabilities() {
+    return { ...QUOTE_ONLY };
+  }
+
+  /**
+   * @param {string} capability - One of ADAPTER_CAPABILITIES
+   * @returns {boolean}
+   */
+  hasCapability(capability) {
+    return this.getCapabilities()[capability] === true;
+  }
+
+  /**
+   * Hashes of the order scripts this DEX's swap orders are paid to
+   * Order outputs are found in an order transaction by their script address (see
+   * matchOrderOutputs() in src/arbitrage/fill-reconciler.js). The default, an empty list, accepts
+   * any script address - right for aggregators, whose orders go to several DEXs.
+   * @returns {Array<string>}
+   */
+  getOrderScriptHashes() {
+    return [];
+  }
+
   /**
    * Get DEX-specific fee structure
-   * @returns {{tradingFee: number, networkFee: number}}
+   * tradingFee is a fraction of the swap input (0.003 = 0.3%) and is the DEX's default when a
+   * pool doesn't state its own fee; networkFee and batcherFee are ADA per swap.
+   * @returns {{tradingFee: number, networkFee: number, batcherFee: number}}
    */
   getFeeStructure() {
     throw new Error(`${this.name}: getFeeStructure() must be implemented`);
@@ -106,6 +342,167 @@ export class BaseDEXAdapter {
     return pool !== null;
   }
 
+  /**
+   * Describe the HTTP request returning this DEX's full pool list
+   * Adapters that use the shared pool snapshot implement this together with getPoolAssetKeys()
+   * and _assetToString().
+   * @returns {{url: string, headers: Object}}
+   */
+  getPoolListRequest() {
+    throw new Error(`${this.name}: getPoolListRequest() must be implemented to use the pool snapshot`);
+  }
+
+  /**
+   * Get the asset keys of a raw pool from the pool list, in the format of _assetToString()
+   * @param {Object} rawPool
+   * @returns {Array<string>} [keyA, keyB]
+   */
+  getPoolAssetKeys(rawPool) {
+    throw new Error(`${this.name}: getPoolAssetKeys() must be implemented to use the pool snapshot`);
+  }
+
+  /**
+   * Extract the pool array from the pool list response body
+   * @param {*} body - Parsed JSON response
+   * @returns {Array<Object>}
+   */
+  extractPoolList(body) {
+    return Array.isArray(body) ? body : (body.pools || body.data || []);
+  }
+
+  /**
+   * Look up a pool in the cached pool list snapshot
+   * @param {Asset} assetA 
+   * @param {Asset} assetB 
+   * @returns {Promise<Object|null>} Normalized pool, or null if the DEX has no pool for the pair
+   */
+  async getCachedPool(assetA, assetB) {
+    const snapshot = await this.getPoolSnapshot();
+    const rawPool = snapshot.index.get(pairKey(this._assetToString(assetA), this._assetToString(assetB)));
+
+    if (!rawPool) {
+      return null;
+    }
+
+    return {
+      ...this.normalizePoolData(rawPool),
+      lastUpdated: snapshot.fetchedAt
+    };
+  }
+
+  /**
+   * Get the pool list snapshot, refreshing it when it is older than the TTL
+   * Concurrent callers share one refresh. Refreshes send the ETag / Last-Modified validators
+   * from the previous response, so an unchanged list costs a 304 instead of a full download.
+   * Transport errors are thrown rather than reported as "no pool".
+   * @returns {Promise<{pools: Array<Object>, index: Map<string, Object>, fetchedAt: number}>}
+   */
+  async getPoolSnapshot() {
+    if (this.poolSnapshot && Date.now() - this.poolSnapshot.fetchedAt < this.poolCacheTTL) {
+      this.poolCacheStats.hits++;
+      return this.poolSnapshot;
+    }
+
+    if (!this.poolSnapshotRequest) {
+      this.poolSnapshotRequest = this._fetchPoolSnapshot().finally(() => {
+        this.poolSnapshotRequest = null;
+      });
+    }
+
+    return await this.poolSnapshotRequest;
+  }
+
+  /**
+   * Drop the pool list snapshot so the next lookup downloads it again
+   */
+  invalidatePoolCache() {
+    this.poolSnapshot = null;
+  }
+
+  /**
+   * Pool cache counters and snapshot age
+   * @returns {Object}
+   */
+  getPoolCacheStats() {
+    return {
+      ...this.poolCacheStats,
+      pools: this.poolSnapshot ? this.poolSnapshot.pools.length : 0,
+      ageMs: this.poolSnapshot ? Date.now() - this.poolSnapshot.fetchedAt : null
+    };
+  }
+
+  /**
+   * Download (or revalidate) the pool list and index it by asset pair
+   * @private
+   */
+  async _fetchPoolSnapshot() {
+    const { url, headers = {} } = this.getPoolListRequest();
+    const previous = this.poolSnapshot;
+    const requestHeaders = { 'Accept': 'application/json', ...headers };
+
+    if (previous?.etag) {
+      requestHeaders['If-None-Match'] = previous.etag;
+    }
+    if (previous?.lastModified) {
+      requestHeaders['If-Modified-Since'] = previous.lastModified;
+    }
+
+    try {
+      const response = await fetch(url, { method: 'GET', headers: requestHeaders });
+
+      if (response.status === 304 && previous) {
+        this.poolCacheStats.notModified++;
+        this.poolSnapshot = { ...previous, fetchedAt: Date.now() };
+        return this.poolSnapshot;
+      }
+
+      if (!response.ok) {
+        throw new Error(`${this.name} API returned ${response.status}`);
+      }
+
+      const pools = this.extractPoolList(await response.json());
+      const index = new Map();
+      for (const rawPool of pools) {
+        try {
+          const [keyA, keyB] = this.getPoolAssetKeys(rawPool);
+          const key = pairKey(keyA, keyB);
+          // Keep the first pool listed for a pair, as the linear search did
+          if (!index.has(key)) {
+            index.set(key, rawPool);
+          }
+        } catch {
+          // Malformed entry - not addressable by pair
+        }
+      }
+
+      this.poolCacheStats.fetches++;
+      this.poolSnapshot = {
+        pools,
+        index,
+        fetchedAt: Date.now(),
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      };
+      return this.poolSnapshot;
+    } catch (error) {
+      this.poolCacheStats.errors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Error for a pair this DEX has no pool for
+   * Carries code NO_POOL so callers can tell it apart from a failing DEX.
+   * @param {Asset} assetA 
+   * @param {Asset} assetB 
+   * @returns {Error}
+   */
+  noPoolError(assetA, assetB) {
+    const error = new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+    error.code = 'NO_POOL';
+    return error;
+  }
+
   /**
    * Validate that the adapter is initialized
    * @private
@@ -174,4 +571,30 @@ export class BaseDEXAdapter {
   }
 }
 
+/**
+ * Canonical unit of an asset in any of the shapes the DEX APIs use
+ * Asset objects, {policyId, tokenName} objects, "lovelace" / "ada" / "" and units with or without
+ * a dot between policy id and token name all map to "lovelace" or "<policyId><tokenName>".
+ * @private
+ */
+function assetUnit(asset) {
+  if (asset === null || asset === undefined) {
+    return null;
+  }
+
+  const unit = typeof asset === 'string'
+    ? asset.replace('.', '')
+    : `${asset.policyId || ''}${asset.tokenName || ''}`;
+
+  return unit === '' || unit.toLowerCase() === 'lovelace' || unit.toLowerCase() === 'ada' ? 'lovelace' : unit;
+}
+
+/**
+ * Order-independent key for an asset pair
+ * @private
+ */
+function pairKey(keyA, keyB) {
+  return keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+}
+
 export default BaseDEXAdapter;
\ No newline at end of file
@@ -0,0 +1,350 @@
+// DexHunter Aggregator Adapter
+//
+// DexHunter routes a swap across every Cardano DEX it indexes, splitting it between pools when
+// that pays more. The adapter asks its API for route estimates and builds swaps through it; the
+// API returns an unsigned transaction, which we sign and submit with our Lucid wallet.
+//
+// The aggregator has no pools of its own, so it isn't a venue of UnifiedDEXInterface. Its quotes
+// are used as a benchmark for the scanner's opportunities (CONFIG.DEXHUNTER.BENCHMARK).
+//
+// Amounts in the API are display units (ADA, or tokens divided by their registered decimals);
+// the adapter converts them to and from base units, like every other adapter's amounts.
+import { BlockFrostAPI } from "@blockfrost/blockfrost-js";
+import { NetworkId } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
+import { BaseDEXAdapter } from "./base-dex-adapter.js";
+
+const ADA_DECIMALS = 6;
+
+export class DexHunterAdapter extends BaseDEXAdapter {
+  /**
+   * @param {number} networkId
+   * @param {string} blockfrostProjectId - Used to look up token decimals
+   * @param {Object} [config]
+   * @param {string} [config.apiUrl] - Aggregator API base URL (CONFIG.DEXHUNTER.API_URL)
+   * @param {string} [config.partnerId] - Partner id sent with every request (CONFIG.DEXHUNTER.PARTNER_ID)
+   * @param {BlockFrostAPI} [config.blockfrost] - Blockfrost client (created on initialize() if omitted)
+   */
+  constructor(networkId, blockfrostProjectId, config = {}) {
+    super("DexHunter", networkId, config);
+    this.blockfrostProjectId = blockfrostProjectId;
+    this.apiUrl = (config.apiUrl || CONFIG.DEXHUNTER.API_URL).replace(/\/$/, '');
+    this.partnerId = config.partnerId ?? CONFIG.DEXHUNTER.PARTNER_ID;
+    this.requestTimeout = config.requestTimeout ?? CONFIG.DEXHUNTER.REQUEST_TIMEOUT;
+    this.blockfrost = config.blockfrost || null;
+    this.decimals = new Map();
+  }
+
+  async initialize() {
+    try {
+      if (!this.partnerId) {
+        throw new Error("DEXHUNTER_PARTNER_ID is not set - the aggregator API requires a partner id");
+      }
+
+      if (!this.blockfrost) {
+        this.blockfrost = new BlockFrostAPI({
+          projectId: this.blockfrostProjectId,
+          network: this.networkId === NetworkId.MAINNET ? "mainnet" : "testnet"
+        });
+      }
+
+      this.isInitialized = true;
+      console.log(`✅ ${this.name} adapter initialized (${this.apiUrl})`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to initialize ${this.name} adapter:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * The aggregator has no single pool for a pair
+   */
+  async getPool(assetA, assetB) {
+    return null;
+  }
+
+  /**
+   * Best-route estimate for a swap across all DEXs
+   * @param {Asset} assetIn
+   * @param {Asset} assetOut
+   * @param {bigint} amountIn - Base units of assetIn
+   * @param {Object} [options]
+   * @param {number} [options.slippagePercent=CONFIG.DEFAULT_SLIPPAGE]
+   * @param {Array<string>} [options.blacklistedDEXs] - Aggregator DEX ids to route around
+   * @returns {Promise<{amountOut: bigint, minimumAmountOut: bigint, splits: Array<Object>, batcherFeeADA: number, depositADA: number, aggregatorFeeADA: number, priceImpact: number}>}
+   *   amountOut is the expected output, minimumAmountOut the output after slippage (base units)
+   */
+  async estimateSwap(assetIn, assetOut, amountIn, options = {}) {
+    this._ensureInitialized();
+
+    const body = await this._post('/swap/estimate', {
+      token_in: this._tokenId(assetIn),
+      token_out: this._tokenId(assetOut),
+      amount_in: await this._toDisplay(assetIn, amountIn),
+      slippage: options.slippagePercent ?? CONFIG.DEFAULT_SLIPPAGE,
+      blacklisted_dexes: options.blacklistedDEXs || []
+    });
+
+    return await this._parseEstimate(body, assetOut);
+  }
+
+  /**
+   * Expected output of a swap routed by the aggregator
+   * fee is 0: DEX trading fees are already taken out of the estimate. pool is null and splits
+   * lists the DEXs the swap would be routed through.
+   */
+  async calculateSwapOutput(assetIn, assetOut, amountIn, pool = null) {
+    const estimate = await this.estimateSwap(assetIn, assetOut, BigInt(amountIn));
+
+    if (estimate.amountOut <= 0n) {
+      throw new Error(`${this.name}: No route for ${assetIn.toString()} → ${assetOut.toString()}`);
+    }
+
+    return {
+      amountOut: estimate.amountOut,
+      slippage: estimate.priceImpact,
+      fee: 0,
+      priceImpact: estimate.priceImpact,
+      pool: null,
+      splits: estimate.splits
+    };
+  }
+
+  /**
+   * Effective rate of a swap of CONFIG.DEXHUNTER.PRICE_REFERENCE_AMOUNT display units of assetA
+   * An aggregated route has no spot price or reserves, so price and effectivePrice are both the
+   * estimate's output per input, in base units.
+   */
+  async getPrice(assetA, assetB) {
+    const decimals = await this._decimals(assetA);
+    const amountIn = BigInt(CONFIG.DEXHUNTER.PRICE_REFERENCE_AMOUNT) * 10n ** BigInt(decimals);
+    const { amountOut } = await this.estimateSwap(assetA, assetB, amountIn);
+    const price = Number(amountOut) / Number(amountIn);
+
+    return {
+      price,
+      effectivePrice: price,
+      fee: 0,
+      reserves: null,
+      pool: null
+    };
+  }
+
+  /**
+   * Unsigned swap transaction built by the aggregator
+   * params.minimumAmountOut is checked against the built route's output after slippage, which
+   * the aggregator sets from params.slippagePercent.
+   * @returns {Promise<{cbor: string, estimate: Object}>}
+   */
+  async buildSwapTransaction(params) {
+    this._ensureInitialized();
+
+    const { sender, assetIn, assetOut, amountIn, minimumAmountOut = 0n, slippagePercent = CONFIG.DEFAULT_SLIPPAGE } = params;
+
+    try {
+      const body = await this._post('/swap/build', {
+        buyer_address: sender,
+        token_in: this._tokenId(assetIn),
+        token_out: this._tokenId(assetOut),
+        amount_in: await this._toDisplay(assetIn, amountIn),
+        slippage: slippagePercent,
+        tx_optimization: true,
+        blacklisted_dexes: params.blacklistedDEXs || []
+      });
+
+      if (!body.cbor) {
+        throw new Error(`${this.name} API returned no transaction`);
+      }
+
+      const estimate = await this._parseEstimate(body, assetOut);
+      if (estimate.minimumAmountOut < BigInt(minimumAmountOut)) {
+        throw new Error(`${this.name}: Route pays at least ${estimate.minimumAmountOut}, below the required ${minimumAmountOut}`);
+      }
+
+      return { cbor: body.cbor, estimate };
+    } catch (error) {
+      console.error(`${this.name}: Error building swap transaction:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap through the aggregator
+   * The slippage sent to the aggregator is the gap between a fresh estimate and
+   * minimumAmountOut, so the built transaction never accepts less than minimumAmountOut.
+   */
+  async executeSwap(assetIn, assetOut, amountIn, minimumAmountOut, walletAddress, lucid) {
+    this._ensureInitialized();
+
+    try {
+      const { amountOut } = await this.estimateSwap(assetIn, assetOut, amountIn);
+      if (amountOut < BigInt(minimumAmountOut)) {
+        throw new Error(`${this.name}: Best route pays ${amountOut}, below the minimum ${minimumAmountOut}`);
+      }
+
+      const { cbor, estimate } = await this.buildSwapTransaction({
+        sender: walletAddress,
+        assetIn,
+        assetOut,
+        amountIn,
+        minimumAmountOut,
+        slippagePercent: this._slippageFor(amountOut, BigInt(minimumAmountOut))
+      });
+
+      // Sign and submit transaction
+      const signedTx = await lucid.fromTx(cbor).sign().complete();
+      const txHash = await signedTx.submit();
+
+      const route = estimate.splits.map(split => split.dex).join(' + ');
+      console.log(`✅ ${this.name}: Swap submitted via ${route || 'aggregator'}, txHash: ${txHash}`);
+
+      return {
+        txHash,
+        outputAmount: minimumAmountOut // Return minimum expected, actual will be calculated later
+      };
+    } catch (error) {
+      console.error(`${this.name}: Error executing swap:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swaps are built by the aggregator one at a time; its orders can't be cancelled or chained
+   * from here
+   */
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      buildTx: true,
+      execute: true
+    };
+  }
+
+  /**
+   * Trading fees are part of the estimate; batcher fees depend on the route, see estimateSwap()
+   */
+  getFeeStructure() {
+    return {
+      tradingFee: 0,
+      networkFee: CONFIG.NETWORK_FEE_ESTIMATE,
+      batcherFee: 2 // ~2 ADA, routes through several DEXs pay one batcher fee each
+    };
+  }
+
+  async getPoolLiquidity(assetA, assetB) {
+    throw new Error(`${this.name}: An aggregator has no pool liquidity`);
+  }
+
+  /**
+   * Estimate or build response in base units of assetOut
+   * Both carry total_output (after slippage), total_output_without_slippage and splits.
+   * @private
+   */
+  async _parseEstimate(body, assetOut) {
+    const splits = (body.splits || []).map(split => ({
+      dex: split.dex,
+      amountIn: Number(split.amount_in ?? 0),
+      amountOut: Number(split.expected_output_without_slippage ?? split.expected_output ?? 0),
+      priceImpact: Number(split.price_impact ?? 0)
+    }));
+
+    return {
+      amountOut: await this._toBase(assetOut, body.total_output_without_slippage ?? body.total_output ?? 0),
+      minimumAmountOut: await this._toBase(assetOut, body.total_output ?? 0),
+      splits,
+      batcherFeeADA: Number(body.batcher_fee ?? 0),
+      depositADA: Number(body.deposits ?? 0),
+      aggregatorFeeADA: Number(body.dexhunter_fee ?? 0) + Number(body.partner_fee ?? 0),
+      priceImpact: splits.reduce((max, split) => Math.max(max, split.priceImpact), 0)
+    };
+  }
+
+  /**
+   * Slippage percent that keeps the route's output at or above minimumAmountOut
+   * @private
+   */
+  _slippageFor(amountOut, minimumAmountOut) {
+    if (amountOut <= 0n || minimumAmountOut >= amountOut) {
+      return 0;
+    }
+    const percent = Number(amountOut - minimumAmountOut) * 100 / Number(amountOut);
+    // Round down to the 0.01% the API accepts, erring on the strict side
+    return Math.floor(percent * 100) / 100;
+  }
+
+  /**
+   * POST a JSON request to the aggregator API
+   * @private
+   */
+  async _post(path, payload) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'X-Partner-Id': this.partnerId
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${this.name} API returned ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Token id in the aggregator's format: "" for ADA, policy id + hex token name otherwise
+   * @private
+   */
+  _tokenId(asset) {
+    return this._isADA(asset) ? "" : `${asset.policyId}${asset.tokenName}`;
+  }
+
+  /**
+   * Registered decimals of a token (0 when it has no registry metadata), cached
+   * @private
+   */
+  async _decimals(asset) {
+    if (this._isADA(asset)) {
+      return ADA_DECIMALS;
+    }
+
+    const unit = this._tokenId(asset);
+    if (!this.decimals.has(unit)) {
+      const info = await this.blockfrost.assetsById(unit);
+      this.decimals.set(unit, Number(info.metadata?.decimals ?? 0));
+    }
+    return this.decimals.get(unit);
+  }
+
+  /**
+   * @private
+   */
+  async _toDisplay(asset, amount) {
+    return Number(amount) / 10 ** await this._decimals(asset);
+  }
+
+  /**
+   * Display amounts carry at most the token's decimals, so rounding recovers the base units
+   * @private
+   */
+  async _toBase(asset, amount) {
+    return BigInt(Math.round(Number(amount) * 10 ** await this._decimals(asset)));
+  }
+
+  /**
+   * Check if asset is ADA
+   * @private
+   */
+  _isADA(asset) {
+    return (!asset.policyId || asset.policyId === "") &&
+           (!asset.tokenName || asset.tokenName === "");
+  }
+}
+
+export default DexHunterAdapter;
@@ -3,7 +3,9 @@ export { BaseDEXAdapter } from "./base-dex-adapter.js";
 export { MinswapAdapter } from "./minswap-adapter.js";
 export { SundaeSwapAdapter } from "./sundaeswap-adapter.js";
 export { MuesliSwapAdapter } from "./muesliswap-adapter.js";
+export { DexHunterAdapter } from "./dexhunter-adapter.js";
 export { UnifiedDEXInterface } from "./unified-dex-interface.js";
+export { AdapterRegistry, createDefaultRegistry, registerBuiltinAdapters } from "./adapter-registry.js";
 
 // Re-export commonly used assets and constants from Minswap SDK
 export { ADA, Asset, NetworkId } from "@minswap/sdk";
\ No newline at end of file
@@ -4,14 +4,17 @@ import {
   Asset,
   BlockfrostAdapter,
   DexV2,
-  DexV2Calculation,
+  DexV2Constant,
   NetworkId,
   OrderV2,
   calculateAmountWithSlippageTolerance,
   getBackendBlockfrostLucidInstance,
 } from "@minswap/sdk";
 import { BlockFrostAPI } from "@blockfrost/blockfrost-js";
+import { Data } from "lucid-cardano";
+import { CONFIG } from "../config/index.js";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { BASIS_POINTS, constantProductOut } from "./swap-math.js";
 
 export class MinswapAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
@@ -59,71 +62,16 @@ export class MinswapAdapter extends BaseDEXAdapter {
       
       return null;
     } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
-    }
-  }
-
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
-
-    // Calculate price as reserveB / reserveA
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
-    return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
-    };
-  }
-
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
-
-    // Determine swap direction
-    const assetInIsA = this._compareAssets(assetIn, pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    const feeNumerator = assetInIsA ? pool.feeA?.[0] || 3n : pool.feeB?.[0] || 3n;
-
-    // Calculate output using Minswap formula
-    const rawOut = DexV2Calculation.calculateAmountOut({
-      reserveIn,
-      reserveOut,
-      amountIn,
-      tradingFeeNumerator: feeNumerator,
-    });
-
-    if (rawOut === 0n) {
-      throw new Error("Insufficient liquidity for swap");
+      // Surface transport errors instead of reporting them as "no pool", so health tracking sees them
+      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error.message);
+      throw error;
     }
-
-    // Calculate slippage and fees
-    const priceImpact = this.calculatePriceImpact(amountIn, reserveIn, reserveOut);
-    const tradingFee = Number(feeNumerator) / 1000; // Convert to percentage
-
-    return {
-      amountOut: rawOut,
-      slippage: priceImpact,
-      fee: tradingFee,
-      priceImpact,
-      pool: pool
-    };
   }
 
+  /**
+   * params.isLimitOrder places a resting limit order at minimumAmountOut instead of a market
+   * order; params.expiry (ms timestamp) sets when the order stops being fillable
+   */
   async buildSwapTransaction(params) {
     this._ensureInitialized();
     
@@ -134,18 +82,20 @@ export class MinswapAdapter extends BaseDEXAdapter {
       amountIn,
       minimumAmountOut,
       availableUtxos,
-      slippagePercent = 0.5
+      slippagePercent = 0.5,
+      isLimitOrder = false,
+      expiry = null
     } = params;
 
     try {
       // Get pool information
       const pool = await this.getPool(assetIn, assetOut);
       if (!pool) {
-        throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
+        throw this.noPoolError(assetIn, assetOut);
       }
 
       // Determine swap direction
-      const assetInIsA = this._compareAssets(assetIn, pool.assetA);
+      const { assetInIsA } = this.orientPool(pool, assetIn);
       const direction = assetInIsA ? OrderV2.Direction.A_TO_B : OrderV2.Direction.B_TO_A;
 
       // Initialize Lucid instance
@@ -172,10 +122,11 @@ export class MinswapAdapter extends BaseDEXAdapter {
           direction,
           minimumAmountOut,
           lpAsset: pool.lpAsset,
-          isLimitOrder: false,
+          isLimitOrder,
           killOnFailed: false,
           slippageTolerancePercent: slippagePercent
         }],
+        expiredOptions: this._expiredOptions(expiry)
       });
 
       return txComplete;
@@ -187,79 +138,415 @@ export class MinswapAdapter extends BaseDEXAdapter {
   }
 
   async executeSwap(assetIn, assetOut, amountIn, minimumAmountOut, walletAddress, lucid) {
+    const { txHash } = await this.executeSwaps(
+      [{ assetIn, assetOut, amountIn, minimumAmountOut }],
+      walletAddress,
+      lucid
+    );
+
+    return {
+      txHash,
+      outputAmount: minimumAmountOut // Return minimum expected, actual will be calculated later
+    };
+  }
+
+  /**
+   * V2 orders can be batched into one transaction with createBulkOrdersTx and carry a
+   * killOnFailed flag, so every order either fills at its minimum output or is refunded
+   */
+  async executeSwaps(orders, walletAddress, lucid) {
     this._ensureInitialized();
     
     try {
-      // Get pool information
-      const pool = await this.getPool(assetIn, assetOut);
-      if (!pool) {
-        throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
+      const orderOptions = [];
+      for (const order of orders) {
+        orderOptions.push({
+          type: OrderV2.StepType.SWAP_EXACT_IN,
+          amountIn: order.amountIn,
+          assetIn: order.assetIn,
+          ...await this._orderRoute(order.assetIn, order.assetOut),
+          minimumAmountOut: order.minimumAmountOut,
+          isLimitOrder: false,
+          killOnFailed: order.killOnFailed ?? false,
+          slippageTolerancePercent: 0.5
+        });
       }
 
-      // Get available UTxOs
-      const availableUtxos = await lucid.wallet.getUtxos();
-      if (!availableUtxos || availableUtxos.length === 0) {
-        throw new Error("No available UTxOs found");
+      const txHash = await this._submitOrders(orderOptions, walletAddress, lucid);
+      
+      console.log(`✅ ${this.name}: ${orders.length === 1 ? 'Swap' : `${orders.length} orders`} submitted, txHash: ${txHash}`);
+      
+      return { txHash };
+      
+    } catch (error) {
+      console.error(`${this.name}: Error executing swap:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * V2 limit order: isLimitOrder and not kill-on-failed, so batchers skip it until the pool pays
+   * minimumAmountOut and it rests at the order script meanwhile. Past its expiry it can't be
+   * filled any more and is left for the owner (or a batcher, for the cancellation tip) to cancel.
+   */
+  async placeLimitOrder(assetIn, assetOut, amountIn, limitPrice, expiry, walletAddress, lucid) {
+    this._ensureInitialized();
+    
+    try {
+      const minimumAmountOut = BigInt(Math.floor(Number(amountIn) * limitPrice));
+      if (minimumAmountOut <= 0n) {
+        throw new Error(`Limit price ${limitPrice} gives no output for ${amountIn} ${assetIn.toString()}`);
       }
+      if (expiry !== null && expiry !== undefined && expiry <= Date.now()) {
+        throw new Error(`Limit order expiry ${new Date(expiry).toISOString()} is in the past`);
+      }
+      
+      const txHash = await this._submitOrders([{
+        type: OrderV2.StepType.SWAP_EXACT_IN,
+        amountIn,
+        assetIn,
+        ...await this._orderRoute(assetIn, assetOut),
+        minimumAmountOut,
+        isLimitOrder: true,
+        killOnFailed: false
+      }], walletAddress, lucid, this._expiredOptions(expiry));
+      
+      console.log(`✅ ${this.name}: Limit order submitted (min ${minimumAmountOut} out${expiry ? `, expires ${new Date(expiry).toISOString()}` : ''}), txHash: ${txHash}`);
+      
+      return { txHash, minimumAmountOut };
+      
+    } catch (error) {
+      console.error(`${this.name}: Error placing limit order:`, error);
+      throw error;
+    }
+  }
 
-      // Determine swap direction
-      const assetInIsA = this._compareAssets(assetIn, pool.assetA);
-      const direction = assetInIsA ? OrderV2.Direction.A_TO_B : OrderV2.Direction.B_TO_A;
+  /**
+   * SWAP_EXACT_OUT order: the batcher pays exactly amountOut and returns whatever is left of
+   * maximumAmountIn. killOnFailed refunds it when amountOut costs more than maximumAmountIn.
+   */
+  async executeSwapExactOut(assetIn, assetOut, maximumAmountIn, amountOut, walletAddress, lucid, killOnFailed = true) {
+    this._ensureInitialized();
+    
+    try {
+      const txHash = await this._submitOrders([{
+        type: OrderV2.StepType.SWAP_EXACT_OUT,
+        assetIn,
+        maximumAmountIn,
+        expectedReceived: amountOut,
+        ...await this._orderRoute(assetIn, assetOut),
+        killOnFailed
+      }], walletAddress, lucid);
+      
+      console.log(`✅ ${this.name}: Exact-out swap submitted (${amountOut} out for at most ${maximumAmountIn} in), txHash: ${txHash}`);
+      
+      return { txHash, outputAmount: amountOut };
+      
+    } catch (error) {
+      console.error(`${this.name}: Error executing exact-out swap:`, error);
+      throw error;
+    }
+  }
 
-      // Create DexV2 instance
-      const dex = new DexV2(lucid, this.adapter);
+  /**
+   * STOP_LOSS order: batchers fill it only once the swap pays stopAmount or less, i.e. after
+   * the price fell to the stop
+   */
+  async placeStopLoss(assetIn, assetOut, amountIn, stopAmount, walletAddress, lucid) {
+    this._ensureInitialized();
+    
+    try {
+      const txHash = await this._submitOrders([{
+        type: OrderV2.StepType.STOP_LOSS,
+        assetIn,
+        amountIn,
+        stopAmount,
+        ...await this._orderRoute(assetIn, assetOut)
+      }], walletAddress, lucid);
+      
+      console.log(`✅ ${this.name}: Stop-loss submitted (stop at ${stopAmount} out), txHash: ${txHash}`);
+      
+      return { txHash };
+      
+    } catch (error) {
+      console.error(`${this.name}: Error placing stop-loss:`, error);
+      throw error;
+    }
+  }
 
-      // Build swap transaction
-      const tx = await dex.createBulkOrdersTx({
-        sender: walletAddress,
-        availableUtxos,
-        orderOptions: [{
-          type: OrderV2.StepType.SWAP_EXACT_IN,
-          amountIn,
-          assetIn,
-          direction,
-          minimumAmountOut,
-          lpAsset: pool.lpAsset,
-          isLimitOrder: false,
-          killOnFailed: false,
-          slippageTolerancePercent: 0.5
-        }],
+  /**
+   * OCO order: one order that batchers fill either once the swap pays limitAmount or more (take
+   * profit) or once it pays stopAmount or less (stop loss)
+   */
+  async placeOCO(assetIn, assetOut, amountIn, limitAmount, stopAmount, walletAddress, lucid) {
+    this._ensureInitialized();
+    
+    try {
+      if (stopAmount >= limitAmount) {
+        throw new Error(`OCO stop (${stopAmount}) must be below its limit (${limitAmount})`);
+      }
+      
+      const txHash = await this._submitOrders([{
+        type: OrderV2.StepType.OCO,
+        assetIn,
+        amountIn,
+        limitAmount,
+        stopAmount,
+        ...await this._orderRoute(assetIn, assetOut)
+      }], walletAddress, lucid);
+      
+      console.log(`✅ ${this.name}: OCO submitted (take profit at ${limitAmount}, stop at ${stopAmount} out), txHash: ${txHash}`);
+      
+      return { txHash };
+      
+    } catch (error) {
+      console.error(`${this.name}: Error placing OCO order:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open V2 orders placed by a wallet
+   * Orders sit at the order script address carrying the sender's stake credential. Anyone can
+   * pay to that address, so only outputs whose datum names the wallet's payment key as canceller
+   * are returned.
+   * @param {string} walletAddress
+   * @param {Object} lucid - Lucid instance
+   * @returns {Promise<Array<{txHash: string, outputIndex: number, assets: Object<string, bigint>, datum: Object}>>}
+   */
+  async getOpenOrders(walletAddress, lucid) {
+    this._ensureInitialized();
+    
+    try {
+      const { paymentCredential, stakeCredential } = lucid.utils.getAddressDetails(walletAddress);
+      const orderAddress = lucid.utils.credentialToAddress(
+        lucid.utils.scriptHashToCredential(DexV2Constant.CONFIG[this.networkId].orderScriptHash),
+        stakeCredential
+      );
+      
+      const orders = [];
+      for (const utxo of await lucid.utxosAt(orderAddress)) {
+        const datum = this._orderDatum(utxo);
+        if (datum?.canceller.hash === paymentCredential.hash) {
+          orders.push({ txHash: utxo.txHash, outputIndex: utxo.outputIndex, assets: utxo.assets, datum });
+        }
+      }
+      
+      return orders;
+    } catch (error) {
+      console.error(`${this.name}: Error listing open orders:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Spends the order outputs with DexV2's cancel redeemer; the order's owner must sign
+   * @returns {Promise<{txHash: string, reclaimed: Object<string, bigint>}>} reclaimed is the value
+   *   of the cancelled order outputs, which goes back to the wallet less the transaction fee
+   */
+  async cancelOrders(orderRefs, walletAddress, lucid) {
+    this._ensureInitialized();
+    
+    try {
+      const reclaimed = {};
+      for (const utxo of await lucid.utxosByOutRef(orderRefs)) {
+        for (const [unit, quantity] of Object.entries(utxo.assets)) {
+          reclaimed[unit] = (reclaimed[unit] || 0n) + BigInt(quantity);
+        }
+      }
+      
+      const dex = new DexV2(lucid, this.adapter);
+      const tx = await dex.cancelOrder({
+        orderOutRefs: orderRefs.map(({ txHash, outputIndex }) => ({ txHash, outputIndex }))
       });
 
       // Sign and submit transaction
       const signedTx = await tx
         .addSigner(walletAddress)
-        .commit(); // Use commit() instead of complete() for Minswap SDK
+        .commit();
 
       const txHash = await signedTx.submit();
       
-      console.log(`✅ ${this.name}: Swap submitted, txHash: ${txHash}`);
+      console.log(`✅ ${this.name}: Cancelled ${orderRefs.length} order(s), txHash: ${txHash}`);
+      console.log(`💸 Reclaimed: ${this.formatAssets(reclaimed)}`);
       
-      return {
-        txHash,
-        outputAmount: minimumAmountOut // Return minimum expected, actual will be calculated later
-      };
+      return { txHash, reclaimed };
       
     } catch (error) {
-      console.error(`${this.name}: Error executing swap:`, error);
+      console.error(`${this.name}: Error cancelling orders:`, error);
       throw error;
     }
   }
 
+  /**
+   * Cancel every open order of a wallet in one transaction
+   * @returns {Promise<{txHash: string, reclaimed: Object<string, bigint>}|null>} null when there
+   *   was nothing to cancel
+   */
+  async cancelAllOrders(walletAddress, lucid) {
+    const orders = await this.getOpenOrders(walletAddress, lucid);
+    if (orders.length === 0) {
+      console.log(`${this.name}: No open orders to cancel`);
+      return null;
+    }
+    
+    return await this.cancelOrders(orders, walletAddress, lucid);
+  }
+
+  getOrderScriptHashes() {
+    return [DexV2Constant.CONFIG[this.networkId].orderScriptHash];
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      buildTx: true,
+      execute: true,
+      cancel: true,
+      limitOrders: true,
+      exactOut: true,
+      stopOrders: true,
+      chainedOrders: true
+    };
+  }
+
+  /**
+   * Direction and LP asset of the pool an order from assetIn to assetOut trades against
+   * @private
+   */
+  async _orderRoute(assetIn, assetOut) {
+    const pool = await this.getPool(assetIn, assetOut);
+    if (!pool) {
+      throw this.noPoolError(assetIn, assetOut);
+    }
+    
+    const { assetInIsA } = this.orientPool(pool, assetIn);
+    return {
+      direction: assetInIsA ? OrderV2.Direction.A_TO_B : OrderV2.Direction.B_TO_A,
+      lpAsset: pool.lpAsset
+    };
+  }
+
+  /**
+   * Build, sign and submit one transaction placing DexV2 orders
+   * @returns {Promise<string>} Transaction hash
+   * @private
+   */
+  async _submitOrders(orderOptions, walletAddress, lucid, expiredOptions = undefined) {
+    // Get available UTxOs
+    const availableUtxos = await lucid.wallet.getUtxos();
+    if (!availableUtxos || availableUtxos.length === 0) {
+      throw new Error("No available UTxOs found");
+    }
+    
+    const dex = new DexV2(lucid, this.adapter);
+    const tx = await dex.createBulkOrdersTx({
+      sender: walletAddress,
+      availableUtxos,
+      orderOptions,
+      expiredOptions
+    });
+    
+    // Sign and submit transaction
+    const signedTx = await tx
+      .addSigner(walletAddress)
+      .commit(); // Use commit() instead of complete() for Minswap SDK
+    
+    return await signedTx.submit();
+  }
+
+  /**
+   * DexV2 expiry setting for an order expiring at a timestamp (ms), undefined for no expiry
+   * @private
+   */
+  _expiredOptions(expiry) {
+    if (expiry === null || expiry === undefined) {
+      return undefined;
+    }
+    
+    return {
+      expiredTime: BigInt(expiry),
+      maxCancellationTip: CONFIG.LIMIT_ORDERS.MAX_CANCELLATION_TIP
+    };
+  }
+
+  /**
+   * Decoded order datum of an order script UTxO, or null for outputs that aren't V2 orders
+   * @private
+   */
+  _orderDatum(utxo) {
+    if (!utxo.datum) {
+      return null;
+    }
+    
+    try {
+      return OrderV2.Datum.fromPlutusData(this.networkId, Data.from(utxo.datum));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Readable list of an asset bundle, e.g. "2.000000 ADA, 400 CATSKY"
+   * @param {Object<string, bigint>} assets - Quantities keyed by unit
+   * @returns {string}
+   */
+  formatAssets(assets) {
+    return Object.entries(assets).map(([unit, quantity]) => {
+      if (unit === 'lovelace') {
+        return `${(Number(quantity) / 1_000_000).toFixed(6)} ADA`;
+      }
+      const token = Object.values(CONFIG.SUPPORTED_TOKENS).find(token => token.fullUnit === unit);
+      return `${quantity} ${token?.symbol || unit}`;
+    }).join(', ');
+  }
+
   getFeeStructure() {
     return {
       tradingFee: 0.003, // 0.3%
-      networkFee: 0.0003, // ~0.3 ADA average
+      networkFee: 0.3, // ~0.3 ADA average
       batcherFee: 0.7 // ~0.7 ADA for V2
     };
   }
 
+  /**
+   * V2 pools store a fee numerator per direction (feeA for A → B, feeB for B → A)
+   * over a denominator of 10,000; the output is DexV2Calculation.calculateAmountOut()
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    const [feeNumerator, feeDenominator] = this._directionFee(pool, assetInIsA);
+    return constantProductOut(
+      amountIn,
+      BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      BigInt(assetInIsA ? pool.reserveB : pool.reserveA),
+      feeNumerator,
+      feeDenominator
+    );
+  }
+
+  getTradingFee(pool, assetInIsA) {
+    const [feeNumerator, feeDenominator] = this._directionFee(pool, assetInIsA);
+    return Number(feeNumerator) / Number(feeDenominator);
+  }
+
+  /**
+   * [numerator, denominator] of a direction's trading fee, 0.3% when the pool doesn't say
+   * @private
+   */
+  _directionFee(pool, assetInIsA) {
+    const fee = assetInIsA ? pool.feeA : pool.feeB;
+    if (Array.isArray(fee)) {
+      return [BigInt(fee[0]), BigInt(fee[1] ?? BASIS_POINTS)];
+    }
+    return [fee === undefined || fee === null ? 30n : BigInt(fee), BASIS_POINTS];
+  }
+
   async getPoolLiquidity(assetA, assetB) {
     this._ensureInitialized();
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -274,21 +561,6 @@ export class MinswapAdapter extends BaseDEXAdapter {
     };
   }
 
-  /**
-   * Compare two assets for equality
-   * @private
-   */
-  _compareAssets(asset1, asset2) {
-    // Handle ADA comparison
-    if (this._isADA(asset1) && this._isADA(asset2)) {
-      return true;
-    }
-    
-    // Handle token comparison
-    return asset1.policyId === asset2.policyId && 
-           asset1.tokenName === asset2.tokenName;
-  }
-
   /**
    * Check if asset is ADA
    * @private
@@ -319,7 +591,7 @@ export class MinswapAdapter extends BaseDEXAdapter {
   }
 
   normalizePoolData(rawPool) {
-    return {
+    const pool = {
       ...super.normalizePoolData(rawPool),
       feeA: rawPool.feeA,
       feeB: rawPool.feeB,
@@ -329,6 +601,8 @@ export class MinswapAdapter extends BaseDEXAdapter {
       version: "v2",
       batcherAddress: rawPool.datum?.poolBatchingStakeCredential
     };
+    pool.fee = this.getTradingFee(pool, true);
+    return pool;
   }
 }
 
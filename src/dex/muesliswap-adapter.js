@@ -1,6 +1,7 @@
 // MuesliSwap DEX Adapter
 import { Asset } from "@minswap/sdk";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { BASIS_POINTS, percentToNumerator } from "./swap-math.js";
 
 export class MuesliSwapAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
@@ -34,98 +35,18 @@ export class MuesliSwapAdapter extends BaseDEXAdapter {
 
   async getPool(assetA, assetB) {
     this._ensureInitialized();
-    
-    try {
-      const response = await fetch(`${this.apiBaseUrl}/liquidity/pools`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`MuesliSwap API returned ${response.status}`);
-      }
-      
-      const pools = await response.json();
-      
-      // Find pool for the asset pair
-      const assetAStr = this._assetToString(assetA);
-      const assetBStr = this._assetToString(assetB);
-      
-      const pool = pools.find(p => 
-        (this._assetToString({policyId: p.tokenA.address.policyId, tokenName: p.tokenA.address.name}) === assetAStr && 
-         this._assetToString({policyId: p.tokenB.address.policyId, tokenName: p.tokenB.address.name}) === assetBStr) ||
-        (this._assetToString({policyId: p.tokenA.address.policyId, tokenName: p.tokenA.address.name}) === assetBStr && 
-         this._assetToString({policyId: p.tokenB.address.policyId, tokenName: p.tokenB.address.name}) === assetAStr)
-      );
-      
-      if (pool) {
-        return this.normalizePoolData(pool);
-      }
-      
-      return null;
-    } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
-    }
+    return await this.getCachedPool(assetA, assetB);
   }
 
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
-
-    // Calculate price as reserveB / reserveA
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
-    return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
-    };
+  getPoolListRequest() {
+    return { url: `${this.apiBaseUrl}/liquidity/pools` };
   }
 
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
-
-    // Determine swap direction
-    const assetInStr = this._assetToString(assetIn);
-    const assetInIsA = assetInStr === this._assetToString(pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    
-    // MuesliSwap uses 0.3% fee
-    const fee = 0.003;
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-    
-    // Constant product formula: x * y = k
-    const amountOut = (amountInWithFee * Number(reserveOut)) / (Number(reserveIn) + amountInWithFee);
-    
-    if (amountOut <= 0) {
-      throw new Error("Insufficient liquidity for swap");
-    }
-
-    const priceImpact = this.calculatePriceImpact(amountIn, BigInt(reserveIn), BigInt(reserveOut));
-
-    return {
-      amountOut: BigInt(Math.floor(amountOut)),
-      slippage: priceImpact,
-      fee: fee * 100, // Convert to percentage
-      priceImpact,
-      pool: pool
-    };
+  getPoolAssetKeys(rawPool) {
+    return [
+      this._assetToString({ policyId: rawPool.tokenA.address.policyId, tokenName: rawPool.tokenA.address.name }),
+      this._assetToString({ policyId: rawPool.tokenB.address.policyId, tokenName: rawPool.tokenB.address.name })
+    ];
   }
 
   async buildSwapTransaction(params) {
@@ -152,7 +73,7 @@ export class MuesliSwapAdapter extends BaseDEXAdapter {
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -195,7 +116,7 @@ export class MuesliSwapAdapter extends BaseDEXAdapter {
       assetB: {policyId: rawPool.tokenB.address.policyId, tokenName: rawPool.tokenB.address.name},
       reserveA: BigInt(rawPool.tokenA.amount || 0),
       reserveB: BigInt(rawPool.tokenB.amount || 0),
-      fee: parseFloat(rawPool.poolFee) || 0.003,
+      fee: Number(percentToNumerator(rawPool.poolFee) ?? 30n) / Number(BASIS_POINTS), // poolFee is in percent, e.g. "0.3"
       dex: this.name,
       lastUpdated: Date.now(),
       // MuesliSwap specific fields
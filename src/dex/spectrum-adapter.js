@@ -1,6 +1,7 @@
 // Spectrum (formerly ErgoDEX) DEX Adapter
 import { Asset } from "@minswap/sdk";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { cfmmOut } from "./swap-math.js";
 
 export class SpectrumAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
@@ -36,102 +37,23 @@ export class SpectrumAdapter extends BaseDEXAdapter {
 
   async getPool(assetA, assetB) {
     this._ensureInitialized();
-    
-    try {
-      // Try Spectrum API first
-      const assetAStr = this._assetToString(assetA);
-      const assetBStr = this._assetToString(assetB);
-      
-      const response = await fetch(`${this.apiBaseUrl}/amm/pools`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      if (response.ok) {
-        const pools = await response.json();
-        
-        // Find pool for the asset pair
-        const pool = pools.find(p => 
-          (this._matchesAsset(p.x, assetAStr) && this._matchesAsset(p.y, assetBStr)) ||
-          (this._matchesAsset(p.x, assetBStr) && this._matchesAsset(p.y, assetAStr))
-        );
-        
-        if (pool) {
-          return this.normalizePoolData(pool);
-        }
-      }
-      
-      return null;
-    } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
-    }
+    return await this.getCachedPool(assetA, assetB);
   }
 
-  _matchesAsset(poolAsset, assetStr) {
-    if (assetStr === "lovelace" && poolAsset.ticker === "ADA") {
-      return true;
-    }
-    return poolAsset.id === assetStr;
+  getPoolListRequest() {
+    return { url: `${this.apiBaseUrl}/amm/pools` };
   }
 
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
-
-    // Calculate price from pool reserves
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
-    return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
-    };
+  getPoolAssetKeys(rawPool) {
+    return [this._poolAssetKey(rawPool.x), this._poolAssetKey(rawPool.y)];
   }
 
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
-
-    // Determine swap direction
-    const assetInStr = this._assetToString(assetIn);
-    const assetInIsA = assetInStr === this._assetToString(pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    
-    // Spectrum uses 0.3% fee
-    const fee = 0.003;
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-    
-    // Constant product formula: x * y = k
-    const amountOut = (amountInWithFee * Number(reserveOut)) / (Number(reserveIn) + amountInWithFee);
-    
-    if (amountOut <= 0) {
-      throw new Error("Insufficient liquidity for swap");
-    }
-
-    const priceImpact = this.calculatePriceImpact(amountIn, BigInt(reserveIn), BigInt(reserveOut));
-
-    return {
-      amountOut: BigInt(Math.floor(amountOut)),
-      slippage: priceImpact,
-      fee: fee * 100, // Convert to percentage
-      priceImpact,
-      pool: pool
-    };
+  /**
+   * Spectrum lists ADA by ticker; other assets by their concatenated unit
+   * @private
+   */
+  _poolAssetKey(poolAsset) {
+    return poolAsset.ticker === "ADA" ? "lovelace" : poolAsset.id;
   }
 
   async buildSwapTransaction(params) {
@@ -152,12 +74,25 @@ export class SpectrumAdapter extends BaseDEXAdapter {
     };
   }
 
+  /**
+   * CFMM pools: poolFeeNum / poolFeeDen is the share of the input the pool keeps
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    return cfmmOut(
+      amountIn,
+      BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      BigInt(assetInIsA ? pool.reserveB : pool.reserveA),
+      pool.feeNum,
+      pool.feeDen
+    );
+  }
+
   async getPoolLiquidity(assetA, assetB) {
     this._ensureInitialized();
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -193,6 +128,10 @@ export class SpectrumAdapter extends BaseDEXAdapter {
   }
 
   normalizePoolData(rawPool) {
+    // poolFeeNum is what the pool keeps: 997 of 1000 is a 0.3% fee
+    const feeNum = BigInt(rawPool.poolFeeNum ?? 997);
+    const feeDen = BigInt(rawPool.poolFeeDen ?? 1000);
+
     // Convert Spectrum pool format to our standard format
     return {
       id: rawPool.id || rawPool.poolId,
@@ -200,10 +139,12 @@ export class SpectrumAdapter extends BaseDEXAdapter {
       assetB: rawPool.y ? {policyId: this._extractPolicyId(rawPool.y.id), tokenName: this._extractTokenName(rawPool.y.id)} : rawPool.assetB,
       reserveA: BigInt(rawPool.x?.amount || rawPool.reserveA || 0),
       reserveB: BigInt(rawPool.y?.amount || rawPool.reserveB || 0),
-      fee: rawPool.poolFeeNum ? (rawPool.poolFeeNum / rawPool.poolFeeDen) : 0.003,
+      fee: 1 - Number(feeNum) / Number(feeDen),
       dex: this.name,
       lastUpdated: Date.now(),
       // Spectrum specific fields
+      feeNum,
+      feeDen,
       version: rawPool.version || "v1",
       lpToken: rawPool.lp?.asset
     };
@@ -1,6 +1,7 @@
 // Splash DEX Adapter
 import { Asset } from "@minswap/sdk";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { cfmmOut, feeToNumerator } from "./swap-math.js";
 
 export class SplashAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
@@ -35,99 +36,18 @@ export class SplashAdapter extends BaseDEXAdapter {
 
   async getPool(assetA, assetB) {
     this._ensureInitialized();
-    
-    try {
-      const response = await fetch(`${this.apiBaseUrl}/pools`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Catsky-Trading-Bot/1.0'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Splash API returned ${response.status}`);
-      }
-      
-      const pools = await response.json();
-      
-      // Find pool for the asset pair
-      const assetAStr = this._assetToString(assetA);
-      const assetBStr = this._assetToString(assetB);
-      
-      const pool = pools.find(p => 
-        (p.assetA === assetAStr && p.assetB === assetBStr) ||
-        (p.assetA === assetBStr && p.assetB === assetAStr) ||
-        (p.tokenA === assetAStr && p.tokenB === assetBStr) ||
-        (p.tokenA === assetBStr && p.tokenB === assetAStr)
-      );
-      
-      if (pool) {
-        return this.normalizePoolData(pool);
-      }
-      
-      return null;
-    } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
-    }
+    return await this.getCachedPool(assetA, assetB);
   }
 
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
-
-    // Calculate price as reserveB / reserveA
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
+  getPoolListRequest() {
     return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
+      url: `${this.apiBaseUrl}/pools`,
+      headers: { 'User-Agent': 'Catsky-Trading-Bot/1.0' }
     };
   }
 
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
-
-    // Determine swap direction
-    const assetInStr = this._assetToString(assetIn);
-    const assetInIsA = assetInStr === this._assetToString(pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    
-    // Splash uses 0.3% fee
-    const fee = 0.003;
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-    
-    // Constant product formula: x * y = k
-    const amountOut = (amountInWithFee * Number(reserveOut)) / (Number(reserveIn) + amountInWithFee);
-    
-    if (amountOut <= 0) {
-      throw new Error("Insufficient liquidity for swap");
-    }
-
-    const priceImpact = this.calculatePriceImpact(amountIn, BigInt(reserveIn), BigInt(reserveOut));
-
-    return {
-      amountOut: BigInt(Math.floor(amountOut)),
-      slippage: priceImpact,
-      fee: fee * 100, // Convert to percentage
-      priceImpact,
-      pool: pool
-    };
+  getPoolAssetKeys(rawPool) {
+    return [rawPool.assetA || rawPool.tokenA, rawPool.assetB || rawPool.tokenB];
   }
 
   async buildSwapTransaction(params) {
@@ -149,12 +69,30 @@ export class SplashAdapter extends BaseDEXAdapter {
     };
   }
 
+  /**
+   * CFMM pools like Spectrum's, with the kept share of the input set per direction
+   * (feeNumX for A → B, feeNumY for B → A)
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    return cfmmOut(
+      amountIn,
+      BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      BigInt(assetInIsA ? pool.reserveB : pool.reserveA),
+      assetInIsA ? pool.feeNumX : pool.feeNumY,
+      pool.feeDen
+    );
+  }
+
+  getTradingFee(pool, assetInIsA) {
+    return 1 - Number(assetInIsA ? pool.feeNumX : pool.feeNumY) / Number(pool.feeDen);
+  }
+
   async getPoolLiquidity(assetA, assetB) {
     this._ensureInitialized();
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -190,6 +128,14 @@ export class SplashAdapter extends BaseDEXAdapter {
   }
 
   normalizePoolData(rawPool) {
+    // Fee numerators are the share of the input the pool keeps. Fee-switch pools also send a
+    // treasury share of the input out of the pool, which the swap doesn't get either.
+    const feeDen = BigInt(rawPool.poolFeeDen ?? 1000);
+    const defaultFeeNum = feeDen - (feeToNumerator(rawPool.fee, feeDen) ?? feeDen * 3n / 1000n);
+    const treasuryFeeNum = BigInt(rawPool.treasuryFeeNum ?? 0);
+    const feeNumX = BigInt(rawPool.poolFeeNumX ?? rawPool.poolFeeNum ?? defaultFeeNum) - treasuryFeeNum;
+    const feeNumY = BigInt(rawPool.poolFeeNumY ?? rawPool.poolFeeNum ?? defaultFeeNum) - treasuryFeeNum;
+
     // Convert Splash pool format to our standard format
     return {
       id: rawPool.id || rawPool.poolId,
@@ -197,10 +143,13 @@ export class SplashAdapter extends BaseDEXAdapter {
       assetB: rawPool.assetB || rawPool.tokenB,
       reserveA: BigInt(rawPool.reserveA || rawPool.quantityA || rawPool.amountA || 0),
       reserveB: BigInt(rawPool.reserveB || rawPool.quantityB || rawPool.amountB || 0),
-      fee: rawPool.fee || 0.003,
+      fee: 1 - Number(feeNumX) / Number(feeDen),
       dex: this.name,
       lastUpdated: Date.now(),
       // Splash specific fields
+      feeNumX,
+      feeNumY,
+      feeDen,
       version: rawPool.version || "v1",
       lpToken: rawPool.lpToken,
       volume24h: rawPool.volume24h,
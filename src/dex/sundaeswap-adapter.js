@@ -1,6 +1,9 @@
 // SundaeSwap DEX Adapter
 import { Asset } from "@minswap/sdk";
+import { Constr, Data } from "lucid-cardano";
+import { CONFIG } from "../config/index.js";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { BASIS_POINTS, constantProductOut, feeToNumerator } from "./swap-math.js";
 
 export class SundaeSwapAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
@@ -34,107 +37,179 @@ export class SundaeSwapAdapter extends BaseDEXAdapter {
 
   async getPool(assetA, assetB) {
     this._ensureInitialized();
+    return await this.getCachedPool(assetA, assetB);
+  }
+
+  getPoolListRequest() {
+    return { url: `${this.apiBaseUrl}/pools` };
+  }
+
+  getPoolAssetKeys(rawPool) {
+    return [rawPool.assetA, rawPool.assetB];
+  }
+
+  /**
+   * Orders are V3 swap orders paid to the order script with an inline datum, built with Lucid.
+   * params.lucid is the Lucid instance building the transaction.
+   */
+  async buildSwapTransaction(params) {
+    this._ensureInitialized();
+    
+    const { sender, assetIn, assetOut, amountIn, minimumAmountOut, lucid } = params;
     
     try {
-      const response = await fetch(`${this.apiBaseUrl}/pools`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`SundaeSwap API returned ${response.status}`);
-      }
-      
-      const pools = await response.json();
-      
-      // Find pool for the asset pair
-      const assetAStr = this._assetToString(assetA);
-      const assetBStr = this._assetToString(assetB);
-      
-      const pool = pools.find(p => 
-        (p.assetA === assetAStr && p.assetB === assetBStr) ||
-        (p.assetA === assetBStr && p.assetB === assetAStr)
-      );
-      
-      if (pool) {
-        return this.normalizePoolData(pool);
-      }
-      
-      return null;
+      return await this._buildOrdersTx([{ assetIn, assetOut, amountIn, minimumAmountOut }], sender, lucid);
     } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
+      console.error(`${this.name}: Error building swap transaction:`, error);
+      throw error;
     }
   }
 
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
+  async executeSwap(assetIn, assetOut, amountIn, minimumAmountOut, walletAddress, lucid) {
+    const { txHash } = await this.executeSwaps(
+      [{ assetIn, assetOut, amountIn, minimumAmountOut }],
+      walletAddress,
+      lucid
+    );
 
-    // Calculate price as reserveB / reserveA
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
     return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
+      txHash,
+      outputAmount: minimumAmountOut // Return minimum expected, actual will be calculated later
     };
   }
 
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
+  /**
+   * V3 orders have no kill-on-failed flag: an order the pool can't fill at its minimum stays
+   * open, so killOnFailed is ignored and chained execution isn't offered
+   */
+  async executeSwaps(orders, walletAddress, lucid) {
     this._ensureInitialized();
     
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
+    try {
+      const tx = await this._buildOrdersTx(orders, walletAddress, lucid);
 
-    // Determine swap direction
-    const assetInStr = this._assetToString(assetIn);
-    const assetInIsA = assetInStr === this._assetToString(pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    
-    // SundaeSwap uses 0.3% fee
-    const fee = 0.003;
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-    
-    // Constant product formula: x * y = k
-    const amountOut = (amountInWithFee * Number(reserveOut)) / (Number(reserveIn) + amountInWithFee);
-    
-    if (amountOut <= 0) {
-      throw new Error("Insufficient liquidity for swap");
+      // Sign and submit transaction
+      const signedTx = await tx.sign().complete();
+      const txHash = await signedTx.submit();
+      
+      console.log(`✅ ${this.name}: ${orders.length === 1 ? 'Swap' : `${orders.length} orders`} submitted, txHash: ${txHash}`);
+      
+      return { txHash };
+      
+    } catch (error) {
+      console.error(`${this.name}: Error executing swap:`, error);
+      throw error;
     }
+  }
 
-    const priceImpact = this.calculatePriceImpact(amountIn, BigInt(reserveIn), BigInt(reserveOut));
+  getOrderScriptHashes() {
+    return CONFIG.SUNDAESWAP_V3.ORDER_SCRIPT_HASH ? [CONFIG.SUNDAESWAP_V3.ORDER_SCRIPT_HASH] : [];
+  }
 
+  /**
+   * Orders can only be built once the V3 order script hash is configured
+   */
+  getCapabilities() {
+    const canOrder = Boolean(CONFIG.SUNDAESWAP_V3.ORDER_SCRIPT_HASH);
     return {
-      amountOut: BigInt(Math.floor(amountOut)),
-      slippage: priceImpact,
-      fee: fee * 100, // Convert to percentage
-      priceImpact,
-      pool: pool
+      ...super.getCapabilities(),
+      buildTx: canOrder,
+      execute: canOrder
     };
   }
 
-  async buildSwapTransaction(params) {
-    // SundaeSwap transaction building would require their SDK
-    // For now, throw error - this would need SundaeSwap SDK integration
-    throw new Error(`${this.name}: Transaction building not yet implemented - requires SundaeSwap SDK`);
+  /**
+   * Order transaction paying one V3 order output per order
+   * Each output locks the offered amount, the scooper fee and the order deposit. The order
+   * address carries the sender's stake credential, like orders placed from SundaeSwap's app.
+   * @private
+   */
+  async _buildOrdersTx(orders, walletAddress, lucid) {
+    const { ORDER_SCRIPT_HASH, SCOOPER_FEE, ORDER_DEPOSIT } = CONFIG.SUNDAESWAP_V3;
+    if (!ORDER_SCRIPT_HASH) {
+      throw new Error(`${this.name}: SUNDAESWAP_ORDER_SCRIPT_HASH is not set - can't build V3 orders`);
+    }
+
+    const { paymentCredential, stakeCredential } = lucid.utils.getAddressDetails(walletAddress);
+    if (paymentCredential?.type !== "Key") {
+      throw new Error(`${this.name}: Orders need a wallet address with a key payment credential`);
+    }
+
+    const orderAddress = lucid.utils.credentialToAddress(
+      lucid.utils.scriptHashToCredential(ORDER_SCRIPT_HASH),
+      stakeCredential
+    );
+
+    let tx = lucid.newTx();
+    for (const order of orders) {
+      const pool = await this.getPool(order.assetIn, order.assetOut);
+      if (!pool) {
+        throw this.noPoolError(order.assetIn, order.assetOut);
+      }
+      if (pool.version !== "v3" || !pool.id) {
+        throw new Error(`${this.name}: Only V3 pools take orders built here (${order.assetIn.toString()} / ${order.assetOut.toString()} is ${pool.version})`);
+      }
+
+      const datum = this._orderDatum({
+        poolIdent: pool.id,
+        ownerKeyHash: paymentCredential.hash,
+        destination: this._addressData(paymentCredential, stakeCredential),
+        assetIn: order.assetIn,
+        assetOut: order.assetOut,
+        amountIn: BigInt(order.amountIn),
+        minimumAmountOut: BigInt(order.minimumAmountOut),
+        scooperFee: SCOOPER_FEE
+      });
+
+      const inUnit = this._isADA(order.assetIn) ? "lovelace" : this._assetParts(order.assetIn).join("");
+      const assets = { lovelace: SCOOPER_FEE + ORDER_DEPOSIT };
+      assets[inUnit] = (assets[inUnit] || 0n) + BigInt(order.amountIn);
+
+      tx = tx.payToContract(orderAddress, { inline: Data.to(datum) }, assets);
+    }
+
+    return await tx.complete();
   }
 
-  async executeSwap(assetIn, assetOut, amountIn, minimumAmountOut, walletAddress, lucid) {
-    // SundaeSwap execution would require their SDK integration
-    throw new Error(`${this.name}: Swap execution not yet implemented - requires SundaeSwap SDK`);
+  /**
+   * V3 OrderDatum: pool ident, owner, max protocol fee, destination, swap details, extension
+   * @private
+   */
+  _orderDatum({ poolIdent, ownerKeyHash, destination, assetIn, assetOut, amountIn, minimumAmountOut, scooperFee }) {
+    return new Constr(0, [
+      new Constr(0, [poolIdent]), // Some(ident)
+      new Constr(0, [ownerKeyHash]), // Multisig Signature(key hash) - who may cancel
+      scooperFee,
+      new Constr(0, [destination, new Constr(0, [])]), // Fixed destination, no datum
+      new Constr(1, [ // Swap { offer, min_received }
+        [...this._assetParts(assetIn), amountIn],
+        [...this._assetParts(assetOut), minimumAmountOut]
+      ]),
+      new Constr(0, []) // No extension
+    ]);
+  }
+
+  /**
+   * Plutus Address of a key payment credential with an optional stake credential
+   * @private
+   */
+  _addressData(paymentCredential, stakeCredential) {
+    const credential = ({ type, hash }) => new Constr(type === "Key" ? 0 : 1, [hash]);
+
+    return new Constr(0, [
+      credential(paymentCredential),
+      stakeCredential
+        ? new Constr(0, [new Constr(0, [credential(stakeCredential)])]) // Some(Inline(credential))
+        : new Constr(1, []) // None
+    ]);
+  }
+
+  /**
+   * Policy id and asset name of an asset, both empty for ADA
+   * @private
+   */
+  _assetParts(asset) {
+    return this._isADA(asset) ? ["", ""] : [asset.policyId, asset.tokenName];
   }
 
   getFeeStructure() {
@@ -145,12 +220,29 @@ export class SundaeSwapAdapter extends BaseDEXAdapter {
     };
   }
 
+  /**
+   * V3 pools charge a fee tier per direction: the bid fee on A → B swaps and the ask fee on
+   * B → A swaps, both per 10,000 of the input
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    return constantProductOut(
+      amountIn,
+      BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      BigInt(assetInIsA ? pool.reserveB : pool.reserveA),
+      BigInt(assetInIsA ? pool.bidFee : pool.askFee)
+    );
+  }
+
+  getTradingFee(pool, assetInIsA) {
+    return Number(assetInIsA ? pool.bidFee : pool.askFee) / Number(BASIS_POINTS);
+  }
+
   async getPoolLiquidity(assetA, assetB) {
     this._ensureInitialized();
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -186,6 +278,11 @@ export class SundaeSwapAdapter extends BaseDEXAdapter {
   }
 
   normalizePoolData(rawPool) {
+    // V1 pools have a single fee; V3 pools may charge different bid (A → B) and ask (B → A) fees
+    const fee = feeToNumerator(rawPool.fee) ?? 30n;
+    const bidFee = feeToNumerator(rawPool.bidFee) ?? fee;
+    const askFee = feeToNumerator(rawPool.askFee) ?? fee;
+
     // Convert SundaeSwap pool format to our standard format
     return {
       id: rawPool.id || rawPool.poolId,
@@ -193,10 +290,12 @@ export class SundaeSwapAdapter extends BaseDEXAdapter {
       assetB: rawPool.assetB,
       reserveA: BigInt(rawPool.quantityA || rawPool.reserveA || 0),
       reserveB: BigInt(rawPool.quantityB || rawPool.reserveB || 0),
-      fee: rawPool.fee || 0.003,
+      fee: Number(bidFee) / Number(BASIS_POINTS),
       dex: this.name,
       lastUpdated: Date.now(),
-      // SundaeSwap specific fields
+      // SundaeSwap specific fields (fees per 10,000)
+      bidFee,
+      askFee,
       version: rawPool.version || "v1",
       lpToken: rawPool.lpToken
     };
@@ -0,0 +1,112 @@
+// Swap Math - Exact integer swap formulas of the supported DEX contracts
+//
+// All amounts are BigInt base units (lovelace, or a token's smallest unit) and every function
+// rounds the way the contract validator does, so a quote matches the amount the batcher is
+// required to pay out. Fee conventions differ per DEX and are documented per function; the
+// adapters turn their pool fields into these arguments.
+
+export const BASIS_POINTS = 10_000n;
+
+/**
+ * Constant product swap with the fee charged on the input
+ * Minswap V2, SundaeSwap V3 and MuesliSwap:
+ *   out = reserveOut * amountIn * (den - feeNum) / (reserveIn * den + amountIn * (den - feeNum))
+ * @param {bigint} amountIn
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} feeNumerator - Fee charged, e.g. 30n of 10_000n for 0.3%
+ * @param {bigint} [feeDenominator=10_000n]
+ * @returns {bigint}
+ */
+export function constantProductOut(amountIn, reserveIn, reserveOut, feeNumerator, feeDenominator = BASIS_POINTS) {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+    return 0n;
+  }
+
+  const amountInWithFee = amountIn * (feeDenominator - feeNumerator);
+  return (reserveOut * amountInWithFee) / (reserveIn * feeDenominator + amountInWithFee);
+}
+
+/**
+ * Spectrum / Splash CFMM swap, where the fee numerator is the share of the input that is kept
+ *   out = reserveOut * amountIn * feeNum / (reserveIn * feeDen + amountIn * feeNum)
+ * @param {bigint} amountIn
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} feeNum - Kept share, e.g. 997n of 1000n for a 0.3% fee
+ * @param {bigint} feeDen
+ * @returns {bigint}
+ */
+export function cfmmOut(amountIn, reserveIn, reserveOut, feeNum, feeDen) {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+    return 0n;
+  }
+
+  return (reserveOut * amountIn * feeNum) / (reserveIn * feeDen + amountIn * feeNum);
+}
+
+/**
+ * Swap where each fee is taken out of the input separately before the constant product step
+ * WingRiders and VyFinance: every fee is floor(amountIn * fee / den), and the output keeps the
+ * invariant rounded in the pool's favour: out = reserveOut - ceil(reserveIn * reserveOut / (reserveIn + net))
+ * @param {bigint} amountIn
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {Array<bigint>} feeNumerators - e.g. [30n, 5n] for WingRiders V1 (LP and treasury share)
+ * @param {bigint} [feeDenominator=10_000n]
+ * @returns {bigint}
+ */
+export function feeOnInputOut(amountIn, reserveIn, reserveOut, feeNumerators, feeDenominator = BASIS_POINTS) {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+    return 0n;
+  }
+
+  const fees = feeNumerators.reduce((total, numerator) => total + (amountIn * numerator) / feeDenominator, 0n);
+  const netIn = amountIn - fees;
+  if (netIn <= 0n) {
+    return 0n;
+  }
+
+  return reserveOut - ceilDiv(reserveIn * reserveOut, reserveIn + netIn);
+}
+
+/**
+ * Convert a fee given in any of the DEX APIs' shapes to a numerator over a denominator
+ * Accepts a fraction (0.003), a [numerator, denominator] pair or a {numerator, denominator} object.
+ * @param {number|Array|Object} fee
+ * @param {bigint} [denominator=10_000n]
+ * @returns {bigint|null} null when the fee can't be read
+ */
+export function feeToNumerator(fee, denominator = BASIS_POINTS) {
+  if (fee === undefined || fee === null || fee === '') {
+    return null;
+  }
+
+  if (Array.isArray(fee) || typeof fee === 'object') {
+    const [numerator, feeDenominator] = Array.isArray(fee) ? fee : [fee.numerator, fee.denominator];
+    return (BigInt(numerator) * denominator) / BigInt(feeDenominator);
+  }
+
+  const fraction = Number(fee);
+  return Number.isFinite(fraction) ? BigInt(Math.round(fraction * Number(denominator))) : null;
+}
+
+/**
+ * Convert a fee given in percent (0.3, or "0.3") to a numerator over a denominator
+ * @param {number|string} percent
+ * @param {bigint} [denominator=10_000n]
+ * @returns {bigint|null} null when the fee is missing or not a number
+ */
+export function percentToNumerator(percent, denominator = BASIS_POINTS) {
+  if (percent === undefined || percent === null || percent === '') {
+    return null;
+  }
+  return feeToNumerator(Number(percent) / 100, denominator);
+}
+
+/**
+ * @private
+ */
+function ceilDiv(numerator, denominator) {
+  return (numerator + denominator - 1n) / denominator;
+}
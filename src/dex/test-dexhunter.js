@@ -0,0 +1,218 @@
+// DexHunter adapter tests against a local mock of the aggregator API
+//
+// The mock serves /swap/estimate and /swap/build on a random local port and records every
+// request, so the checks cover both what the adapter sends (token ids, display amounts,
+// slippage, partner id) and how it reads the responses. Token decimals come from a Blockfrost
+// stand-in and signing from a Lucid stand-in; no network access or wallet is needed.
+import http from "http";
+import { Asset, NetworkId } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
+import { DexHunterAdapter } from "./dexhunter-adapter.js";
+
+const PARTNER_ID = "test-partner";
+const WALLET = "addr1qtestwallet";
+const ADA = Asset.fromString("lovelace");
+const { MIN, HOSKY } = CONFIG.SUPPORTED_TOKENS;
+const DECIMALS = { [MIN.fullUnit]: 6, [HOSKY.fullUnit]: 0 };
+
+/**
+ * Aggregator mock: responses are set per test, requests are recorded
+ */
+function startMockAggregator() {
+  const mock = { requests: [], responses: {} };
+
+  mock.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = { path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      mock.requests.push(request);
+
+      const handler = mock.responses[req.url];
+      const { status = 200, body = { error: 'not mocked' } } = handler ? handler(request) : { status: 404 };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise(resolve => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+      resolve(mock);
+    });
+  });
+}
+
+/**
+ * Lucid stand-in recording the transaction it was asked to sign
+ */
+function fakeLucid() {
+  const lucid = { signed: [] };
+  lucid.fromTx = cbor => ({
+    sign: () => ({
+      complete: async () => {
+        lucid.signed.push(cbor);
+        return { submit: async () => `submitted-${cbor}` };
+      }
+    })
+  });
+  return lucid;
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: got ${actual}, expected ${expected}`);
+  }
+}
+
+const TESTS = [
+  {
+    name: "estimate ADA → MIN sends display amounts and reads outputs in base units",
+    async run({ adapter, mock }) {
+      mock.responses['/swap/estimate'] = () => ({
+        body: {
+          total_output: 3809.03,
+          total_output_without_slippage: 3828.174664,
+          batcher_fee: 2,
+          deposits: 2,
+          dexhunter_fee: 1,
+          partner_fee: 0.5,
+          splits: [
+            { dex: "MINSWAPV2", amount_in: 60, expected_output_without_slippage: 2300.1, price_impact: 0.4 },
+            { dex: "SUNDAESWAPV3", amount_in: 40, expected_output_without_slippage: 1528.074664, price_impact: 0.7 }
+          ]
+        }
+      });
+
+      const estimate = await adapter.estimateSwap(ADA, Asset.fromString(MIN.fullUnit), 100_000_000n);
+      const [request] = mock.requests;
+
+      assertEqual(request.path, '/swap/estimate', "path");
+      assertEqual(request.headers['x-partner-id'], PARTNER_ID, "partner id header");
+      assertEqual(request.body.token_in, "", "token_in");
+      assertEqual(request.body.token_out, MIN.fullUnit, "token_out");
+      assertEqual(request.body.amount_in, 100, "amount_in");
+      assertEqual(request.body.slippage, CONFIG.DEFAULT_SLIPPAGE, "slippage");
+      assertEqual(estimate.amountOut, 3_828_174_664n, "amountOut");
+      assertEqual(estimate.minimumAmountOut, 3_809_030_000n, "minimumAmountOut");
+      assertEqual(estimate.splits.map(split => split.dex).join(','), "MINSWAPV2,SUNDAESWAPV3", "splits");
+      assertEqual(estimate.aggregatorFeeADA, 1.5, "aggregator fee");
+      assertEqual(estimate.priceImpact, 0.7, "price impact");
+    }
+  },
+  {
+    name: "estimate HOSKY → ADA converts a 0-decimal token",
+    async run({ adapter, mock }) {
+      mock.responses['/swap/estimate'] = () => ({
+        body: { total_output: 49.5, total_output_without_slippage: 49.75, splits: [] }
+      });
+
+      const { amountOut } = await adapter.calculateSwapOutput(Asset.fromString(HOSKY.fullUnit), ADA, 1_000_000n);
+
+      assertEqual(mock.requests[0].body.amount_in, 1_000_000, "amount_in");
+      assertEqual(mock.requests[0].body.token_in, HOSKY.fullUnit, "token_in");
+      assertEqual(amountOut, 49_750_000n, "amountOut");
+    }
+  },
+  {
+    name: "executeSwap builds with the slippage that keeps minimumAmountOut, signs and submits",
+    async run({ adapter, mock }) {
+      const route = { total_output: 3790, total_output_without_slippage: 3828, splits: [{ dex: "MINSWAPV2" }] };
+      mock.responses['/swap/estimate'] = () => ({ body: route });
+      mock.responses['/swap/build'] = () => ({ body: { ...route, cbor: "84a4deadbeef" } });
+
+      const lucid = fakeLucid();
+      const result = await adapter.executeSwap(ADA, Asset.fromString(MIN.fullUnit), 100_000_000n, 3_790_000_000n, WALLET, lucid);
+      const build = mock.requests.find(request => request.path === '/swap/build');
+
+      assertEqual(build.body.buyer_address, WALLET, "buyer_address");
+      assertEqual(build.body.amount_in, 100, "amount_in");
+      assertEqual(build.body.slippage, 0.99, "slippage"); // (3828 - 3790) / 3828 = 0.9927%, rounded down
+      assertEqual(lucid.signed.join(','), "84a4deadbeef", "signed transaction");
+      assertEqual(result.txHash, "submitted-84a4deadbeef", "txHash");
+      assertEqual(result.outputAmount, 3_790_000_000n, "outputAmount");
+    }
+  },
+  {
+    name: "executeSwap refuses a route below minimumAmountOut without building",
+    async run({ adapter, mock }) {
+      mock.responses['/swap/estimate'] = () => ({
+        body: { total_output: 3700, total_output_without_slippage: 3720, splits: [] }
+      });
+
+      const lucid = fakeLucid();
+      const error = await adapter.executeSwap(ADA, Asset.fromString(MIN.fullUnit), 100_000_000n, 3_790_000_000n, WALLET, lucid)
+        .then(() => null, error => error);
+
+      assertEqual(Boolean(error?.message.includes("below the minimum")), true, "error");
+      assertEqual(mock.requests.some(request => request.path === '/swap/build'), false, "build requested");
+      assertEqual(lucid.signed.length, 0, "signed transactions");
+    }
+  },
+  {
+    name: "buildSwapTransaction rejects a built route paying less than minimumAmountOut",
+    async run({ adapter, mock }) {
+      mock.responses['/swap/build'] = () => ({
+        body: { cbor: "84a4", total_output: 3700, total_output_without_slippage: 3828, splits: [] }
+      });
+
+      const error = await adapter.buildSwapTransaction({
+        sender: WALLET,
+        assetIn: ADA,
+        assetOut: Asset.fromString(MIN.fullUnit),
+        amountIn: 100_000_000n,
+        minimumAmountOut: 3_790_000_000n
+      }).then(() => null, error => error);
+
+      assertEqual(Boolean(error?.message.includes("below the required")), true, "error");
+    }
+  },
+  {
+    name: "API errors surface with their status",
+    async run({ adapter, mock }) {
+      mock.responses['/swap/estimate'] = () => ({ status: 500, body: { error: "upstream down" } });
+
+      const error = await adapter.estimateSwap(ADA, Asset.fromString(MIN.fullUnit), 100_000_000n)
+        .then(() => null, error => error);
+
+      assertEqual(Boolean(error?.message.includes("returned 500")), true, "error");
+    }
+  }
+];
+
+async function testDexHunter() {
+  console.log("🧪 Testing the DexHunter adapter against a mock aggregator\n");
+
+  const mock = await startMockAggregator();
+  const adapter = new DexHunterAdapter(NetworkId.MAINNET, "", {
+    apiUrl: mock.url,
+    partnerId: PARTNER_ID,
+    blockfrost: { assetsById: async unit => ({ metadata: { decimals: DECIMALS[unit] } }) }
+  });
+  await adapter.initialize();
+
+  let failed = 0;
+
+  for (const test of TESTS) {
+    mock.requests = [];
+    mock.responses = {};
+
+    try {
+      await test.run({ adapter, mock });
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${test.name}: ${error.message}`);
+    }
+  }
+
+  mock.server.close();
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${TESTS.length - failed}/${TESTS.length} tests passed`);
+  return failed === 0;
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testDexHunter().then(passed => process.exit(passed ? 0 : 1));
+}
@@ -0,0 +1,344 @@
+// Swap quote test vectors for every DEX adapter
+//
+// Each vector is a pool in the shape the DEX's API returns it, a swap against it and the output
+// the DEX's contract pays for that swap. The pool goes through the adapter's normalizePoolData()
+// and the quote through orientPool() / quoteSwap(), so the vectors cover fee parsing, swap
+// direction and rounding. No network access or initialize() is needed.
+//
+// A vector's `source` says where its expected output comes from:
+//   a transaction hash - a real swap: the pool state before it, the amount the order spent and
+//                        the output the batcher actually paid. Only these show the adapter agrees
+//                        with the DEX's contract.
+//   'regression'       - worked out by hand from the DEX's published formula, i.e. the same
+//                        formula swap-math.js implements. These only catch unintended changes to
+//                        the quoting code, not a formula that is wrong to begin with.
+// The run lists the DEXs that don't have an on-chain vector yet; with REQUIRE_ONCHAIN_VECTORS=true
+// it fails on them.
+//
+// Capturing an on-chain vector, from a swap's batcher (settlement) transaction on a block explorer
+// or Blockfrost (txs/{hash}/utxos):
+//   rawPool           - the pool UTxO the transaction spends, decoded the way the DEX's API
+//                       returns pools (its datum and value give the reserves before the swap)
+//   assetIn, amountIn - what the order UTxO it spends offered, less the batcher fee and deposit
+//   expectedAmountOut - what the output to the order's owner holds of the other asset
+//   source            - the batcher transaction's hash
+// A transaction that batches several orders moves the pool once per order; take the first one,
+// or one batched alone.
+import { NetworkId } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
+import { MinswapAdapter } from "./minswap-adapter.js";
+import { SundaeSwapAdapter } from "./sundaeswap-adapter.js";
+import { MuesliSwapAdapter } from "./muesliswap-adapter.js";
+import { SpectrumAdapter } from "./spectrum-adapter.js";
+import { SplashAdapter } from "./splash-adapter.js";
+import { WingRidersAdapter } from "./wingriders-adapter.js";
+import { VyFinanceAdapter } from "./vyfinance-adapter.js";
+
+const ADAPTERS = {
+  Minswap: MinswapAdapter,
+  SundaeSwap: SundaeSwapAdapter,
+  MuesliSwap: MuesliSwapAdapter,
+  Spectrum: SpectrumAdapter,
+  Splash: SplashAdapter,
+  WingRiders: WingRidersAdapter,
+  VyFinance: VyFinanceAdapter
+};
+
+const { MIN, SUNDAE, HOSKY, WMT, CATSKY, VYFI } = CONFIG.SUPPORTED_TOKENS;
+const REGRESSION = 'regression';
+const TX_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+export const SWAP_VECTORS = [
+  {
+    name: "Minswap V2 ADA → MIN, 0.3% fee",
+    source: REGRESSION,
+    dex: "Minswap",
+    rawPool: {
+      assetA: "lovelace",
+      assetB: MIN.fullUnit,
+      reserveA: 1_250_000_000_000n,
+      reserveB: 48_000_000_000_000n,
+      feeA: [30n, 10_000n],
+      feeB: [30n, 10_000n]
+    },
+    assetIn: "lovelace",
+    amountIn: 100_000_000n,
+    expectedAmountOut: 3_828_174_664n,
+    expectedFee: 0.003
+  },
+  {
+    name: "Minswap V2 token-first pool, MIN → ADA with a 1% fee on that side",
+    source: REGRESSION,
+    dex: "Minswap",
+    rawPool: {
+      assetA: MIN.fullUnit,
+      assetB: "lovelace",
+      reserveA: 48_000_000_000_000n,
+      reserveB: 1_250_000_000_000n,
+      feeA: [100n, 10_000n],
+      feeB: [30n, 10_000n]
+    },
+    assetIn: MIN.fullUnit,
+    amountIn: 2_000_000_000n,
+    expectedAmountOut: 51_560_373n,
+    expectedFee: 0.01
+  },
+  {
+    name: "SundaeSwap V3 SUNDAE → ADA, 0.5% ask fee",
+    source: REGRESSION,
+    dex: "SundaeSwap",
+    rawPool: {
+      assetA: "lovelace",
+      assetB: SUNDAE.fullUnit,
+      quantityA: "900000000000",
+      quantityB: "3600000000000",
+      bidFee: [30, 10_000],
+      askFee: [50, 10_000],
+      version: "v3"
+    },
+    assetIn: SUNDAE.fullUnit,
+    amountIn: 250_000_000n,
+    expectedAmountOut: 62_183_203n,
+    expectedFee: 0.005
+  },
+  {
+    name: "SundaeSwap V1 ADA → HOSKY, single 0.3% fee",
+    source: REGRESSION,
+    dex: "SundaeSwap",
+    rawPool: {
+      assetA: "lovelace",
+      assetB: HOSKY.fullUnit,
+      quantityA: "800000000000",
+      quantityB: "2000000000000",
+      fee: 0.003
+    },
+    assetIn: "lovelace",
+    amountIn: 10_000_000n,
+    expectedAmountOut: 24_924_689n,
+    expectedFee: 0.003
+  },
+  {
+    name: "MuesliSwap ADA → WMT, poolFee in percent",
+    source: REGRESSION,
+    dex: "MuesliSwap",
+    rawPool: {
+      poolId: "muesli-wmt",
+      tokenA: { address: { policyId: "", name: "" }, amount: "300000000000" },
+      tokenB: { address: { policyId: WMT.policyId, name: WMT.tokenName }, amount: "7500000000000" },
+      poolFee: "0.3"
+    },
+    assetIn: "lovelace",
+    amountIn: 50_000_000n,
+    expectedAmountOut: 1_246_042_949n,
+    expectedFee: 0.003
+  },
+  {
+    name: "Spectrum ADA → CATSKY, poolFeeNum 997 / 1000",
+    source: REGRESSION,
+    dex: "Spectrum",
+    rawPool: {
+      id: "spectrum-catsky",
+      x: { id: "lovelace", amount: "420000000000" },
+      y: { id: `${CATSKY.policyId}.${CATSKY.tokenName}`, amount: "1700000000000" },
+      poolFeeNum: 997,
+      poolFeeDen: 1000
+    },
+    assetIn: "lovelace",
+    amountIn: 20_000_000n,
+    expectedAmountOut: 80_705_692n,
+    expectedFee: 0.003
+  },
+  {
+    name: "Splash ADA → CATSKY, per-side fees with a treasury share",
+    source: REGRESSION,
+    dex: "Splash",
+    rawPool: {
+      assetA: "lovelace",
+      assetB: CATSKY.fullUnit,
+      reserveA: "420000000000",
+      reserveB: "1700000000000",
+      poolFeeNumX: 99_700,
+      poolFeeNumY: 99_600,
+      poolFeeDen: 100_000,
+      treasuryFeeNum: 100
+    },
+    assetIn: "lovelace",
+    amountIn: 20_000_000n,
+    expectedAmountOut: 80_624_747n,
+    expectedFee: 0.004
+  },
+  {
+    name: "Splash CATSKY → ADA, per-side fees with a treasury share",
+    source: REGRESSION,
+    dex: "Splash",
+    rawPool: {
+      assetA: "lovelace",
+      assetB: CATSKY.fullUnit,
+      reserveA: "420000000000",
+      reserveB: "1700000000000",
+      poolFeeNumX: 99_700,
+      poolFeeNumY: 99_600,
+      poolFeeDen: 100_000,
+      treasuryFeeNum: 100
+    },
+    assetIn: CATSKY.fullUnit,
+    amountIn: 40_000_000_000n,
+    expectedAmountOut: 9_608_000_919n,
+    expectedFee: 0.005
+  },
+  {
+    name: "WingRiders V1 ADA → HOSKY, LP and treasury fees rounded separately",
+    source: REGRESSION,
+    dex: "WingRiders",
+    rawPool: {
+      pool_id: "wr-hosky",
+      dex: "WINGRIDER",
+      tokenA: "lovelace",
+      tokenB: HOSKY.fullUnit,
+      liquidity_a: "600000000000",
+      liquidity_b: "9000000000000",
+      pool_fee: "0.35"
+    },
+    assetIn: "lovelace",
+    amountIn: 75_000_290n,
+    expectedAmountOut: 1_120_927_223n,
+    expectedFee: 0.0035
+  },
+  {
+    name: "WingRiders V2 ADA → HOSKY, single 0.3% fee",
+    source: REGRESSION,
+    dex: "WingRiders",
+    rawPool: {
+      pool_id: "wr-v2-hosky",
+      dex: "WINGRIDERV2",
+      tokenA: "lovelace",
+      tokenB: HOSKY.fullUnit,
+      liquidity_a: "600000000000",
+      liquidity_b: "9000000000000",
+      pool_fee: "0.3"
+    },
+    assetIn: "lovelace",
+    amountIn: 75_000_290n,
+    expectedAmountOut: 1_121_489_583n,
+    expectedFee: 0.003
+  },
+  {
+    name: "VyFinance ADA → VYFI, single pool fee",
+    source: REGRESSION,
+    dex: "VyFinance",
+    rawPool: {
+      pool_id: "vyfi-vyfi",
+      tokenA: "lovelace",
+      tokenB: VYFI.fullUnit,
+      liquidity_a: "150000000000",
+      liquidity_b: "4500000000000",
+      pool_fee: "0.3"
+    },
+    assetIn: "lovelace",
+    amountIn: 30_000_000n,
+    expectedAmountOut: 897_121_114n,
+    expectedFee: 0.003
+  },
+  {
+    name: "VyFinance VYFI → ADA, LP and bar fees",
+    source: REGRESSION,
+    dex: "VyFinance",
+    rawPool: {
+      pool_id: "vyfi-vyfi",
+      tokenA: "lovelace",
+      tokenB: VYFI.fullUnit,
+      liquidity_a: "150000000000",
+      liquidity_b: "4500000000000",
+      lp_fee: "0.2",
+      bar_fee: "0.1"
+    },
+    assetIn: VYFI.fullUnit,
+    amountIn: 3_000_000_750n,
+    expectedAmountOut: 99_633_801n,
+    expectedFee: 0.003
+  }
+];
+
+/**
+ * Quote one vector with its DEX's adapter
+ * @param {Object} vector - Entry of SWAP_VECTORS
+ * @returns {{amountOut: bigint, fee: number}}
+ */
+export function quoteVector(vector) {
+  const Adapter = ADAPTERS[vector.dex];
+  if (!Adapter) {
+    throw new Error(`No adapter for ${vector.dex}`);
+  }
+
+  const adapter = new Adapter(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+  const pool = adapter.normalizePoolData(vector.rawPool);
+  const { assetInIsA } = adapter.orientPool(pool, vector.assetIn);
+
+  return {
+    amountOut: adapter.quoteSwap(pool, assetInIsA, vector.amountIn),
+    fee: adapter.getTradingFee(pool, assetInIsA)
+  };
+}
+
+/**
+ * Whether a vector was taken from a real swap
+ * @param {Object} vector - Entry of SWAP_VECTORS
+ * @returns {boolean}
+ */
+export function isOnChainVector(vector) {
+  return vector.source !== REGRESSION;
+}
+
+function testSwapVectors() {
+  console.log("🧪 Checking swap quotes against test vectors\n");
+
+  let failed = 0;
+
+  for (const vector of SWAP_VECTORS) {
+    if (isOnChainVector(vector) && !TX_HASH_PATTERN.test(vector.source || '')) {
+      failed++;
+      console.log(`❌ ${vector.name}: source must be the swap's transaction hash or '${REGRESSION}'`);
+      continue;
+    }
+
+    const label = isOnChainVector(vector) ? `${vector.name} (tx ${vector.source.slice(0, 12)}…)` : `${vector.name} (regression)`;
+    try {
+      const { amountOut, fee } = quoteVector(vector);
+      const feeMatches = vector.expectedFee === undefined || Math.abs(fee - vector.expectedFee) < 1e-9;
+
+      if (amountOut === vector.expectedAmountOut && feeMatches) {
+        console.log(`✅ ${label}`);
+        continue;
+      }
+
+      failed++;
+      console.log(`❌ ${label}`);
+      if (amountOut !== vector.expectedAmountOut) {
+        console.log(`   amountOut ${amountOut}, expected ${vector.expectedAmountOut} (off by ${amountOut - vector.expectedAmountOut})`);
+      }
+      if (!feeMatches) {
+        console.log(`   fee ${fee}, expected ${vector.expectedFee}`);
+      }
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${label}: ${error.message}`);
+    }
+  }
+
+  const onChain = SWAP_VECTORS.filter(isOnChainVector);
+  const unverified = Object.keys(ADAPTERS).filter(dex => !onChain.some(vector => vector.dex === dex));
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${SWAP_VECTORS.length - failed}/${SWAP_VECTORS.length} vectors passed (${onChain.length} from on-chain swaps)`);
+  if (unverified.length > 0) {
+    console.log(`⚠️ Only regression vectors for ${unverified.join(', ')} - add a real swap for each`);
+    if (process.env.REQUIRE_ONCHAIN_VECTORS === 'true') {
+      return false;
+    }
+  }
+  return failed === 0;
+}
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exit(testSwapVectors() ? 0 : 1);
+}
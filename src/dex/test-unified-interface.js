@@ -33,7 +33,7 @@ async function testUnifiedDEXInterface() {
     console.log("\n💰 Testing best price detection...");
     try {
       const bestBuy = await dexInterface.getBestBuyPrice(ADA, CATSKY);
-      console.log("Best buy price (lowest):", bestBuy);
+      console.log("Best buy price (most CATSKY per ADA):", bestBuy);
     } catch (error) {
       console.log("No buy prices available");
     }
@@ -41,7 +41,7 @@ async function testUnifiedDEXInterface() {
     // Test 3: Get best sell price
     try {
       const bestSell = await dexInterface.getBestSellPrice(ADA, CATSKY);
-      console.log("Best sell price (highest):", bestSell);
+      console.log("Best sell price (fewest CATSKY per ADA):", bestSell);
     } catch (error) {
       console.log("No sell prices available");
     }
@@ -83,7 +83,7 @@ async function testUnifiedDEXInterface() {
       console.log("Swap output for 1 ADA → CATSKY:");
       console.log(`Expected: ${swapOutput.amountOut} CATSKY`);
       console.log(`Price impact: ${swapOutput.priceImpact?.toFixed(4)}%`);
-      console.log(`Trading fee: ${swapOutput.fee}%`);
+      console.log(`Trading fee: ${(swapOutput.fee * 100).toFixed(2)}%`);
     } catch (error) {
       console.log("Error calculating swap:", error.message);
     }
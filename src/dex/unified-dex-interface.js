@@ -1,93 +1,57 @@
 // Unified DEX Interface - Manages all DEX adapters
 import { NetworkId } from "@minswap/sdk";
-import { MinswapAdapter } from "./minswap-adapter.js";
-import { SundaeSwapAdapter } from "./sundaeswap-adapter.js";
-import { MuesliSwapAdapter } from "./muesliswap-adapter.js";
-import { SplashAdapter } from "./splash-adapter.js";
-import { WingRidersAdapter } from "./wingriders-adapter.js";
-import { SpectrumAdapter } from "./spectrum-adapter.js";
-import { VyFinanceAdapter } from "./vyfinance-adapter.js";
+import { createDefaultRegistry } from "./adapter-registry.js";
+import { AdapterHealth } from "./adapter-health.js";
 import { CONFIG } from "../config/index.js";
 
 export class UnifiedDEXInterface {
-  constructor(networkId = NetworkId.MAINNET, blockfrostProjectId) {
+  /**
+   * @param {number} networkId
+   * @param {string} blockfrostProjectId
+   * @param {Object} options
+   * @param {AdapterRegistry} [options.registry] - Adapter factories (default: built-in adapters)
+   * @param {Array<string>} [options.enabledDEXs] - DEXs to start (default: every registered DEX)
+   * @param {Array<string>} [options.adapterPaths] - Plugin modules to load (default: CONFIG.DEX_ADAPTER_PATHS)
+   */
+  constructor(networkId = NetworkId.MAINNET, blockfrostProjectId, options = {}) {
     this.networkId = networkId;
     this.blockfrostProjectId = blockfrostProjectId || CONFIG.BF_PROJECT_ID;
+    this.registry = options.registry || createDefaultRegistry();
+    this.adapterPaths = options.adapterPaths || CONFIG.DEX_ADAPTER_PATHS;
     this.adapters = new Map();
+    this.health = new Map();
     this.isInitialized = false;
-    this.enabledDEXs = ['Minswap', 'SundaeSwap', 'MuesliSwap', 'Splash', 'WingRiders', 'Spectrum', 'VyFinance']; // Enable all DEXs
+    this.enabledDEXs = options.enabledDEXs ? [...options.enabledDEXs] : null; // null = all registered
   }
 
   /**
-   * Initialize all DEX adapters
+   * Load adapter plugins and initialize every enabled DEX adapter
+   * A failing optional adapter is skipped; a failing required one (Minswap) aborts.
    */
   async initialize() {
     try {
       console.log("🔗 Initializing Unified DEX Interface...");
-      
-      // Initialize Minswap (primary DEX)
-      const minswap = new MinswapAdapter(this.networkId, this.blockfrostProjectId);
-      await minswap.initialize();
-      this.adapters.set('Minswap', minswap);
 
-      // Initialize other DEXs (gracefully handle failures)
-      if (this.enabledDEXs.includes('SundaeSwap')) {
-        try {
-          const sundaeswap = new SundaeSwapAdapter(this.networkId, this.blockfrostProjectId);
-          await sundaeswap.initialize();
-          this.adapters.set('SundaeSwap', sundaeswap);
-        } catch (error) {
-          console.warn(`⚠️ SundaeSwap adapter failed to initialize:`, error.message);
-        }
+      if (this.adapterPaths.length > 0) {
+        await this.registry.loadModules(this.adapterPaths);
       }
 
-      if (this.enabledDEXs.includes('MuesliSwap')) {
-        try {
-          const muesliswap = new MuesliSwapAdapter(this.networkId, this.blockfrostProjectId);
-          await muesliswap.initialize();
-          this.adapters.set('MuesliSwap', muesliswap);
-        } catch (error) {
-          console.warn(`⚠️ MuesliSwap adapter failed to initialize:`, error.message);
-        }
+      if (!this.enabledDEXs) {
+        this.enabledDEXs = this.registry.names();
       }
 
-      if (this.enabledDEXs.includes('Splash')) {
-        try {
-          const splash = new SplashAdapter(this.networkId, this.blockfrostProjectId);
-          await splash.initialize();
-          this.adapters.set('Splash', splash);
-        } catch (error) {
-          console.warn(`⚠️ Splash adapter failed to initialize:`, error.message);
+      for (const dexName of this.enabledDEXs) {
+        if (this.adapters.has(dexName)) {
+          continue;
         }
-      }
-
-      if (this.enabledDEXs.includes('WingRiders')) {
-        try {
-          const wingriders = new WingRidersAdapter(this.networkId, this.blockfrostProjectId);
-          await wingriders.initialize();
-          this.adapters.set('WingRiders', wingriders);
-        } catch (error) {
-          console.warn(`⚠️ WingRiders adapter failed to initialize:`, error.message);
-        }
-      }
 
-      if (this.enabledDEXs.includes('Spectrum')) {
         try {
-          const spectrum = new SpectrumAdapter(this.networkId, this.blockfrostProjectId);
-          await spectrum.initialize();
-          this.adapters.set('Spectrum', spectrum);
+          await this._startAdapter(dexName);
         } catch (error) {
-          console.warn(`⚠️ Spectrum adapter failed to initialize:`, error.message);
-        }
-      }
-
-      if (this.enabledDEXs.includes('VyFinance')) {
-        try {
-          const vyfinance = new VyFinanceAdapter(this.networkId, this.blockfrostProjectId);
-          await vyfinance.initialize();
-          this.adapters.set('VyFinance', vyfinance);
-        } catch (error) {
-          console.warn(`⚠️ VyFinance adapter failed to initialize:`, error.message);
+          if (this.registry.has(dexName) && this.registry.get(dexName).required) {
+            throw error;
+          }
+          console.warn(`⚠️ ${dexName} adapter failed to initialize:`, error.message);
         }
       }
 
@@ -101,50 +65,202 @@ export class UnifiedDEXInterface {
     }
   }
 
+  /**
+   * Start a registered DEX adapter at runtime
+   * @param {string} dexName
+   * @returns {Promise<BaseDEXAdapter>}
+   */
+  async enableDEX(dexName) {
+    this.registry.get(dexName); // Throws for unknown names
+
+    if (!this.enabledDEXs) {
+      this.enabledDEXs = [];
+    }
+    if (!this.enabledDEXs.includes(dexName)) {
+      this.enabledDEXs.push(dexName);
+    }
+
+    if (this.adapters.has(dexName)) {
+      return this.adapters.get(dexName);
+    }
+
+    // Before initialize() the adapter starts together with the others
+    if (!this.isInitialized) {
+      return null;
+    }
+
+    try {
+      return await this._startAdapter(dexName);
+    } catch (error) {
+      console.error(`❌ Failed to enable ${dexName}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop querying a DEX at runtime
+   * @param {string} dexName
+   */
+  async disableDEX(dexName) {
+    if (this.registry.has(dexName) && this.registry.get(dexName).required) {
+      throw new Error(`${dexName} is required and can't be disabled`);
+    }
+
+    if (this.enabledDEXs) {
+      this.enabledDEXs = this.enabledDEXs.filter(name => name !== dexName);
+    }
+
+    const adapter = this.adapters.get(dexName);
+    if (!adapter) {
+      return;
+    }
+
+    this.adapters.delete(dexName);
+    await this._shutdownAdapter(adapter);
+    console.log(`🔌 ${dexName} adapter disabled`);
+  }
+
+  /**
+   * Replace a DEX adapter with a freshly created and initialized instance
+   * The old adapter keeps serving until the new one is ready; if the new one fails, the old stays.
+   * @param {string} dexName
+   * @returns {Promise<BaseDEXAdapter>}
+   */
+  async reinitializeDEX(dexName) {
+    if (!this.adapters.has(dexName)) {
+      return await this.enableDEX(dexName);
+    }
+
+    const previous = this.adapters.get(dexName);
+    try {
+      const adapter = await this._startAdapter(dexName);
+      await this._shutdownAdapter(previous);
+      return adapter;
+    } catch (error) {
+      console.error(`❌ Failed to reinitialize ${dexName}, keeping the previous adapter:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get all prices for a token pair across all DEXs
+   *
+   * Every DEX is queried concurrently. A DEX that doesn't answer within the per-DEX timeout,
+   * or before the overall deadline, is left out and the timeout counts against its health;
+   * its request keeps running in the background but its answer is ignored. Quotes fetched more than maxSkew before the newest quote are
+   * dropped, so prices compared against each other describe (nearly) the same moment.
+   * DEXs whose circuit breaker is open are not queried at all.
    * @param {Asset} assetA 
    * @param {Asset} assetB 
-   * @returns {Promise<Array<{dex: string, price: number, reserves: Object, pool: Object}>>}
+   * @param {Object} options
+   * @param {number} [options.timeout] - Per-DEX timeout in ms (default: CONFIG.PRICE_QUERY_TIMEOUT)
+   * @param {number|null} [options.deadline] - Overall deadline in ms (default: CONFIG.PRICE_QUERY_DEADLINE)
+   * @param {number|null} [options.maxSkew] - Max age difference between quotes in ms (default: CONFIG.MAX_QUOTE_SKEW)
+   * @returns {Promise<Array<{dex: string, price: number, reserves: Object, pool: Object, fetchedAt: number, latencyMs: number}>>}
    */
-  async getAllPrices(assetA, assetB) {
+  async getAllPrices(assetA, assetB, options = {}) {
     this._ensureInitialized();
-    
+
+    const timeout = options.timeout ?? CONFIG.PRICE_QUERY_TIMEOUT;
+    const deadline = options.deadline !== undefined ? options.deadline : CONFIG.PRICE_QUERY_DEADLINE;
+    const maxSkew = options.maxSkew !== undefined ? options.maxSkew : CONFIG.MAX_QUOTE_SKEW;
+    const pairLabel = `${assetA.toString()}/${assetB.toString()}`;
+
     const prices = [];
-    
-    for (const [dexName, adapter] of this.adapters.entries()) {
+    const pending = new Set(this.adapters.keys());
+    const abandoned = new Set();
+    const timers = [];
+
+    const queries = Array.from(this.adapters.entries()).map(async ([dexName, adapter]) => {
+      if (!this._health(dexName).canRequest()) {
+        pending.delete(dexName);
+        return;
+      }
+
+      const requestedAt = Date.now();
       try {
-        const priceData = await adapter.getPrice(assetA, assetB);
-        prices.push({
-          dex: dexName,
-          ...priceData,
-          timestamp: Date.now()
-        });
+        const priceData = await this._tracked(dexName, () => adapter.getPrice(assetA, assetB), timeout, timers, abandoned);
+        const fetchedAt = Date.now();
+
+        // Answers arriving after the deadline are no longer collected
+        if (pending.delete(dexName)) {
+          prices.push({
+            dex: dexName,
+            ...priceData,
+            timestamp: fetchedAt,
+            fetchedAt,
+            latencyMs: fetchedAt - requestedAt
+          });
+        }
       } catch (error) {
-        console.log(`${dexName}: No price available for ${assetA.toString()}/${assetB.toString()}`);
+        if (pending.delete(dexName)) {
+          if (error.code === 'TIMEOUT') {
+            console.log(`⏱️ ${dexName}: price query for ${pairLabel} timed out after ${timeout}ms`);
+          } else {
+            console.log(`${dexName}: No price available for ${pairLabel} (${error.message})`);
+          }
+        }
         // Don't throw, continue with other DEXs
       }
+    });
+
+    const allSettled = Promise.allSettled(queries);
+    if (deadline) {
+      await Promise.race([allSettled, this._sleep(deadline, timers)]);
+    } else {
+      await allSettled;
+    }
+    timers.forEach(timer => clearTimeout(timer));
+
+    if (pending.size > 0) {
+      console.log(`⏱️ Price deadline (${deadline}ms) reached for ${pairLabel}, skipping: ${Array.from(pending).join(', ')}`);
+
+      // The per-DEX timers were cleared above, so the deadline is the timeout these DEXs get
+      for (const dexName of pending) {
+        const error = new Error(`No answer before the ${deadline}ms price deadline`);
+        error.code = 'TIMEOUT';
+        abandoned.add(dexName);
+        this._health(dexName).recordFailure(error, deadline);
+      }
+      pending.clear();
+    }
+
+    if (maxSkew === null || prices.length < 2) {
+      return prices;
     }
 
-    return prices;
+    // Drop quotes that are too old compared to the freshest one
+    const newest = Math.max(...prices.map(price => price.fetchedAt));
+    return prices.filter(price => {
+      const skew = newest - price.fetchedAt;
+      if (skew > maxSkew) {
+        console.log(`${price.dex}: Dropping stale ${pairLabel} quote (${skew}ms older than the newest, max ${maxSkew}ms)`);
+        return false;
+      }
+      return true;
+    });
   }
 
   /**
-   * Find best price for buying (lowest ask)
+   * Find best price for buying assetB with assetA
+   * Prices are assetB per assetA, so the best buy is the highest price.
    * @param {Asset} assetA 
    * @param {Asset} assetB 
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeDEXs] - DEXs not to consider, e.g. observe-only ones
    * @returns {Promise<{dex: string, price: number, adapter: BaseDEXAdapter}>}
    */
-  async getBestBuyPrice(assetA, assetB) {
-    const prices = await this.getAllPrices(assetA, assetB);
+  async getBestBuyPrice(assetA, assetB, options = {}) {
+    const excluded = options.excludeDEXs || [];
+    const prices = (await this.getAllPrices(assetA, assetB)).filter(price => !excluded.includes(price.dex));
     
     if (prices.length === 0) {
       throw new Error(`No prices available for ${assetA.toString()}/${assetB.toString()}`);
     }
 
-    // Find lowest price (best for buying)
+    // Most assetB for each assetA spent
     const bestPrice = prices.reduce((best, current) => 
-      current.price < best.price ? current : best
+      current.price > best.price ? current : best
     );
 
     return {
@@ -154,21 +270,25 @@ export class UnifiedDEXInterface {
   }
 
   /**
-   * Find best price for selling (highest bid)
+   * Find best price for selling assetB for assetA
+   * Prices are assetB per assetA, so the best sell is the lowest price.
    * @param {Asset} assetA 
    * @param {Asset} assetB 
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeDEXs] - DEXs not to consider, e.g. ones a sell just failed on
    * @returns {Promise<{dex: string, price: number, adapter: BaseDEXAdapter}>}
    */
-  async getBestSellPrice(assetA, assetB) {
-    const prices = await this.getAllPrices(assetA, assetB);
+  async getBestSellPrice(assetA, assetB, options = {}) {
+    const excluded = options.excludeDEXs || [];
+    const prices = (await this.getAllPrices(assetA, assetB)).filter(price => !excluded.includes(price.dex));
     
     if (prices.length === 0) {
       throw new Error(`No prices available for ${assetA.toString()}/${assetB.toString()}`);
     }
 
-    // Find highest price (best for selling)
+    // Fewest assetB for each assetA received
     const bestPrice = prices.reduce((best, current) => 
-      current.price > best.price ? current : best
+      current.price < best.price ? current : best
     );
 
     return {
@@ -207,17 +327,20 @@ export class UnifiedDEXInterface {
         return null; // Same DEX, no arbitrage
       }
 
-      // Calculate potential profit
+      // Calculate potential profit: prices are assetB per assetA, so assetB is bought where
+      // the price is highest and sold back where it is lowest
       const priceDifference = highestPrice.price - lowestPrice.price;
       const percentDifference = (priceDifference / lowestPrice.price) * 100;
 
       // Get fee structures
-      const buyDEXFees = this.adapters.get(lowestPrice.dex).getFeeStructure();
-      const sellDEXFees = this.adapters.get(highestPrice.dex).getFeeStructure();
+      const buyDEXFees = this.adapters.get(highestPrice.dex).getFeeStructure();
+      const sellDEXFees = this.adapters.get(lowestPrice.dex).getFeeStructure();
       
-      const totalFees = buyDEXFees.tradingFee + buyDEXFees.networkFee + 
-                       sellDEXFees.tradingFee + sellDEXFees.networkFee;
-      const totalFeePercent = totalFees * 100;
+      // Trading fees are fractions of the input; network and batcher fees are ADA per swap
+      const fixedFeesADA = buyDEXFees.networkFee + buyDEXFees.batcherFee + 
+                          sellDEXFees.networkFee + sellDEXFees.batcherFee;
+      const totalFeePercent = (buyDEXFees.tradingFee + sellDEXFees.tradingFee) * 100 +
+                              (fixedFeesADA * 1_000_000 / Number(amountIn)) * 100;
 
       const netProfitPercent = percentDifference - totalFeePercent;
 
@@ -225,10 +348,10 @@ export class UnifiedDEXInterface {
       if (netProfitPercent > CONFIG.ARBITRAGE_PROFIT_THRESHOLD) {
         return {
           profitable: true,
-          buyDEX: lowestPrice.dex,
-          sellDEX: highestPrice.dex,
-          buyPrice: lowestPrice.price,
-          sellPrice: highestPrice.price,
+          buyDEX: highestPrice.dex,
+          sellDEX: lowestPrice.dex,
+          buyPrice: highestPrice.price,
+          sellPrice: lowestPrice.price,
           priceDifference,
           percentDifference,
           totalFeePercent,
@@ -270,6 +393,43 @@ export class UnifiedDEXInterface {
     return Array.from(this.adapters.keys());
   }
 
+  /**
+   * Capabilities of every enabled DEX (see BaseDEXAdapter.getCapabilities())
+   * @returns {Object<string, Object>} Keyed by DEX name
+   */
+  getCapabilities() {
+    const capabilities = {};
+    for (const [dexName, adapter] of this.adapters.entries()) {
+      capabilities[dexName] = adapter.getCapabilities();
+    }
+    return capabilities;
+  }
+
+  /**
+   * Enabled DEXs we can place swaps on
+   * @returns {Array<string>}
+   */
+  getTradableDEXs() {
+    return this.getEnabledDEXs().filter(dexName => this.adapters.get(dexName).hasCapability('execute'));
+  }
+
+  /**
+   * Enabled DEXs we can only quote
+   * @returns {Array<string>}
+   */
+  getObserveOnlyDEXs() {
+    return this.getEnabledDEXs().filter(dexName => !this.adapters.get(dexName).hasCapability('execute'));
+  }
+
+  /**
+   * Which of a route's DEXs can't execute swaps (disabled DEXs count as not executable)
+   * @param {Array<string>} dexNames
+   * @returns {Array<string>} Distinct observe-only DEX names, empty when every leg can execute
+   */
+  getNonExecutableDEXs(dexNames) {
+    return [...new Set(dexNames)].filter(dexName => !this.adapters.get(dexName)?.hasCapability('execute'));
+  }
+
   /**
    * Get liquidity across all DEXs for a pair
    * @param {Asset} assetA 
@@ -282,8 +442,12 @@ export class UnifiedDEXInterface {
     const liquidityData = [];
     
     for (const [dexName, adapter] of this.adapters.entries()) {
+      if (!this._health(dexName).canRequest()) {
+        continue;
+      }
+
       try {
-        const liquidity = await adapter.getPoolLiquidity(assetA, assetB);
+        const liquidity = await this._tracked(dexName, () => adapter.getPoolLiquidity(assetA, assetB));
         liquidityData.push({
           dex: dexName,
           ...liquidity,
@@ -303,29 +467,141 @@ export class UnifiedDEXInterface {
    */
   async enableDEXs(dexNames) {
     for (const dexName of dexNames) {
-      if (!this.enabledDEXs.includes(dexName)) {
-        this.enabledDEXs.push(dexName);
-      }
+      await this.enableDEX(dexName);
     }
-    
-    if (this.isInitialized) {
-      // Re-initialize to add new DEXs
-      await this.initialize();
+  }
+
+  /**
+   * Get health (error rate, latency, circuit state) of every DEX adapter
+   * @returns {Object<string, Object>} Health snapshot keyed by DEX name
+   */
+  getHealth() {
+    const health = {};
+    for (const dexName of this.adapters.keys()) {
+      health[dexName] = this._health(dexName).getSnapshot();
     }
+    return health;
   }
 
   /**
    * Get statistics about all DEXs
    */
   getStats() {
+    const health = this.getHealth();
+
     return {
       totalDEXs: this.adapters.size,
       enabledDEXs: this.getEnabledDEXs(),
+      tradableDEXs: this.getTradableDEXs(),
+      observeOnlyDEXs: this.getObserveOnlyDEXs(),
+      registeredDEXs: this.registry.names(),
       isInitialized: this.isInitialized,
-      networkId: this.networkId
+      networkId: this.networkId,
+      health,
+      degradedDEXs: Object.values(health)
+        .filter(snapshot => snapshot.status !== 'healthy')
+        .map(snapshot => ({ dex: snapshot.name, status: snapshot.status, reason: snapshot.reason }))
     };
   }
 
+  /**
+   * Create and initialize an adapter from the registry and put it in service with fresh health
+   * @private
+   */
+  async _startAdapter(dexName) {
+    const adapter = await this.registry.create(dexName, {
+      networkId: this.networkId,
+      blockfrostProjectId: this.blockfrostProjectId
+    });
+    await adapter.initialize();
+
+    this.adapters.set(dexName, adapter);
+    this.health.set(dexName, new AdapterHealth(dexName));
+    return adapter;
+  }
+
+  /**
+   * Let an adapter release resources, if it has any
+   * @private
+   */
+  async _shutdownAdapter(adapter) {
+    if (typeof adapter.shutdown === 'function') {
+      try {
+        await adapter.shutdown();
+      } catch (error) {
+        console.warn(`⚠️ ${adapter.name}: error during shutdown:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Run an adapter call, optionally bounded by a timeout, and record its outcome in the
+   * adapter's health. A missing pool (NO_POOL) means the DEX answered, so it doesn't count
+   * as a failure; a timeout does. An answer arriving after its timeout is ignored, as is the
+   * outcome of a call whose DEX was put in `abandoned` (its timeout was already recorded).
+   * @private
+   */
+  async _tracked(dexName, call, timeoutMs = null, timers = [], abandoned = null) {
+    const health = this._health(dexName);
+    const startedAt = Date.now();
+
+    let request = Promise.resolve().then(call);
+    if (timeoutMs) {
+      request = this._withTimeout(request, timeoutMs, timers);
+    }
+
+    try {
+      const result = await request;
+      if (!abandoned?.has(dexName)) {
+        health.recordSuccess(Date.now() - startedAt);
+      }
+      return result;
+    } catch (error) {
+      if (abandoned?.has(dexName)) {
+        // Already counted as a deadline timeout
+      } else if (error.code === 'NO_POOL') {
+        health.recordSuccess(Date.now() - startedAt, false);
+      } else {
+        health.recordFailure(error, Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _health(dexName) {
+    if (!this.health.has(dexName)) {
+      this.health.set(dexName, new AdapterHealth(dexName));
+    }
+    return this.health.get(dexName);
+  }
+
+  /**
+   * Reject with a TIMEOUT error if the promise doesn't settle in time
+   * @private
+   */
+  _withTimeout(promise, timeoutMs, timers) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${timeoutMs}ms`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+      timers.push(timer);
+
+      promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _sleep(ms, timers) {
+    return new Promise(resolve => timers.push(setTimeout(resolve, ms)));
+  }
+
   /**
    * Ensure the interface is initialized
    * @private
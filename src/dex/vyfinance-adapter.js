@@ -1,13 +1,15 @@
 // VyFinance DEX Adapter
 import { Asset } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { BASIS_POINTS, feeOnInputOut, percentToNumerator } from "./swap-math.js";
 
 export class VyFinanceAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
     super("VyFinance", networkId, config);
     this.blockfrostProjectId = blockfrostProjectId;
     // VyFinance doesn't have a public API yet, using DexHunter
-    this.dexHunterUrl = "https://api-us.dexhunterv3.app";
+    this.dexHunterUrl = CONFIG.DEXHUNTER.API_URL;
   }
 
   async initialize() {
@@ -38,9 +40,12 @@ export class VyFinanceAdapter extends BaseDEXAdapter {
         }
       });
       
-      if (!response.ok) {
+      if (response.status === 404) {
         return null;
       }
+      if (!response.ok) {
+        throw new Error(`DexHunter API returned ${response.status}`);
+      }
       
       const poolData = await response.json();
       
@@ -53,66 +58,10 @@ export class VyFinanceAdapter extends BaseDEXAdapter {
       
       return null;
     } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
-    }
-  }
-
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
-
-    // Calculate price from pool reserves
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
-    return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
-    };
-  }
-
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
-
-    // Determine swap direction
-    const assetInStr = this._assetToString(assetIn);
-    const assetInIsA = assetInStr === this._assetToString(pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    
-    // VyFinance uses 0.3% fee
-    const fee = 0.003;
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-    
-    // Constant product formula: x * y = k
-    const amountOut = (amountInWithFee * Number(reserveOut)) / (Number(reserveIn) + amountInWithFee);
-    
-    if (amountOut <= 0) {
-      throw new Error("Insufficient liquidity for swap");
+      // Surface transport errors instead of reporting them as "no pool", so health tracking sees them
+      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error.message);
+      throw error;
     }
-
-    const priceImpact = this.calculatePriceImpact(amountIn, BigInt(reserveIn), BigInt(reserveOut));
-
-    return {
-      amountOut: BigInt(Math.floor(amountOut)),
-      slippage: priceImpact,
-      fee: fee * 100, // Convert to percentage
-      priceImpact,
-      pool: pool
-    };
   }
 
   async buildSwapTransaction(params) {
@@ -133,12 +82,25 @@ export class VyFinanceAdapter extends BaseDEXAdapter {
     };
   }
 
+  /**
+   * The LP fee and the bar fee (paid out to VyFi stakers) are each taken out of the input,
+   * then the invariant is kept with the output rounded down
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    return feeOnInputOut(
+      amountIn,
+      BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      BigInt(assetInIsA ? pool.reserveB : pool.reserveA),
+      pool.feeShares
+    );
+  }
+
   async getPoolLiquidity(assetA, assetB) {
     this._ensureInitialized();
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -174,6 +136,12 @@ export class VyFinanceAdapter extends BaseDEXAdapter {
   }
 
   normalizePoolData(rawPool) {
+    // DexHunter reports fees in percent; use the LP / bar split when it is given
+    const lpFee = percentToNumerator(rawPool.lp_fee);
+    const barFee = percentToNumerator(rawPool.bar_fee);
+    const feeShares = lpFee !== null && barFee !== null ? [lpFee, barFee] : [percentToNumerator(rawPool.pool_fee) ?? 30n];
+    const totalFee = feeShares.reduce((total, share) => total + share, 0n);
+
     // Convert DexHunter/VyFinance pool format to our standard format
     return {
       id: rawPool.pool_id || rawPool.poolId,
@@ -181,10 +149,11 @@ export class VyFinanceAdapter extends BaseDEXAdapter {
       assetB: rawPool.tokenB || rawPool.token_out,
       reserveA: BigInt(rawPool.liquidity_a || rawPool.reserveA || 0),
       reserveB: BigInt(rawPool.liquidity_b || rawPool.reserveB || 0),
-      fee: rawPool.pool_fee || 0.003,
+      fee: Number(totalFee) / Number(BASIS_POINTS),
       dex: this.name,
       lastUpdated: Date.now(),
-      // VyFinance specific fields
+      // VyFinance specific fields (fee shares per 10,000)
+      feeShares,
       version: rawPool.dex || "VYFI",
       lpToken: rawPool.lp_token
     };
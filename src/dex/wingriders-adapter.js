@@ -1,13 +1,15 @@
 // WingRiders DEX Adapter
 import { Asset } from "@minswap/sdk";
+import { CONFIG } from "../config/index.js";
 import { BaseDEXAdapter } from "./base-dex-adapter.js";
+import { BASIS_POINTS, feeOnInputOut, percentToNumerator } from "./swap-math.js";
 
 export class WingRidersAdapter extends BaseDEXAdapter {
   constructor(networkId, blockfrostProjectId, config = {}) {
     super("WingRiders", networkId, config);
     this.blockfrostProjectId = blockfrostProjectId;
     // WingRiders doesn't have a public API, we'll need to use DexHunter or on-chain data
-    this.dexHunterUrl = "https://api-us.dexhunterv3.app";
+    this.dexHunterUrl = CONFIG.DEXHUNTER.API_URL;
   }
 
   async initialize() {
@@ -38,9 +40,12 @@ export class WingRidersAdapter extends BaseDEXAdapter {
         }
       });
       
-      if (!response.ok) {
+      if (response.status === 404) {
         return null;
       }
+      if (!response.ok) {
+        throw new Error(`DexHunter API returned ${response.status}`);
+      }
       
       const poolData = await response.json();
       
@@ -55,66 +60,10 @@ export class WingRidersAdapter extends BaseDEXAdapter {
       
       return null;
     } catch (error) {
-      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error);
-      return null;
-    }
-  }
-
-  async getPrice(assetA, assetB) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetA, assetB);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
-    }
-
-    // Calculate price from pool reserves
-    const price = Number(pool.reserveB) / Number(pool.reserveA);
-    
-    return {
-      price,
-      reserves: {
-        reserveA: pool.reserveA,
-        reserveB: pool.reserveB
-      },
-      pool: pool
-    };
-  }
-
-  async calculateSwapOutput(assetIn, assetOut, amountIn) {
-    this._ensureInitialized();
-    
-    const pool = await this.getPool(assetIn, assetOut);
-    if (!pool) {
-      throw new Error(`No pool found for ${assetIn.toString()} / ${assetOut.toString()}`);
-    }
-
-    // Determine swap direction
-    const assetInStr = this._assetToString(assetIn);
-    const assetInIsA = assetInStr === this._assetToString(pool.assetA);
-    const reserveIn = assetInIsA ? pool.reserveA : pool.reserveB;
-    const reserveOut = assetInIsA ? pool.reserveB : pool.reserveA;
-    
-    // WingRiders uses 0.35% fee
-    const fee = 0.0035;
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-    
-    // Constant product formula: x * y = k
-    const amountOut = (amountInWithFee * Number(reserveOut)) / (Number(reserveIn) + amountInWithFee);
-    
-    if (amountOut <= 0) {
-      throw new Error("Insufficient liquidity for swap");
+      // Surface transport errors instead of reporting them as "no pool", so health tracking sees them
+      console.error(`${this.name}: Error getting pool for ${assetA.toString()} / ${assetB.toString()}:`, error.message);
+      throw error;
     }
-
-    const priceImpact = this.calculatePriceImpact(amountIn, BigInt(reserveIn), BigInt(reserveOut));
-
-    return {
-      amountOut: BigInt(Math.floor(amountOut)),
-      slippage: priceImpact,
-      fee: fee * 100, // Convert to percentage
-      priceImpact,
-      pool: pool
-    };
   }
 
   async buildSwapTransaction(params) {
@@ -135,12 +84,25 @@ export class WingRidersAdapter extends BaseDEXAdapter {
     };
   }
 
+  /**
+   * Each fee share is taken out of the input on its own (V1: 0.30% to LPs and 0.05% to the
+   * treasury), then the invariant is kept with the output rounded down
+   */
+  quoteSwap(pool, assetInIsA, amountIn) {
+    return feeOnInputOut(
+      amountIn,
+      BigInt(assetInIsA ? pool.reserveA : pool.reserveB),
+      BigInt(assetInIsA ? pool.reserveB : pool.reserveA),
+      pool.feeShares
+    );
+  }
+
   async getPoolLiquidity(assetA, assetB) {
     this._ensureInitialized();
     
     const pool = await this.getPool(assetA, assetB);
     if (!pool) {
-      throw new Error(`No pool found for ${assetA.toString()} / ${assetB.toString()}`);
+      throw this.noPoolError(assetA, assetB);
     }
 
     const adaReserve = this._isADA(pool.assetA) ? pool.reserveA : pool.reserveB;
@@ -176,6 +138,12 @@ export class WingRidersAdapter extends BaseDEXAdapter {
   }
 
   normalizePoolData(rawPool) {
+    // DexHunter reports pool_fee in percent. V1 pools split their 0.35% into an LP and a
+    // treasury share; V2 pools are charged as one fee.
+    const version = rawPool.dex || "WINGRIDER";
+    const totalFee = percentToNumerator(rawPool.pool_fee) ?? 35n;
+    const feeShares = version === "WINGRIDER" && totalFee === 35n ? [30n, 5n] : [totalFee];
+
     // Convert DexHunter/WingRiders pool format to our standard format
     return {
       id: rawPool.pool_id || rawPool.poolId,
@@ -183,11 +151,12 @@ export class WingRidersAdapter extends BaseDEXAdapter {
       assetB: rawPool.tokenB || rawPool.token_out,
       reserveA: BigInt(rawPool.liquidity_a || rawPool.reserveA || 0),
       reserveB: BigInt(rawPool.liquidity_b || rawPool.reserveB || 0),
-      fee: rawPool.pool_fee || 0.0035,
+      fee: Number(totalFee) / Number(BASIS_POINTS),
       dex: this.name,
       lastUpdated: Date.now(),
-      // WingRiders specific fields
-      version: rawPool.dex || "WINGRIDER",
+      // WingRiders specific fields (fee shares per 10,000)
+      feeShares,
+      version,
       lpToken: rawPool.lp_token
     };
   }
@@ -0,0 +1,286 @@
+// Main Trading Bot - Runs price monitoring, arbitrage scanning and execution together, plus the
+// DCA scheduler when CONFIG.DCA.ENABLED is set
+import fs from 'fs/promises';
+import { NetworkId } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "./dex/unified-dex-interface.js";
+import { createDatabase } from "./utils/database.js";
+import { PriceMonitor } from "./price-monitor.js";
+import { ArbitrageScanner } from "./arbitrage/scanner.js";
+import { ArbitrageBot } from "./arbitrage/bot.js";
+import { DCAScheduler } from "./trading/dca.js";
+import { CONFIG, validateConfig } from "./config/index.js";
+
+export class TradingBot {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.dryRun] - Simulate executions (default: CONFIG.DRY_RUN_MODE)
+   * @param {string} [options.emergencyStopFile] - Path of the emergency stop flag file
+   * @param {number} [options.watchdogInterval] - How often to check the emergency stop file (ms)
+   */
+  constructor(options = {}) {
+    this.dryRun = options.dryRun ?? CONFIG.DRY_RUN_MODE;
+    this.emergencyStopFile = options.emergencyStopFile || CONFIG.EMERGENCY_STOP_FILE;
+    this.watchdogInterval = options.watchdogInterval || CONFIG.MAIN_LOOP_INTERVAL;
+
+    // Shared resources - one DEX interface and one database for every component
+    this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    this.database = createDatabase();
+
+    const shared = { dexInterface: this.dexInterface, database: this.database };
+    this.priceMonitor = new PriceMonitor(shared);
+    this.scanner = new ArbitrageScanner(shared);
+    this.arbitrageBot = new ArbitrageBot({
+      ...shared,
+      scanner: this.scanner,
+      dryRun: this.dryRun,
+      emergencyStopFile: this.emergencyStopFile
+    });
+    this.dca = CONFIG.DCA.ENABLED ? new DCAScheduler({ ...shared, dryRun: this.dryRun }) : null;
+
+    this.isRunning = false;
+    this.isShuttingDown = false;
+    this.startTime = null;
+    this.watchdog = null;
+
+    console.log(`🐱 Trading Bot created (${this.dryRun ? 'DRY RUN' : 'LIVE'} mode)`);
+  }
+
+  /**
+   * Initialize shared resources and all components
+   */
+  async initialize() {
+    try {
+      console.log("🔧 Initializing Trading Bot...");
+
+      if (this.dryRun) {
+        if (!CONFIG.BF_PROJECT_ID) {
+          throw new Error("Missing required environment variable: BF_PROJECT_ID");
+        }
+        console.log("🏃 Dry run mode - wallet configuration not required");
+      } else {
+        validateConfig();
+      }
+
+      // Shared resources are initialized once, components skip them afterwards
+      await this.database.initialize();
+      await this.dexInterface.initialize();
+
+      await this.priceMonitor.initialize();
+      await this.scanner.initialize();
+      await this.arbitrageBot.initialize();
+
+      if (this.dca) {
+        // DCA orders are followed by the executor's tracker, which the arbitrage loop polls
+        const executor = this.arbitrageBot.executor;
+        Object.assign(this.dca, {
+          orderTracker: executor.orderTracker,
+          lucid: executor.lucid,
+          walletAddress: executor.walletAddress
+        });
+        await this.dca.initialize();
+      }
+
+      console.log("✅ Trading Bot initialized successfully");
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to initialize Trading Bot:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start all components
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log("⚠️ Trading Bot is already running");
+      return;
+    }
+
+    if (await this.isEmergencyStopActive()) {
+      console.log(`🚨 Emergency stop file present (${this.emergencyStopFile}) - refusing to start`);
+      console.log("   Remove the file to allow trading again");
+      return;
+    }
+
+    console.log(`🚀 Starting Trading Bot...`);
+    console.log(`📊 Mode: ${this.dryRun ? 'DRY RUN' : 'LIVE TRADING'}`);
+    console.log(`🛑 Emergency stop file: ${this.emergencyStopFile}`);
+
+    this.priceMonitor.start();
+    this.scanner.start();
+    this.arbitrageBot.start();
+    this.dca?.start();
+
+    // Watch for the emergency stop file independently of the arbitrage loop
+    this.watchdog = setInterval(() => this.checkEmergencyStop(), this.watchdogInterval);
+
+    this.isRunning = true;
+    this.startTime = Date.now();
+
+    console.log("✅ Trading Bot started");
+  }
+
+  /**
+   * Stop all components
+   * @param {string} reason - Why the bot is stopping
+   */
+  async shutdown(reason = 'shutdown requested') {
+    if (this.isShuttingDown) {
+      return;
+    }
+    this.isShuttingDown = true;
+
+    console.log(`\n🛑 Shutting down Trading Bot (${reason})...`);
+
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+
+    // Stop execution first so no new trades start while the rest winds down
+    if (this.arbitrageBot.isRunning) {
+      this.arbitrageBot.stop(); // Also stops the shared scanner
+    } else if (this.scanner.isRunning) {
+      this.scanner.stop();
+    }
+
+    if (this.dca?.isRunning) {
+      this.dca.stop();
+    }
+
+    if (this.priceMonitor.isRunning) {
+      this.priceMonitor.stop();
+    }
+
+    await this.waitForPendingExecution();
+
+    this.isRunning = false;
+    console.log("✅ Trading Bot stopped cleanly");
+  }
+
+  /**
+   * Wait for an in-flight arbitrage execution to finish
+   * @param {number} timeoutMs
+   * @private
+   */
+  async waitForPendingExecution(timeoutMs = 120000) {
+    const executor = this.arbitrageBot.executor;
+    const startTime = Date.now();
+
+    if (executor.isExecuting) {
+      console.log("⏳ Waiting for in-flight arbitrage execution to finish...");
+    }
+
+    while (executor.isExecuting && Date.now() - startTime < timeoutMs) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (executor.isExecuting) {
+      console.warn("⚠️ Execution still in progress after timeout - check the wallet for open orders");
+    }
+  }
+
+  /**
+   * Check whether the emergency stop file exists
+   * @returns {Promise<boolean>}
+   */
+  async isEmergencyStopActive() {
+    try {
+      await fs.access(this.emergencyStopFile);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Shut everything down if the emergency stop file appeared
+   * @private
+   */
+  async checkEmergencyStop() {
+    if (await this.isEmergencyStopActive()) {
+      console.log("🚨 EMERGENCY STOP DETECTED - Stopping all components");
+      this.arbitrageBot.executor.emergencyStop();
+      await this.shutdown('emergency stop');
+      process.exit(0);
+    }
+  }
+
+  /**
+   * Get combined statistics for all components
+   */
+  async getStats() {
+    return {
+      bot: {
+        isRunning: this.isRunning,
+        dryRun: this.dryRun,
+        uptime: this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0,
+        emergencyStopFile: this.emergencyStopFile
+      },
+      dex: this.dexInterface.getStats(),
+      priceMonitor: this.priceMonitor.getStats(),
+      arbitrage: await this.arbitrageBot.getStats(),
+      dca: this.dca ? await this.dca.getCostBasis() : null,
+      database: await this.database.getAllStats()
+    };
+  }
+}
+
+// CLI functionality if run directly
+async function main() {
+  const bot = new TradingBot();
+
+  try {
+    await bot.initialize();
+
+    const args = process.argv.slice(2);
+    const command = args[0] || 'start';
+
+    switch (command) {
+      case 'start':
+        // Handle graceful shutdown
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.on(signal, async () => {
+            await bot.shutdown(signal);
+            process.exit(0);
+          });
+        }
+
+        await bot.start();
+        if (!bot.isRunning) {
+          process.exit(1);
+        }
+        console.log("Press Ctrl+C to stop the bot");
+        break;
+
+      case 'stats':
+        const stats = await bot.getStats();
+        console.log("📊 Trading Bot Statistics:");
+        console.log(JSON.stringify(stats, (key, value) =>
+          typeof value === 'bigint' ? value.toString() : value, 2));
+        process.exit(0);
+        break;
+
+      default:
+        console.log("Usage:");
+        console.log("  npm run bot [start]    - Start monitor, scanner and arbitrage bot");
+        console.log("  npm run bot:dry        - Same, without submitting real transactions");
+        console.log("  npm run bot stats      - Show combined statistics");
+        console.log("");
+        console.log(`Create '${CONFIG.EMERGENCY_STOP_FILE}' to stop all trading immediately`);
+        process.exit(1);
+    }
+
+  } catch (error) {
+    console.error("❌ Trading Bot failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default TradingBot;
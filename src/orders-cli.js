@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+// Orders CLI - List and cancel our open Minswap V2 orders
+//
+// Orders placed with killOnFailed false stay at the order script until a batcher can fill them
+// at their minimum output, which may never happen once the price has moved. Cancelling spends
+// them back to the wallet.
+import { NetworkId } from "@minswap/sdk";
+import { MinswapAdapter } from "./dex/minswap-adapter.js";
+import { createDatabase } from "./utils/database.js";
+import { initializeWallet } from "./utils/wallet.js";
+import { CONFIG } from "./config/index.js";
+
+/**
+ * Open orders matching "txHash" or "txHash#outputIndex" selectors
+ * @private
+ */
+function selectOrders(orders, selectors) {
+  const selected = [];
+
+  for (const selector of selectors) {
+    const [txHash, outputIndex] = selector.split('#');
+    const matches = orders.filter(order =>
+      order.txHash === txHash && (outputIndex === undefined || order.outputIndex === Number(outputIndex))
+    );
+    if (matches.length === 0) {
+      throw new Error(`No open order matches ${selector}`);
+    }
+    selected.push(...matches.filter(order => !selected.includes(order)));
+  }
+
+  return selected;
+}
+
+/**
+ * Point tracked orders at their cancel transaction, so the order tracker records them as
+ * cancelled rather than refunded
+ * @private
+ */
+async function markCancelled(orders, cancelTxHash) {
+  const database = createDatabase();
+  await database.initialize();
+
+  for (const order of orders) {
+    const tracked = await database.select('orders', { txHash: order.txHash });
+    for (const record of tracked.filter(record => record.outputIndex === order.outputIndex)) {
+      await database.update('orders', { id: record.id }, { cancelTxHash, cancelRequestedAt: Date.now() });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function printOrders(orders, minswap) {
+  console.log(`📋 ${orders.length} open Minswap order(s)`);
+  for (const [index, order] of orders.entries()) {
+    console.log(`   ${index + 1}. ${order.txHash}#${order.outputIndex}: ${minswap.formatAssets(order.assets)}`);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['list', 'cancel', 'cancel-all'].includes(command)) {
+    console.log("Usage:");
+    console.log("  node src/orders-cli.js list                                 - Show open Minswap orders");
+    console.log("  node src/orders-cli.js cancel <txHash[#index]> [...]        - Cancel the selected orders");
+    console.log("  node src/orders-cli.js cancel-all                           - Cancel every open order");
+    process.exit(1);
+  }
+
+  try {
+    const minswap = new MinswapAdapter(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    await minswap.initialize();
+
+    const { lucid, address } = await initializeWallet();
+    const orders = await minswap.getOpenOrders(address, lucid);
+
+    if (command === 'list') {
+      printOrders(orders, minswap);
+      process.exit(0);
+    }
+
+    if (command === 'cancel' && args.length === 0) {
+      throw new Error("Name the orders to cancel (txHash or txHash#outputIndex), or use cancel-all");
+    }
+
+    const selected = command === 'cancel' ? selectOrders(orders, args) : orders;
+    if (selected.length === 0) {
+      console.log("✅ No open orders to cancel");
+      process.exit(0);
+    }
+
+    printOrders(selected, minswap);
+    const { txHash } = await minswap.cancelOrders(selected, address, lucid);
+    await markCancelled(selected, txHash);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Orders command failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,14 +1,20 @@
 // Real-time Price Monitoring System
 import cron from 'node-cron';
+import fs from 'fs/promises';
 import { NetworkId, Asset } from "@minswap/sdk";
 import { UnifiedDEXInterface } from "./dex/unified-dex-interface.js";
-import { JSONDatabase } from "./utils/json-database.js";
+import { createDatabase } from "./utils/database.js";
 import { CONFIG } from "./config/index.js";
 
 export class PriceMonitor {
-  constructor() {
-    this.dexInterface = null;
-    this.database = new JSONDatabase();
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} [options.dexInterface] - Shared DEX interface (created if omitted)
+   * @param {JSONDatabase|SQLiteDatabase} [options.database] - Shared database (created if omitted)
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface || null;
+    this.database = options.database || createDatabase();
     this.isRunning = false;
     this.cronJob = null;
     this.lastUpdateTime = null;
@@ -27,12 +33,18 @@ export class PriceMonitor {
     try {
       console.log("🔧 Initializing Price Monitor...");
       
-      // Initialize database
-      await this.database.initialize();
+      // Initialize database (skipped when a shared, already initialized one was passed in)
+      if (!this.database.initialized) {
+        await this.database.initialize();
+      }
       
       // Initialize DEX interface
-      this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
-      await this.dexInterface.initialize();
+      if (!this.dexInterface) {
+        this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+      }
+      if (!this.dexInterface.isInitialized) {
+        await this.dexInterface.initialize();
+      }
       
       console.log("✅ Price Monitor initialized successfully");
       return true;
@@ -154,10 +166,7 @@ export class PriceMonitor {
    * @param {number} limit - Number of latest records to return
    */
   async getLatestPrices(pairSymbol, limit = 10) {
-    return await this.database.select('price_history', 
-      record => record.pair === pairSymbol, 
-      limit
-    );
+    return await this.database.select('price_history', { pair: pairSymbol }, limit);
   }
 
   /**
@@ -167,8 +176,7 @@ export class PriceMonitor {
    * @param {number} endTime - End timestamp
    */
   async getPriceHistory(pairSymbol, startTime, endTime = Date.now()) {
-    const allData = await this.database.selectByTimeRange('price_history', startTime, endTime);
-    return allData.filter(record => record.pair === pairSymbol);
+    return await this.database.selectByTimeRange('price_history', startTime, endTime, { pair: pairSymbol });
   }
 
   /**
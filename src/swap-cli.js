@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+// Swap CLI - Buy or sell one token for ADA through the DEX adapters
+//
+// Quotes the swap on the chosen DEX (or the best price among the DEXs that can execute swaps),
+// shows the expected and minimum output, and submits it from the wallet derived from MNEMONIC
+// once confirmed. Buys spend an ADA amount, sells spend token units. Submitted orders are
+// tracked with the manual strategy, so filled buys get a protective order from the position
+// manager.
+import readline from "readline/promises";
+import { parseArgs } from "util";
+import { NetworkId, Asset } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "./dex/unified-dex-interface.js";
+import { OrderTracker } from "./arbitrage/order-tracker.js";
+import { minimumAmountOut } from "./arbitrage/round-trip.js";
+import { createDatabase } from "./utils/database.js";
+import { initializeWallet, getWalletBalances } from "./utils/wallet.js";
+import { CONFIG } from "./config/index.js";
+import { LOVELACE_PER_ADA, tokenSymbol } from "./utils/units.js";
+
+const SWAP_DIRECTIONS = ['buy', 'sell'];
+const UNIT_PATTERN = /^[0-9a-f]{56}([0-9a-f]{0,64})$/i;
+
+/**
+ * Token from a CONFIG.SUPPORTED_TOKENS symbol or a raw unit (policy id + hex asset name)
+ * @private
+ */
+function resolveToken(symbolOrUnit) {
+  const token = CONFIG.SUPPORTED_TOKENS[symbolOrUnit.toUpperCase()];
+  if (token) {
+    return { unit: token.fullUnit, symbol: token.symbol };
+  }
+
+  const unit = symbolOrUnit.replace('.', '');
+  if (!UNIT_PATTERN.test(unit)) {
+    throw new Error(`Unknown token ${symbolOrUnit} (use a unit or one of ${Object.keys(CONFIG.SUPPORTED_TOKENS).join(', ')})`);
+  }
+
+  return { unit: unit.toLowerCase(), symbol: tokenSymbol(unit) };
+}
+
+/**
+ * Swap parameters from the command line
+ * @private
+ */
+function parseSwap(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      slippage: { type: 'string', short: 's' },
+      dex: { type: 'string', short: 'd', default: 'best' },
+      'dry-run': { type: 'boolean', default: false },
+      yes: { type: 'boolean', short: 'y', default: false }
+    }
+  });
+
+  const [direction, tokenArg, amountArg] = positionals;
+  if (!SWAP_DIRECTIONS.includes(direction) || !tokenArg || !amountArg) {
+    return null;
+  }
+
+  const amount = Number(amountArg);
+  if (!(amount > 0)) {
+    throw new Error(`Amount must be positive, got ${amountArg}`);
+  }
+  if (direction === 'sell' && !Number.isInteger(amount)) {
+    throw new Error(`Sells take whole token units, got ${amountArg}`);
+  }
+
+  const slippage = values.slippage === undefined ? CONFIG.DEFAULT_SLIPPAGE : Number(values.slippage);
+  if (!(slippage >= 0 && slippage < 100)) {
+    throw new Error(`Slippage must be a percentage from 0 to 100, got ${values.slippage}`);
+  }
+
+  return {
+    direction,
+    token: resolveToken(tokenArg),
+    // Buys spend ADA, sells spend token units
+    amountIn: direction === 'buy' ? BigInt(Math.round(amount * LOVELACE_PER_ADA)) : BigInt(amountArg),
+    slippage,
+    dex: values.dex,
+    dryRun: values['dry-run'] || CONFIG.DRY_RUN_MODE,
+    confirmed: values.yes
+  };
+}
+
+/**
+ * Adapter (and pool, when priced) to swap on: the named DEX, or the best price among the
+ * executable ones
+ * @private
+ */
+async function chooseVenue(dexInterface, swap) {
+  if (swap.dex === 'best') {
+    const ada = Asset.fromString('lovelace');
+    const token = Asset.fromString(swap.token.unit);
+    const excludeDEXs = dexInterface.getObserveOnlyDEXs();
+    return swap.direction === 'buy'
+      ? await dexInterface.getBestBuyPrice(ada, token, { excludeDEXs })
+      : await dexInterface.getBestSellPrice(ada, token, { excludeDEXs });
+  }
+
+  const dexName = dexInterface.getEnabledDEXs().find(name => name.toLowerCase() === swap.dex.toLowerCase());
+  if (!dexName) {
+    throw new Error(`${swap.dex} is not available (enabled: ${dexInterface.getEnabledDEXs().join(', ')})`);
+  }
+
+  const adapter = dexInterface.getDEXAdapter(dexName);
+  if (!swap.dryRun && !adapter.hasCapability('execute')) {
+    throw new Error(`${dexName} can only quote swaps; use --dry-run or another DEX`);
+  }
+
+  return { dex: dexName, adapter, pool: null }; // calculateSwapOutput() fetches the pool
+}
+
+/**
+ * @private
+ */
+function formatAmount(amount, isADA, symbol) {
+  return isADA ? `${(Number(amount) / LOVELACE_PER_ADA).toFixed(6)} ADA` : `${amount} ${symbol}`;
+}
+
+/**
+ * Ask for a yes/no answer on the terminal
+ * @private
+ */
+async function confirm(question) {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await prompt.question(`${question} [y/N] `);
+    return ['y', 'yes'].includes(answer.trim().toLowerCase());
+  } finally {
+    prompt.close();
+  }
+}
+
+async function main() {
+  let swap;
+  try {
+    swap = parseSwap(process.argv.slice(2));
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+
+  if (!swap) {
+    console.log("Usage:");
+    console.log("  node src/swap-cli.js buy <TOKEN|unit> <ADA> [options]     - Buy a token with ADA");
+    console.log("  node src/swap-cli.js sell <TOKEN|unit> <units> [options]  - Sell token units for ADA");
+    console.log("");
+    console.log("Options:");
+    console.log(`  -s, --slippage <percent>  Below the quote the swap may fill at (default ${CONFIG.DEFAULT_SLIPPAGE})`);
+    console.log("  -d, --dex <name|best>     DEX to swap on (default: best price among executable DEXs)");
+    console.log("      --dry-run             Quote only, don't submit (also DRY_RUN=true)");
+    console.log("  -y, --yes                 Submit without the confirmation prompt");
+    console.log("");
+    console.log(`Tokens: ${Object.keys(CONFIG.SUPPORTED_TOKENS).join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    const isBuy = swap.direction === 'buy';
+    const unitIn = isBuy ? 'lovelace' : swap.token.unit;
+    const assetIn = Asset.fromString(unitIn);
+    const assetOut = Asset.fromString(isBuy ? swap.token.unit : 'lovelace');
+
+    const dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    await dexInterface.initialize();
+
+    const venue = await chooseVenue(dexInterface, swap);
+    const quote = await venue.adapter.calculateSwapOutput(assetIn, assetOut, swap.amountIn, venue.pool);
+    if (quote.amountOut <= 0n) {
+      throw new Error(`${venue.dex} quotes no output for this swap`);
+    }
+    const minimumOut = minimumAmountOut(quote.amountOut, swap.slippage);
+    const fees = venue.adapter.getFeeStructure();
+
+    console.log(`\n🔄 ${isBuy ? 'Buy' : 'Sell'} ${swap.token.symbol} on ${venue.dex}`);
+    console.log(`   Pay:      ${formatAmount(swap.amountIn, isBuy, swap.token.symbol)}`);
+    console.log(`   Expected: ${formatAmount(quote.amountOut, !isBuy, swap.token.symbol)}`);
+    console.log(`   Minimum:  ${formatAmount(minimumOut, !isBuy, swap.token.symbol)} (${swap.slippage}% slippage)`);
+    console.log(`   Price impact: ${Number(quote.priceImpact).toFixed(2)}%`);
+    console.log(`   Fees: ${(fees.tradingFee * 100).toFixed(2)}% trading + ${fees.batcherFee} ADA batcher`);
+
+    if (swap.dryRun) {
+      console.log("\n🏃 DRY RUN: Swap not submitted");
+      process.exit(0);
+    }
+
+    const { lucid, address } = await initializeWallet();
+    const balances = await getWalletBalances(lucid);
+    const available = balances[unitIn] || 0n;
+    if (available < swap.amountIn) {
+      throw new Error(`Wallet holds ${formatAmount(available, isBuy, swap.token.symbol)}, less than the swap spends`);
+    }
+
+    console.log(`   Wallet: ${address}`);
+    if (!swap.confirmed && !await confirm("\nSubmit this swap?")) {
+      console.log("🚫 Swap cancelled");
+      process.exit(0);
+    }
+
+    // Ready to track before submitting: once submitted, an error must not read as a failed swap
+    const database = createDatabase();
+    await database.initialize();
+    const orderTracker = new OrderTracker({ database, walletAddress: address, dexInterface, lucid });
+
+    const result = await venue.adapter.executeSwap(assetIn, assetOut, swap.amountIn, minimumOut, address, lucid);
+    console.log(`🎉 Swap submitted, txHash: ${result.txHash}`);
+
+    try {
+      await orderTracker.trackOrders(
+        result.txHash,
+        venue.dex,
+        [{ assetIn, assetOut, amountIn: swap.amountIn, minimumAmountOut: minimumOut }],
+        { pair: `ADA/${swap.token.symbol}`, strategy: 'manual' }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Swap ${result.txHash} was submitted but isn't tracked (${error.message}) - don't resubmit it`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Swap failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -117,6 +117,21 @@ async function testDEXConnections() {
     console.log(chalk.red.bold('\n❌ System needs configuration - check API keys and network'));
   }
   
+  // Health recorded while querying token coverage
+  console.log(chalk.white.bold('\n🩺 DEX Health:\n'));
+  console.log('─'.repeat(50));
+
+  const statusIcons = { healthy: '✅', degraded: '⚠️', down: '❌' };
+  for (const snapshot of Object.values(dexInterface.getStats().health)) {
+    const latency = snapshot.latency.p50 !== null
+      ? `p50 ${snapshot.latency.p50}ms / p95 ${snapshot.latency.p95}ms`
+      : 'no requests';
+    console.log(`${statusIcons[snapshot.status]} ${snapshot.name.padEnd(12)} ${snapshot.status.padEnd(9)} errors ${(snapshot.errorRate * 100).toFixed(0)}% | ${latency}`);
+    if (snapshot.reason) {
+      console.log(chalk.gray(`  └─ ${snapshot.reason}`));
+    }
+  }
+
   // Recommendations
   console.log(chalk.cyan.bold('\n💡 Recommendations:\n'));
   
@@ -0,0 +1,459 @@
+// DCA Scheduler - Buys a fixed ADA amount of a token on a schedule
+//
+// Every CONFIG.DCA.SCHEDULE (a node-cron expression) the scheduler spends AMOUNT_ADA on
+// CONFIG.DCA.TOKEN at the DEX with the best buy price, among the DEXs that can execute swaps.
+// A buy is skipped when its quote is above PRICE_CEILING_ADA (ADA per token unit), and the
+// scheduler stops buying once BUDGET_ADA is spent; the last buy spends what's left of it.
+//
+// Each buy is a `trades` row (strategy dca) plus an `orders` row the order tracker follows
+// on-chain. The trade is recorded as submitted and moves to filled with the tokens actually
+// received, or to failed when the order was refunded or cancelled, which frees its ADA in the
+// budget again. The average cost basis is the ADA spent on filled buys over the tokens they
+// returned. Buys carry the dca strategy so the position manager protects them once filled:
+// inside the trading bot the arbitrage loop runs it, and a scheduler running on its own (with
+// the order tracker it polls itself) runs it after each poll when CONFIG.POSITION_MANAGER.ENABLED.
+import cron from 'node-cron';
+import { NetworkId, Asset } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
+import { OrderTracker, isSettled } from "../arbitrage/order-tracker.js";
+import { PositionManager } from "./position-manager.js";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet } from "../utils/wallet.js";
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
+import { minimumAmountOut } from "../arbitrage/round-trip.js";
+
+const TRADE_STRATEGY = 'dca';
+
+export class DCAScheduler {
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} [options.dexInterface] - Shared DEX interface (created if omitted)
+   * @param {JSONDatabase|SQLiteDatabase} [options.database] - Shared database (created if omitted)
+   * @param {OrderTracker} [options.orderTracker] - Tracker some other component polls; without
+   *   one the scheduler creates and polls its own
+   * @param {Object} [options.lucid] - Lucid instance placing the buys (loaded from the mnemonic if omitted)
+   * @param {string} [options.walletAddress]
+   * @param {boolean} [options.dryRun] - Log the buys instead of submitting them
+   * @param {Object} [options.settings] - Overrides of CONFIG.DCA
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface || null;
+    this.database = options.database || createDatabase();
+    this.orderTracker = options.orderTracker || null;
+    this.lucid = options.lucid || null;
+    this.walletAddress = options.walletAddress || null;
+    this.dryRun = options.dryRun ?? CONFIG.DRY_RUN_MODE;
+    this.settings = { ...CONFIG.DCA, ...options.settings };
+    this.pollsOrders = false;
+    this.positionManager = null;
+    this.isRunning = false;
+    this.isBuying = false;
+    this.cronJob = null;
+
+    this.token = CONFIG.SUPPORTED_TOKENS[this.settings.TOKEN];
+    if (!this.token) {
+      throw new Error(`DCA token ${this.settings.TOKEN} is not in CONFIG.SUPPORTED_TOKENS`);
+    }
+    if (!cron.validate(this.settings.SCHEDULE)) {
+      throw new Error(`Invalid DCA schedule: ${this.settings.SCHEDULE}`);
+    }
+    if (!(this.settings.AMOUNT_ADA > 0) || !(this.settings.BUDGET_ADA > 0)) {
+      throw new Error(`DCA amount and budget must be positive ADA amounts (got ${this.settings.AMOUNT_ADA} and ${this.settings.BUDGET_ADA})`);
+    }
+    if (!(this.settings.MAX_SLIPPAGE >= 0 && this.settings.MAX_SLIPPAGE < 100)) {
+      throw new Error(`DCA max slippage must be a percentage from 0 to 100 (got ${this.settings.MAX_SLIPPAGE})`);
+    }
+
+    this.pair = `ADA/${this.token.symbol}`;
+  }
+
+  /**
+   * Initialize the database, DEX interface, wallet and order tracker
+   * Without a shared tracker the scheduler also protects its filled buys with its own position
+   * manager.
+   */
+  async initialize() {
+    try {
+      console.log(`🔧 Initializing DCA for ${this.pair}...`);
+
+      if (!this.database.initialized) {
+        await this.database.initialize();
+      }
+
+      if (!this.dexInterface) {
+        this.dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+      }
+      if (!this.dexInterface.isInitialized) {
+        await this.dexInterface.initialize();
+      }
+
+      if (!this.dryRun) {
+        if (!this.lucid) {
+          const wallet = await initializeWallet();
+          this.lucid = wallet.lucid;
+          this.walletAddress = wallet.address;
+        }
+
+        if (!this.orderTracker) {
+          this.orderTracker = new OrderTracker({
+            database: this.database,
+            walletAddress: this.walletAddress,
+            dexInterface: this.dexInterface,
+            lucid: this.lucid
+          });
+          this.pollsOrders = true;
+
+          if (CONFIG.POSITION_MANAGER.ENABLED) {
+            this.positionManager = new PositionManager({
+              dexInterface: this.dexInterface,
+              database: this.database,
+              orderTracker: this.orderTracker,
+              lucid: this.lucid,
+              walletAddress: this.walletAddress
+            });
+          }
+        }
+      }
+
+      console.log(`✅ DCA initialized: ${this.settings.AMOUNT_ADA} ADA of ${this.token.symbol} on "${this.settings.SCHEDULE}"`);
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to initialize DCA:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start buying on the schedule
+   */
+  start() {
+    if (this.isRunning) {
+      console.log("⚠️ DCA is already running");
+      return;
+    }
+
+    console.log(`🚀 Starting DCA with schedule: ${this.settings.SCHEDULE}`);
+
+    this.cronJob = cron.schedule(this.settings.SCHEDULE, () => {
+      this.runOnce();
+    }, {
+      scheduled: false
+    });
+
+    this.cronJob.start();
+    this.isRunning = true;
+
+    console.log("✅ DCA started");
+  }
+
+  /**
+   * Stop the schedule (a buy in progress still completes)
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log("⚠️ DCA is not running");
+      return;
+    }
+
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+
+    this.isRunning = false;
+    console.log("🛑 DCA stopped");
+  }
+
+  /**
+   * One scheduled interval: settle earlier buys, then buy
+   * Errors are logged, not thrown, so a failed interval doesn't stop the schedule.
+   * @returns {Promise<Object|null>} The trade placed, or null when the interval was skipped
+   */
+  async runOnce() {
+    if (this.isBuying) {
+      console.log("⏳ Previous DCA buy still in progress, skipping this interval");
+      return null;
+    }
+
+    this.isBuying = true;
+    try {
+      await this.settleTrades();
+      return await this.buy();
+    } catch (error) {
+      console.error("❌ DCA buy failed:", error.message);
+      return null;
+    } finally {
+      this.isBuying = false;
+    }
+  }
+
+  /**
+   * Buy AMOUNT_ADA (or what's left of the budget) of the token on the best executable DEX
+   * @returns {Promise<Object|null>} The trade record, or null when the buy was skipped
+   */
+  async buy() {
+    const remainingLovelace = await this.getRemainingBudget();
+    const intervalLovelace = toLovelace(this.settings.AMOUNT_ADA);
+    const amountIn = remainingLovelace < intervalLovelace ? remainingLovelace : intervalLovelace;
+
+    if (amountIn <= 0n) {
+      console.log(`💰 DCA budget of ${this.settings.BUDGET_ADA} ADA spent, not buying`);
+      return null;
+    }
+
+    const ada = Asset.fromString('lovelace');
+    const token = Asset.fromString(this.token.fullUnit);
+
+    // Only DEXs we can place the swap on
+    const best = await this.dexInterface.getBestBuyPrice(ada, token, {
+      excludeDEXs: this.dexInterface.getObserveOnlyDEXs()
+    });
+    const quote = await best.adapter.calculateSwapOutput(ada, token, amountIn, best.pool);
+    if (quote.amountOut <= 0n) {
+      throw new Error(`${best.dex} quotes no ${this.token.symbol} for ${formatADA(amountIn)} ADA`);
+    }
+
+    const priceADA = priceOf(amountIn, quote.amountOut);
+    const ceiling = this.settings.PRICE_CEILING_ADA;
+    if (ceiling !== null && priceADA > ceiling) {
+      console.log(`⏸️ DCA skipped: ${best.dex} quotes ${priceADA} ADA per ${this.token.symbol}, above the ${ceiling} ADA ceiling`);
+      return null;
+    }
+
+    const minimumOut = minimumAmountOut(quote.amountOut, this.settings.MAX_SLIPPAGE);
+    console.log(`🛒 DCA buy on ${best.dex}: ${formatADA(amountIn)} ADA → ≥${minimumOut} ${this.token.symbol} (${priceADA} ADA each)`);
+
+    if (this.dryRun) {
+      console.log("🏃 DRY RUN: Buy not submitted");
+      return null;
+    }
+
+    const swap = await best.adapter.executeSwap(ada, token, amountIn, minimumOut, this.walletAddress, this.lucid);
+    const [order] = await this.orderTracker.trackOrders(
+      swap.txHash,
+      best.dex,
+      [{ assetIn: ada, assetOut: token, amountIn, minimumAmountOut: minimumOut }],
+      { pair: this.pair, strategy: TRADE_STRATEGY }
+    );
+
+    const trade = await this.database.insert('trades', {
+      pair: this.pair,
+      dex: best.dex,
+      side: 'buy',
+      strategy: TRADE_STRATEGY,
+      asset: this.token.fullUnit,
+      amountIn: amountIn.toString(),
+      amountOut: minimumOut.toString(), // Replaced by the tokens received once filled
+      quotedAmountOut: quote.amountOut.toString(),
+      price: priceADA,
+      txHash: swap.txHash,
+      orderId: order.id,
+      status: 'submitted',
+      settledAt: null
+    });
+
+    console.log(`✅ DCA buy submitted, txHash: ${swap.txHash}`);
+    return trade;
+  }
+
+  /**
+   * Move submitted buys whose order settled to filled or failed
+   * When the scheduler owns the order tracker it polls it first, then lets its position manager
+   * protect the buys that filled.
+   * @returns {Promise<Array<Object>>} Trades settled in this pass
+   */
+  async settleTrades() {
+    if (this.pollsOrders) {
+      await this.orderTracker.poll();
+
+      try {
+        await this.positionManager?.process();
+      } catch (error) {
+        console.error("❌ Error processing protected positions:", error);
+      }
+    }
+
+    const settled = [];
+    for (const trade of await this.getTrades('submitted')) {
+      const [order] = trade.orderId ? await this.database.select('orders', { id: trade.orderId }) : [];
+      if (!order || !isSettled(order)) {
+        continue;
+      }
+
+      let changes;
+      switch (order.status) {
+        case 'filled':
+          changes = {
+            status: 'filled',
+            amountOut: order.amountOut,
+            price: priceOf(BigInt(trade.amountIn), BigInt(order.amountOut))
+          };
+          break;
+        case 'refunded':
+        case 'cancelled':
+        case 'expired':
+          changes = { status: 'failed', failureReason: `order ${order.status}` };
+          break;
+        default:
+          continue;
+      }
+
+      changes.settledAt = order.settledAt || Date.now();
+      await this.database.update('trades', { id: trade.id }, changes);
+      Object.assign(trade, changes);
+      settled.push(trade);
+
+      if (trade.status === 'filled') {
+        console.log(`✅ DCA buy ${trade.id} filled: ${trade.amountOut} ${this.token.symbol} for ${formatADA(BigInt(trade.amountIn))} ADA`);
+      } else {
+        console.log(`🚫 DCA buy ${trade.id} ${trade.failureReason}, its ADA is back in the budget`);
+      }
+    }
+
+    return settled;
+  }
+
+  /**
+   * DCA trades of the token, oldest first
+   * @param {string} [status] - Only trades with this status
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTrades(status = null) {
+    const trades = await this.database.select('trades', { pair: this.pair });
+    return trades
+      .filter(trade => trade.strategy === TRADE_STRATEGY && (!status || trade.status === status))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Budget left, in lovelace: BUDGET_ADA less the ADA of filled and still pending buys
+   * @returns {Promise<bigint>}
+   */
+  async getRemainingBudget() {
+    const committed = (await this.getTrades())
+      .filter(trade => trade.status !== 'failed')
+      .reduce((sum, trade) => sum + BigInt(trade.amountIn), 0n);
+    const remaining = toLovelace(this.settings.BUDGET_ADA) - committed;
+    return remaining > 0n ? remaining : 0n;
+  }
+
+  /**
+   * Average cost basis of the filled buys
+   * @returns {Promise<Object>}
+   */
+  async getCostBasis() {
+    const trades = await this.getTrades();
+    const filled = trades.filter(trade => trade.status === 'filled');
+    const spentLovelace = filled.reduce((sum, trade) => sum + BigInt(trade.amountIn), 0n);
+    const tokens = filled.reduce((sum, trade) => sum + BigInt(trade.amountOut), 0n);
+
+    return {
+      pair: this.pair,
+      buys: filled.length,
+      pendingBuys: trades.filter(trade => trade.status === 'submitted').length,
+      failedBuys: trades.filter(trade => trade.status === 'failed').length,
+      spentADA: Number(spentLovelace) / LOVELACE_PER_ADA,
+      tokens,
+      averagePriceADA: tokens > 0n ? priceOf(spentLovelace, tokens) : null,
+      remainingBudgetADA: Number(await this.getRemainingBudget()) / LOVELACE_PER_ADA
+    };
+  }
+
+  /**
+   * Print the cost basis report
+   */
+  async printReport() {
+    const basis = await this.getCostBasis();
+
+    console.log(`\n📈 DCA ${basis.pair}`);
+    console.log(`   Schedule: ${this.settings.SCHEDULE}, ${this.settings.AMOUNT_ADA} ADA per buy`);
+    console.log(`   Filled buys: ${basis.buys} (${basis.pendingBuys} pending, ${basis.failedBuys} failed)`);
+    console.log(`   Spent: ${basis.spentADA.toFixed(6)} ADA for ${basis.tokens} ${this.token.symbol}`);
+    console.log(`   Average cost: ${basis.averagePriceADA === null ? 'n/a' : `${basis.averagePriceADA} ADA per ${this.token.symbol}`}`);
+    console.log(`   Budget left: ${basis.remainingBudgetADA.toFixed(6)} of ${this.settings.BUDGET_ADA} ADA`);
+    return basis;
+  }
+}
+
+/**
+ * ADA amount in whole lovelace
+ * @private
+ */
+function toLovelace(ada) {
+  return BigInt(Math.round(ada * LOVELACE_PER_ADA));
+}
+
+/**
+ * @private
+ */
+function formatADA(lovelace) {
+  return (Number(lovelace) / LOVELACE_PER_ADA).toFixed(6);
+}
+
+/**
+ * ADA per token unit paid for tokens bought with lovelace
+ * @private
+ */
+function priceOf(lovelace, tokens) {
+  return Number(lovelace) / LOVELACE_PER_ADA / Number(tokens);
+}
+
+// CLI functionality if run directly
+async function main() {
+  const [command] = process.argv.slice(2);
+
+  if (!['start', 'buy', 'status'].includes(command)) {
+    console.log("Usage:");
+    console.log("  node src/trading/dca.js start   - Buy on CONFIG.DCA.SCHEDULE until stopped");
+    console.log("  node src/trading/dca.js buy     - Buy once now");
+    console.log("  node src/trading/dca.js status  - Settle pending buys and show the cost basis");
+    console.log("");
+    console.log("Set DRY_RUN=true to quote and log buys without submitting them");
+    process.exit(1);
+  }
+
+  try {
+    const dca = new DCAScheduler();
+    await dca.initialize();
+
+    switch (command) {
+      case 'start':
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.on(signal, async () => {
+            dca.stop();
+            await dca.printReport();
+            process.exit(0);
+          });
+        }
+
+        dca.start();
+        console.log("Press Ctrl+C to stop");
+        break;
+
+      case 'buy':
+        await dca.runOnce();
+        await dca.printReport();
+        process.exit(0);
+        break;
+
+      case 'status':
+        if (!dca.dryRun) {
+          await dca.settleTrades();
+        }
+        await dca.printReport();
+        process.exit(0);
+        break;
+    }
+  } catch (error) {
+    console.error("❌ DCA command failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default DCAScheduler;
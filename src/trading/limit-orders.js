@@ -0,0 +1,365 @@
+// Limit Orders - Resting buy and sell orders at target prices
+//
+// A limit order is placed on CONFIG.LIMIT_ORDERS.DEX as the DEX's own limit order, which its
+// batchers fill only once the pool pays the limit price. Each order is a `positions` row
+// (source limit_order) plus an `orders` row that the order tracker follows on-chain. Positions
+// move from open to:
+//   filled    - a batcher filled the order at the limit price or better
+//   cancelled - cancelled before its expiry (cancel command) or refunded
+//   expired   - reached its expiry unfilled and was cancelled
+//   failed    - the order transaction never made it on-chain
+// Every order gets an expiry (CONFIG.LIMIT_ORDERS.DEFAULT_EXPIRY unless one is given); the bot
+// loop cancels expired orders when AUTO_CANCEL_EXPIRED is set.
+//
+// Prices are ADA per token unit (the token's smallest unit). DEX adapters take the limit as
+// base units of the output asset per input asset, which place() converts to.
+import { NetworkId, Asset } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
+import { OrderTracker, isSettled } from "../arbitrage/order-tracker.js";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet } from "../utils/wallet.js";
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA } from "../utils/units.js";
+import { selectPositions, updatePosition } from "./positions.js";
+
+export const LIMIT_ORDER_SIDES = ['buy', 'sell'];
+
+const POSITION_SOURCE = 'limit_order';
+
+export class LimitOrderManager {
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} options.dexInterface
+   * @param {JSONDatabase|SQLiteDatabase} options.database - Initialized database
+   * @param {OrderTracker} options.orderTracker - Follows and cancels the orders
+   * @param {Object} options.lucid - Lucid instance placing the orders
+   * @param {string} options.walletAddress
+   * @param {Object} [options.settings] - Overrides of CONFIG.LIMIT_ORDERS
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface;
+    this.database = options.database;
+    this.orderTracker = options.orderTracker;
+    this.lucid = options.lucid;
+    this.walletAddress = options.walletAddress;
+    this.settings = { ...CONFIG.LIMIT_ORDERS, ...options.settings };
+  }
+
+  /**
+   * Place a limit order and record its position
+   * @param {Object} params
+   * @param {string} params.side - buy (ADA → token) or sell (token → ADA)
+   * @param {Object} params.token - Token definition from CONFIG.SUPPORTED_TOKENS ({fullUnit, symbol})
+   * @param {bigint} params.amount - Amount spent: lovelace for a buy, token units for a sell
+   * @param {number} params.priceADA - Limit price in ADA per token unit
+   * @param {number} [params.expiry] - Expiry timestamp (ms), defaults to DEFAULT_EXPIRY from now
+   * @param {string} [params.dex] - Defaults to CONFIG.LIMIT_ORDERS.DEX
+   * @returns {Promise<Object>} The position record
+   */
+  async place({ side, token, amount, priceADA, expiry = null, dex = this.settings.DEX }) {
+    if (!LIMIT_ORDER_SIDES.includes(side)) {
+      throw new Error(`Unknown limit order side "${side}" (use ${LIMIT_ORDER_SIDES.join(' or ')})`);
+    }
+    if (!(priceADA > 0)) {
+      throw new Error(`Limit price must be a positive ADA amount, got ${priceADA}`);
+    }
+
+    const adapter = this._limitOrderAdapter(dex);
+    const ada = Asset.fromString("lovelace");
+    const tokenAsset = Asset.fromString(token.fullUnit);
+    const [assetIn, assetOut] = side === 'buy' ? [ada, tokenAsset] : [tokenAsset, ada];
+    const lovelacePerToken = priceADA * LOVELACE_PER_ADA;
+    const limitPrice = side === 'buy' ? 1 / lovelacePerToken : lovelacePerToken;
+    const expiresAt = expiry ?? Date.now() + this.settings.DEFAULT_EXPIRY;
+
+    const { txHash, minimumAmountOut } = await adapter.placeLimitOrder(
+      assetIn, assetOut, amount, limitPrice, expiresAt, this.walletAddress, this.lucid
+    );
+
+    const pair = `ADA/${token.symbol}`;
+    const position = await this.database.insert('positions', {
+      source: POSITION_SOURCE,
+      pair,
+      dex,
+      side,
+      status: 'open',
+      asset: token.fullUnit,
+      amount: amount.toString(),
+      minimumAmountOut: minimumAmountOut.toString(),
+      entryPrice: limitPrice, // Output per input in base units, like DEX prices
+      limitPriceADA: priceADA,
+      txHash,
+      orderId: null,
+      openedAt: Date.now(),
+      expiresAt,
+      amountOut: null,
+      closedAt: null,
+      closeReason: null
+    });
+
+    const [order] = await this.orderTracker.trackOrders(
+      txHash,
+      dex,
+      [{ assetIn, assetOut, amountIn: amount, minimumAmountOut }],
+      { pair, strategy: 'limit', resting: true, positionId: position.id, expiresAt }
+    );
+    await updatePosition(this.database, position, { orderId: order.id });
+
+    console.log(`📌 Limit ${side} ${position.id}: ${this.describe(position)}, expires ${new Date(expiresAt).toISOString()}`);
+    return position;
+  }
+
+  /**
+   * Open limit order positions, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOpenPositions() {
+    return await selectPositions(this.database, POSITION_SOURCE);
+  }
+
+  /**
+   * Close positions whose orders settled and cancel expired ones
+   * A fill shows up here once OrderTracker.poll() has recorded it in the order's row.
+   * @returns {Promise<Array<Object>>} Positions closed in this pass
+   */
+  async processOpenOrders() {
+    const closed = [];
+    const expired = [];
+    const now = Date.now();
+
+    for (const position of await this.getOpenPositions()) {
+      const order = await this._order(position);
+      if (!order) {
+        console.warn(`⚠️ Limit order position ${position.id} has no tracked order`);
+        continue;
+      }
+
+      if (await this._closeIfSettled(position, order)) {
+        closed.push(position);
+        continue;
+      }
+
+      if (this.settings.AUTO_CANCEL_EXPIRED && order.status === 'on_chain' && now >= position.expiresAt &&
+          !this.orderTracker.isCancelPending(order, now)) {
+        expired.push({ position, order });
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`⌛ Cancelling ${expired.length} expired limit order(s)`);
+      await this.orderTracker.cancelOrders(expired.map(({ order }) => order));
+      for (const { position, order } of expired.filter(({ order }) => order.cancelTxHash)) {
+        await updatePosition(this.database, position, { cancelTxHash: order.cancelTxHash, closeReason: 'expired' });
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Cancel an open limit order before its expiry
+   * The position closes as cancelled once the tracker sees the cancel transaction settle.
+   * @param {string|number} positionId
+   * @returns {Promise<string>} Cancel transaction hash
+   */
+  async cancel(positionId) {
+    const [position] = await this.database.select('positions', { id: positionId });
+    if (!position || position.source !== POSITION_SOURCE) {
+      throw new Error(`No limit order position ${positionId}`);
+    }
+    if (position.status !== 'open') {
+      throw new Error(`Limit order position ${positionId} is already ${position.status}`);
+    }
+
+    const order = await this._order(position);
+    if (order?.status !== 'on_chain') {
+      throw new Error(`Limit order ${positionId} isn't on-chain yet (order ${order?.status || 'missing'}) - try again shortly`);
+    }
+
+    const [txHash] = await this.orderTracker.cancelOrders([order]);
+    if (!txHash) {
+      throw new Error(`Limit order ${positionId} on ${position.dex} could not be cancelled`);
+    }
+
+    await updatePosition(this.database, position, { cancelTxHash: txHash, closeReason: 'cancelled' });
+    return txHash;
+  }
+
+  /**
+   * One-line summary of a limit order position
+   * @param {Object} position
+   * @returns {string}
+   */
+  describe(position) {
+    const token = position.pair.split('/')[1];
+    const spent = position.side === 'buy'
+      ? `${(Number(position.amount) / LOVELACE_PER_ADA).toFixed(6)} ADA → ${token}`
+      : `${position.amount} ${token} → ADA`;
+    return `${spent} at ${position.limitPriceADA} ADA/${token} on ${position.dex}`;
+  }
+
+  /**
+   * Close a position whose order reached a final state
+   * @private
+   */
+  async _closeIfSettled(position, order) {
+    if (!isSettled(order)) {
+      return false;
+    }
+
+    const settledAt = order.settledAt || Date.now();
+    let status;
+
+    switch (order.status) {
+      case 'filled':
+        status = 'filled';
+        break;
+      case 'cancelled':
+      case 'refunded':
+        // Expired orders may also be cancelled by a batcher claiming the cancellation tip
+        status = position.closeReason === 'expired' || settledAt >= position.expiresAt ? 'expired' : 'cancelled';
+        break;
+      case 'expired':
+        status = 'failed';
+        break;
+      default:
+        return false;
+    }
+
+    // Lovelace payouts aren't read exactly (see order-tracker.js); the limit is what was guaranteed
+    const amountOut = status === 'filled' ? order.amountOut ?? position.minimumAmountOut : null;
+    await updatePosition(this.database, position, {
+      status,
+      amountOut,
+      settlementTxHash: order.settlementTxHash || null,
+      closedAt: settledAt,
+      closeReason: position.closeReason || order.status
+    });
+
+    const icon = { filled: '✅', cancelled: '🚫', expired: '⌛', failed: '❌' }[status];
+    console.log(`${icon} Limit ${position.side} ${position.id} ${status}: ${this.describe(position)}`);
+    return true;
+  }
+
+  /**
+   * Adapter of a DEX that can place limit orders
+   * @private
+   */
+  _limitOrderAdapter(dex) {
+    if (!this.dexInterface.getEnabledDEXs().includes(dex)) {
+      throw new Error(`DEX ${dex} is not available`);
+    }
+
+    const adapter = this.dexInterface.getDEXAdapter(dex);
+    if (!adapter.hasCapability('limitOrders')) {
+      throw new Error(`${dex} can't place limit orders`);
+    }
+    return adapter;
+  }
+
+  /**
+   * @private
+   */
+  async _order(position) {
+    if (position.orderId === null || position.orderId === undefined) {
+      return null;
+    }
+    const [order] = await this.database.select('orders', { id: position.orderId });
+    return order || null;
+  }
+}
+
+/**
+ * Token definition from a CONFIG.SUPPORTED_TOKENS symbol
+ * @private
+ */
+function findToken(symbol) {
+  const token = CONFIG.SUPPORTED_TOKENS[symbol?.toUpperCase()];
+  if (!token) {
+    throw new Error(`Unknown token ${symbol} (use one of ${Object.keys(CONFIG.SUPPORTED_TOKENS).join(', ')})`);
+  }
+  return token;
+}
+
+// CLI functionality if run directly
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['buy', 'sell', 'list', 'cancel', 'process'].includes(command)) {
+    console.log("Usage:");
+    console.log("  node src/trading/limit-orders.js buy <TOKEN> <ADA> <price> [hours]     - Limit buy, price in ADA per token unit");
+    console.log("  node src/trading/limit-orders.js sell <TOKEN> <units> <price> [hours]  - Limit sell token units");
+    console.log("  node src/trading/limit-orders.js list                                  - Show open limit orders");
+    console.log("  node src/trading/limit-orders.js cancel <positionId>                   - Cancel an open limit order");
+    console.log("  node src/trading/limit-orders.js process                               - Update fills and cancel expired orders");
+    process.exit(1);
+  }
+
+  try {
+    const database = createDatabase();
+    await database.initialize();
+
+    if (command === 'list') {
+      const manager = new LimitOrderManager({ database });
+      const positions = await manager.getOpenPositions();
+      console.log(`📌 ${positions.length} open limit order(s)`);
+      for (const position of positions) {
+        console.log(`   ${position.id}: ${position.side} ${manager.describe(position)}, expires ${new Date(position.expiresAt).toISOString()}` +
+          (position.cancelTxHash ? `, cancel ${position.cancelTxHash}` : ''));
+      }
+      process.exit(0);
+    }
+
+    const dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    await dexInterface.initialize();
+
+    const { lucid, address } = await initializeWallet();
+    const orderTracker = new OrderTracker({ database, walletAddress: address, dexInterface, lucid });
+    const manager = new LimitOrderManager({ dexInterface, database, orderTracker, lucid, walletAddress: address });
+
+    switch (command) {
+      case 'buy':
+      case 'sell': {
+        const [symbol, amount, price, hours] = args;
+        if (!symbol || !amount || !price) {
+          throw new Error(`Usage: ${command} <TOKEN> <amount> <price> [hours]`);
+        }
+        await manager.place({
+          side: command,
+          token: findToken(symbol),
+          amount: command === 'buy' ? BigInt(Math.round(Number(amount) * LOVELACE_PER_ADA)) : BigInt(amount),
+          priceADA: Number(price),
+          expiry: hours ? Date.now() + Number(hours) * 60 * 60 * 1000 : null
+        });
+        break;
+      }
+
+      case 'cancel': {
+        if (!args[0]) {
+          throw new Error("Name the limit order position to cancel");
+        }
+        await manager.cancel(args[0]);
+        break;
+      }
+
+      case 'process': {
+        await orderTracker.poll();
+        const closed = await manager.processOpenOrders();
+        console.log(`✅ ${closed.length} limit order(s) closed`);
+        break;
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Limit order command failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default LimitOrderManager;
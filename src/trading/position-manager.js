@@ -0,0 +1,393 @@
+// Position Manager - Protects token buys with on-chain stop-loss / take-profit orders
+//
+// Every filled buy the bot placed outside of arbitrage (ADA → token orders whose context strategy
+// is in CONFIG.POSITION_MANAGER.PROTECTED_STRATEGIES: limit buys, DCA buys, manual swaps) becomes
+// a `positions` row (source protected_buy) with one DEX order selling the tokens back to ADA:
+//   OCO       - fills once the tokens sell for the ADA spent plus TAKE_PROFIT_PERCENT (take
+//               profit), or for the ADA spent plus STOP_LOSS_PERCENT (negative, stop loss)
+//   stop-loss - placed instead of the OCO when TAKE_PROFIT_PERCENT is null
+// The order rests at the DEX until it triggers, so CONFIG.STOP_LOSS_PERCENT is enforced on-chain
+// rather than by a bot that has to be running. Positions close as take_profit or stop_loss when
+// the order fills, as cancelled when it's cancelled, or failed when it never made it on-chain.
+//
+// A filled OCO doesn't say which side triggered. The payout tells: the ADA received (the lovelace
+// returned less the order's deposit) is compared to the midpoint of the two triggers.
+import { NetworkId, Asset } from "@minswap/sdk";
+import { UnifiedDEXInterface } from "../dex/unified-dex-interface.js";
+import { OrderTracker, isSettled, lovelaceProceeds } from "../arbitrage/order-tracker.js";
+import { createDatabase } from "../utils/database.js";
+import { initializeWallet } from "../utils/wallet.js";
+import { CONFIG } from "../config/index.js";
+import { LOVELACE_PER_ADA, tokenSymbol } from "../utils/units.js";
+import { selectPositions, updatePosition } from "./positions.js";
+
+const POSITION_SOURCE = 'protected_buy';
+
+export class PositionManager {
+  /**
+   * @param {Object} options
+   * @param {UnifiedDEXInterface} options.dexInterface
+   * @param {JSONDatabase|SQLiteDatabase} options.database - Initialized database
+   * @param {OrderTracker} options.orderTracker - Follows and cancels the protective orders
+   * @param {Object} options.lucid - Lucid instance placing the orders
+   * @param {string} options.walletAddress
+   * @param {Object} [options.settings] - Overrides of CONFIG.POSITION_MANAGER, STOP_LOSS_PERCENT
+   *   and TAKE_PROFIT_PERCENT
+   */
+  constructor(options = {}) {
+    this.dexInterface = options.dexInterface;
+    this.database = options.database;
+    this.orderTracker = options.orderTracker;
+    this.lucid = options.lucid;
+    this.walletAddress = options.walletAddress;
+    this.settings = {
+      ...CONFIG.POSITION_MANAGER,
+      STOP_LOSS_PERCENT: CONFIG.STOP_LOSS_PERCENT,
+      TAKE_PROFIT_PERCENT: CONFIG.TAKE_PROFIT_PERCENT,
+      ...options.settings
+    };
+
+    if (!(this.settings.STOP_LOSS_PERCENT < 0 && this.settings.STOP_LOSS_PERCENT > -1)) {
+      throw new Error(`STOP_LOSS_PERCENT must be a negative fraction, e.g. -0.02 (got ${this.settings.STOP_LOSS_PERCENT})`);
+    }
+    if (this.settings.TAKE_PROFIT_PERCENT !== null && !(this.settings.TAKE_PROFIT_PERCENT > 0)) {
+      throw new Error(`TAKE_PROFIT_PERCENT must be a positive fraction or null (got ${this.settings.TAKE_PROFIT_PERCENT})`);
+    }
+  }
+
+  /**
+   * Protect new fills and close positions whose protective order settled
+   * Both steps go by the `orders` rows; the bot loop polls the tracker right before this.
+   * @returns {Promise<Array<Object>>} Positions closed in this pass
+   */
+  async process() {
+    await this.protectFilledBuys();
+    return await this.processOpenPositions();
+  }
+
+  /**
+   * Attach a protective order to every recently filled buy that doesn't have one yet
+   * @returns {Promise<Array<Object>>} Positions opened
+   */
+  async protectFilledBuys() {
+    const opened = [];
+    const since = Date.now() - this.settings.PROTECT_WINDOW;
+    const buys = (await this.database.select('orders', { status: 'filled' })).filter(order =>
+      order.assetIn === 'lovelace' &&
+      this.settings.PROTECTED_STRATEGIES.includes(order.context?.strategy) &&
+      !order.protectionPositionId &&
+      order.settledAt >= since &&
+      BigInt(order.amountOut || 0) > 0n
+    );
+
+    for (const buy of buys) {
+      try {
+        const position = await this.protect({
+          asset: buy.assetOut,
+          amount: BigInt(buy.amountOut),
+          costLovelace: BigInt(buy.amountIn),
+          dex: buy.dex,
+          pair: buy.context.pair,
+          buyOrderId: buy.id
+        });
+        await this.database.update('orders', { id: buy.id }, { protectionPositionId: position.id });
+        opened.push(position);
+      } catch (error) {
+        console.error(`❌ Couldn't protect buy order ${buy.id}:`, error.message);
+      }
+    }
+
+    return opened;
+  }
+
+  /**
+   * Place the protective order for tokens held and record the position
+   * @param {Object} params
+   * @param {string} params.asset - Unit of the token held
+   * @param {bigint} params.amount - Tokens to protect
+   * @param {bigint} params.costLovelace - ADA spent on them; the triggers are relative to it
+   * @param {string} [params.dex] - DEX of the buy, used when it supports stop orders
+   * @param {string} [params.pair]
+   * @param {string|number} [params.buyOrderId] - Order that bought the tokens
+   * @returns {Promise<Object>} The position record
+   */
+  async protect({ asset, amount, costLovelace, dex = null, pair = null, buyOrderId = null }) {
+    const adapter = this._stopOrderAdapter(dex);
+    const assetIn = Asset.fromString(asset);
+    const assetOut = Asset.fromString("lovelace");
+    const stopAmount = scale(costLovelace, 1 + this.settings.STOP_LOSS_PERCENT);
+    const limitAmount = this.settings.TAKE_PROFIT_PERCENT === null ? null : scale(costLovelace, 1 + this.settings.TAKE_PROFIT_PERCENT);
+
+    const { txHash } = limitAmount === null
+      ? await adapter.placeStopLoss(assetIn, assetOut, amount, stopAmount, this.walletAddress, this.lucid)
+      : await adapter.placeOCO(assetIn, assetOut, amount, limitAmount, stopAmount, this.walletAddress, this.lucid);
+
+    pair = pair || `ADA/${tokenSymbol(asset)}`;
+    const position = await this.database.insert('positions', {
+      source: POSITION_SOURCE,
+      pair,
+      dex: adapter.name,
+      status: 'open',
+      asset,
+      amount: amount.toString(),
+      costLovelace: costLovelace.toString(),
+      entryPrice: Number(amount) / Number(costLovelace), // Tokens per lovelace, like DEX prices
+      orderType: limitAmount === null ? 'stop_loss' : 'oco',
+      stopAmount: stopAmount.toString(),
+      limitAmount: limitAmount === null ? null : limitAmount.toString(),
+      buyOrderId,
+      txHash,
+      orderId: null,
+      openedAt: Date.now(),
+      proceedsLovelace: null,
+      realizedPnLADA: null,
+      closedAt: null,
+      closeReason: null
+    });
+
+    const [order] = await this.orderTracker.trackOrders(
+      txHash,
+      adapter.name,
+      [{ assetIn, assetOut, amountIn: amount, minimumAmountOut: stopAmount }],
+      { pair, strategy: 'protection', resting: true, positionId: position.id }
+    );
+    await updatePosition(this.database, position, { orderId: order.id });
+
+    console.log(`🛡️ Protected ${this.describe(position)}`);
+    return position;
+  }
+
+  /**
+   * Open protected positions, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOpenPositions() {
+    return await selectPositions(this.database, POSITION_SOURCE);
+  }
+
+  /**
+   * Close positions whose protective order reached a final state
+   * @returns {Promise<Array<Object>>} Positions closed in this pass
+   */
+  async processOpenPositions() {
+    const closed = [];
+
+    for (const position of await this.getOpenPositions()) {
+      try {
+        const [order] = position.orderId ? await this.database.select('orders', { id: position.orderId }) : [];
+        if (order && await this._closeIfSettled(position, order)) {
+          closed.push(position);
+        }
+      } catch (error) {
+        console.error(`❌ Error checking protected position ${position.id}:`, error);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Cancel the protective order of a position, e.g. to sell the tokens some other way
+   * @param {string|number} positionId
+   * @returns {Promise<string>} Cancel transaction hash
+   */
+  async cancel(positionId) {
+    const [position] = await this.database.select('positions', { id: positionId });
+    if (!position || position.source !== POSITION_SOURCE || position.status !== 'open') {
+      throw new Error(`No open protected position ${positionId}`);
+    }
+
+    const [order] = await this.database.select('orders', { id: position.orderId });
+    if (order?.status !== 'on_chain') {
+      throw new Error(`Protective order of ${positionId} isn't on-chain yet (order ${order?.status || 'missing'}) - try again shortly`);
+    }
+
+    const [txHash] = await this.orderTracker.cancelOrders([order]);
+    if (!txHash) {
+      throw new Error(`Protective order of ${positionId} on ${position.dex} could not be cancelled`);
+    }
+    return txHash;
+  }
+
+  /**
+   * One-line summary of a protected position
+   * @param {Object} position
+   * @returns {string}
+   */
+  describe(position) {
+    const cost = Number(position.costLovelace) / LOVELACE_PER_ADA;
+    const stop = Number(position.stopAmount) / LOVELACE_PER_ADA;
+    const target = position.limitAmount === null ? 'none' : `${(Number(position.limitAmount) / LOVELACE_PER_ADA).toFixed(6)} ADA`;
+    return `${position.amount} ${tokenSymbol(position.asset)} bought for ${cost.toFixed(6)} ADA on ${position.dex}: ` +
+      `stop ${stop.toFixed(6)} ADA, take profit ${target}`;
+  }
+
+  /**
+   * @private
+   */
+  async _closeIfSettled(position, order) {
+    if (!isSettled(order)) {
+      return false;
+    }
+
+    let changes;
+    switch (order.status) {
+      case 'filled': {
+        const proceeds = this._proceeds(position, order);
+        const midpoint = position.limitAmount === null
+          ? null
+          : (BigInt(position.stopAmount) + BigInt(position.limitAmount)) / 2n;
+        changes = {
+          status: 'closed',
+          closeReason: midpoint !== null && proceeds >= midpoint ? 'take_profit' : 'stop_loss',
+          proceedsLovelace: proceeds.toString(),
+          realizedPnLADA: Number(proceeds - BigInt(position.costLovelace)) / LOVELACE_PER_ADA
+        };
+        break;
+      }
+      case 'cancelled':
+      case 'refunded':
+        changes = { status: 'cancelled', closeReason: order.status };
+        break;
+      case 'expired':
+        changes = { status: 'failed', closeReason: 'order never made it on-chain' };
+        break;
+      default:
+        return false;
+    }
+
+    await updatePosition(this.database, position, {
+      ...changes,
+      settlementTxHash: order.settlementTxHash || null,
+      closedAt: order.settledAt || Date.now()
+    });
+
+    const icon = { take_profit: '🎯', stop_loss: '🛑' }[position.closeReason] || '🚫';
+    console.log(`${icon} Protected position ${position.id} ${position.closeReason}` +
+      (position.realizedPnLADA !== null ? `: ${position.realizedPnLADA >= 0 ? '+' : ''}${position.realizedPnLADA.toFixed(6)} ADA` : ''));
+    return true;
+  }
+
+  /**
+   * ADA a filled protective order paid, in lovelace
+   * @private
+   */
+  _proceeds(position, order) {
+    return lovelaceProceeds(order, this._feeStructure(position.dex).batcherFee);
+  }
+
+  /**
+   * @private
+   */
+  _feeStructure(dex) {
+    return this.dexInterface.getEnabledDEXs().includes(dex)
+      ? this.dexInterface.getDEXAdapter(dex).getFeeStructure()
+      : { batcherFee: 0 };
+  }
+
+  /**
+   * Adapter placing the protective order: the buy's DEX when it supports stop orders, else
+   * CONFIG.POSITION_MANAGER.DEX
+   * @private
+   */
+  _stopOrderAdapter(dex) {
+    for (const candidate of [dex, this.settings.DEX]) {
+      if (!candidate || !this.dexInterface.getEnabledDEXs().includes(candidate)) {
+        continue;
+      }
+      const adapter = this.dexInterface.getDEXAdapter(candidate);
+      if (adapter.hasCapability('stopOrders')) {
+        return adapter;
+      }
+    }
+
+    throw new Error(`No available DEX can place stop orders (tried ${[dex, this.settings.DEX].filter(Boolean).join(', ')})`);
+  }
+}
+
+/**
+ * Lovelace amount times a factor, rounded down to whole lovelace
+ * @private
+ */
+function scale(lovelace, factor) {
+  return BigInt(lovelace) * BigInt(Math.round(factor * LOVELACE_PER_ADA)) / BigInt(LOVELACE_PER_ADA);
+}
+
+// CLI functionality if run directly
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['protect', 'list', 'cancel', 'process'].includes(command)) {
+    console.log("Usage:");
+    console.log("  node src/trading/position-manager.js protect <TOKEN> <units> <cost ADA>  - Protect tokens already held");
+    console.log("  node src/trading/position-manager.js list                               - Show protected positions");
+    console.log("  node src/trading/position-manager.js cancel <positionId>                - Cancel a protective order");
+    console.log("  node src/trading/position-manager.js process                            - Protect new buys, close settled positions");
+    process.exit(1);
+  }
+
+  try {
+    const database = createDatabase();
+    await database.initialize();
+
+    if (command === 'list') {
+      const manager = new PositionManager({ database });
+      const positions = await manager.getOpenPositions();
+      console.log(`🛡️ ${positions.length} protected position(s)`);
+      for (const position of positions) {
+        console.log(`   ${position.id}: ${manager.describe(position)}`);
+      }
+      process.exit(0);
+    }
+
+    const dexInterface = new UnifiedDEXInterface(NetworkId.MAINNET, CONFIG.BF_PROJECT_ID);
+    await dexInterface.initialize();
+
+    const { lucid, address } = await initializeWallet();
+    const orderTracker = new OrderTracker({ database, walletAddress: address, dexInterface, lucid });
+    const manager = new PositionManager({ dexInterface, database, orderTracker, lucid, walletAddress: address });
+
+    switch (command) {
+      case 'protect': {
+        const [symbol, units, costADA] = args;
+        const token = CONFIG.SUPPORTED_TOKENS[symbol?.toUpperCase()];
+        if (!token || !units || !costADA) {
+          throw new Error("Usage: protect <TOKEN> <units> <cost ADA>");
+        }
+        await manager.protect({
+          asset: token.fullUnit,
+          amount: BigInt(units),
+          costLovelace: BigInt(Math.round(Number(costADA) * LOVELACE_PER_ADA))
+        });
+        break;
+      }
+
+      case 'cancel': {
+        if (!args[0]) {
+          throw new Error("Name the protected position to cancel");
+        }
+        await manager.cancel(args[0]);
+        break;
+      }
+
+      case 'process': {
+        await orderTracker.poll();
+        const closed = await manager.process();
+        console.log(`✅ ${closed.length} protected position(s) closed`);
+        break;
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Position command failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default PositionManager;
@@ -0,0 +1,32 @@
+// Positions - The `positions` table, shared by everything that holds tokens for a while
+//
+// Each row belongs to the module that opened it, named by its source:
+//   arbitrage_recovery - tokens left by a failed arbitrage leg (src/arbitrage/inventory-recovery.js)
+//   limit_order        - a resting limit order (limit-orders.js)
+//   protected_buy      - a buy guarded by a stop-loss / OCO order (position-manager.js)
+// Every owner stamps openedAt when it inserts a row and changes it only through updatePosition().
+
+/**
+ * One owner's positions with a status, oldest first
+ * @param {JSONDatabase|SQLiteDatabase} database
+ * @param {string} source - The owner's source name
+ * @param {string} [status]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function selectPositions(database, source, status = 'open') {
+  const positions = await database.select('positions', { status });
+  return positions
+    .filter(position => position.source === source)
+    .sort((a, b) => a.openedAt - b.openedAt);
+}
+
+/**
+ * Write changes to a position and apply them to the record in hand
+ * @param {JSONDatabase|SQLiteDatabase} database
+ * @param {Object} position
+ * @param {Object} changes
+ */
+export async function updatePosition(database, position, changes) {
+  await database.update('positions', { id: position.id }, changes);
+  Object.assign(position, changes);
+}
@@ -0,0 +1,29 @@
+// Database factory - Selects the storage backend configured in CONFIG.DATABASE_BACKEND
+import { CONFIG } from '../config/index.js';
+import { JSONDatabase } from './json-database.js';
+import { SQLiteDatabase } from './sqlite-database.js';
+
+export const DATABASE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Create an (uninitialized) trading database
+ * @param {Object} options
+ * @param {string} [options.backend] - 'json' or 'sqlite' (defaults to CONFIG.DATABASE_BACKEND)
+ * @param {string} [options.location] - Data directory (json) or database file (sqlite)
+ * @param {boolean} [options.autoMigrate=true] - Apply pending schema migrations in initialize()
+ * @returns {JSONDatabase|SQLiteDatabase}
+ */
+export function createDatabase(options = {}) {
+  const backend = options.backend || CONFIG.DATABASE_BACKEND;
+
+  switch (backend) {
+    case 'json':
+      return new JSONDatabase(options.location || CONFIG.DATA_DIR, options);
+    case 'sqlite':
+      return new SQLiteDatabase(options.location || CONFIG.DATABASE_PATH, options);
+    default:
+      throw new Error(`Unknown database backend '${backend}' (expected one of: ${DATABASE_BACKENDS.join(', ')})`);
+  }
+}
+
+export default createDatabase;
@@ -0,0 +1,87 @@
+// JSON → SQLite importer - Copies every table of a JSON data directory into the SQLite database
+//
+// Records keep their ids, so the import can be re-run safely: records already present are skipped.
+import { CONFIG } from '../config/index.js';
+import { JSONDatabase, DATABASE_TABLES } from './json-database.js';
+import { SQLiteDatabase } from './sqlite-database.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Import all JSON tables into SQLite
+ * @param {string} dataDir - JSON data directory
+ * @param {string} dbPath - SQLite database file
+ * @returns {Promise<Object<string, {read: number, imported: number}>>} Counts per table
+ */
+export async function importJSONDatabase(dataDir = CONFIG.DATA_DIR, dbPath = CONFIG.DATABASE_PATH) {
+  console.log(`📥 Importing JSON tables from ${dataDir} into ${dbPath}...`);
+
+  // Bring the JSON data up to the current schema first, so SQLite only ever holds current records
+  const source = new JSONDatabase(dataDir);
+  const target = new SQLiteDatabase(dbPath, { autoMigrate: false });
+  await source.initialize();
+  await target.initialize();
+
+  const summary = {};
+
+  try {
+    for (const table of DATABASE_TABLES) {
+      summary[table] = await importTable(source, target, table);
+      console.log(`  ${table.padEnd(26)} ${summary[table].imported} imported (${summary[table].read} read)`);
+    }
+
+    const version = await source.getSchemaVersion();
+    if (version > await target.getSchemaVersion()) {
+      await target.setSchemaVersion(version, 'import-json-database');
+    }
+
+    console.log("✅ Import completed");
+    return summary;
+  } finally {
+    await target.close();
+  }
+}
+
+/**
+ * Copy one table a day at a time, so months of price history never sit in memory at once
+ * @private
+ */
+async function importTable(source, target, table) {
+  const { oldestRecord, newestRecord } = await source.getTableStats(table);
+  const counts = { read: 0, imported: 0 };
+
+  if (!oldestRecord) {
+    return counts;
+  }
+
+  for (let start = oldestRecord.getTime(); start <= newestRecord.getTime(); start += ONE_DAY) {
+    const records = await source.selectByTimeRange(table, start, Math.min(start + ONE_DAY - 1, newestRecord.getTime()));
+    counts.read += records.length;
+    counts.imported += await target.importRecords(table, records);
+  }
+
+  return counts;
+}
+
+// CLI functionality if run directly
+async function main() {
+  const args = process.argv.slice(2);
+  const dataDir = args[0] || CONFIG.DATA_DIR;
+  const dbPath = args[1] || CONFIG.DATABASE_PATH;
+
+  try {
+    await importJSONDatabase(dataDir, dbPath);
+    console.log("\n💡 Set DATABASE_BACKEND=sqlite in .env to run the bot on the SQLite database");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Import failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default importJSONDatabase;
@@ -0,0 +1,386 @@
+// Time-partitioned, indexed view over TableStore files
+//
+// A table is either a single JSONL file or, with partitionBy 'day', one file per UTC day
+// (data/<table>/YYYY-MM-DD.jsonl), so time-range queries only open the days they cover.
+// Recently used partitions stay in memory together with their secondary indexes; because
+// partitions are append-only, a cached partition is refreshed by reading only the bytes
+// appended since the last query. A rewrite (update, compaction) swaps the file and forces
+// a full reload.
+import fs from 'fs/promises';
+import path from 'path';
+import { TableStore } from './table-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CACHED_PARTITIONS = 4;
+
+export class IndexedTable {
+  /**
+   * @param {string} dataDir - Directory holding the table files
+   * @param {string} table - Table name
+   * @param {Object} options
+   * @param {string|null} [options.partitionBy=null] - 'day' to store one file per UTC day
+   * @param {Array<Array<string>>} [options.indexes=[]] - Field lists to index, e.g. [['pair', 'dex']]
+   * @param {number} [options.cachedPartitions=4] - Partitions kept in memory
+   */
+  constructor(dataDir, table, options = {}) {
+    if (options.partitionBy && options.partitionBy !== 'day') {
+      throw new Error(`${table}: unsupported partitionBy '${options.partitionBy}' (only 'day')`);
+    }
+
+    this.dataDir = dataDir;
+    this.table = table;
+    this.partitionBy = options.partitionBy || null;
+    this.indexes = (options.indexes || []).map(fields => ({ name: fields.join('+'), fields }));
+    this.cachedPartitions = options.cachedPartitions || DEFAULT_CACHED_PARTITIONS;
+    this.partitionDir = path.join(dataDir, table);
+    this.stores = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * Create the table, moving single-file data into day partitions if the table is partitioned
+   */
+  async ensure() {
+    if (!this.partitionBy) {
+      await this._partitionStore(null).ensure();
+      return;
+    }
+
+    await fs.mkdir(this.partitionDir, { recursive: true });
+
+    // Data written before partitioning lives in <table>.jsonl (or a legacy <table>.json)
+    const flatStore = new TableStore(this.dataDir, this.table);
+    const hasFlatFile = await exists(flatStore.filePath) || await exists(flatStore.legacyPath);
+    if (!hasFlatFile) {
+      return;
+    }
+
+    await flatStore.ensure();
+    await flatStore.withLock(async () => {
+      const records = await flatStore.readAll();
+      const byPartition = this._groupByPartition(records);
+
+      for (const [partition, partitionRecords] of byPartition) {
+        await this._partitionStore(partition).append(partitionRecords);
+      }
+
+      await fs.rename(flatStore.filePath, `${flatStore.filePath}.bak`);
+      console.log(`📦 ${this.table}: split ${records.length} records into ${byPartition.size} daily partition(s)`);
+    });
+  }
+
+  /**
+   * Append records to the partitions matching their timestamps
+   * @param {Array<Object>} records
+   */
+  async append(records) {
+    for (const [partition, partitionRecords] of this._groupByPartition(records)) {
+      await this._partitionStore(partition).append(partitionRecords);
+    }
+  }
+
+  /**
+   * Query records in insertion order
+   * @param {Object} query
+   * @param {Object} [query.where] - Field equality conditions, served from an index when one matches
+   * @param {Function} [query.filter] - Additional predicate
+   * @param {number} [query.start] - Minimum timestamp (inclusive)
+   * @param {number} [query.end] - Maximum timestamp (inclusive)
+   * @param {number} [query.limit] - Return only the last N matches
+   * @returns {Promise<Array<Object>>}
+   */
+  async query({ where = null, filter = null, start = null, end = null, limit = null } = {}) {
+    const conditions = where ? Object.entries(where) : [];
+    const index = this._chooseIndex(conditions);
+    const partitions = await this._partitionsInRange(start, end);
+    const matches = [];
+
+    // Walk newest partitions first so a limited query stops as soon as it has enough
+    for (const partition of [...partitions].reverse()) {
+      const entry = await this._load(partition);
+      const candidates = index
+        ? entry.indexes.get(index.name).get(indexKey(where, index.fields)) || []
+        : entry.records;
+
+      const partitionMatches = candidates.filter(record =>
+        (start === null || record.timestamp >= start) &&
+        (end === null || record.timestamp <= end) &&
+        conditions.every(([field, value]) => record[field] === value) &&
+        (!filter || filter(record))
+      );
+
+      matches.unshift(...partitionMatches);
+      if (limit && matches.length >= limit) {
+        break;
+      }
+    }
+
+    // Copies, so callers can't modify the cached records behind the indexes
+    return (limit ? matches.slice(-limit) : matches).map(record => ({ ...record }));
+  }
+
+  /**
+   * Count records, optionally within a time range
+   * @param {number} [start]
+   * @param {number} [end]
+   * @returns {Promise<number>}
+   */
+  async count(start = null, end = null) {
+    if (start === null && end === null) {
+      let total = 0;
+      for (const partition of await this._partitionsInRange(null, null)) {
+        total += (await this._load(partition)).records.length;
+      }
+      return total;
+    }
+    return (await this.query({ start, end })).length;
+  }
+
+  /**
+   * Oldest and newest record timestamps, reading only the outermost non-empty partitions
+   * @returns {Promise<{oldest: number|null, newest: number|null}>}
+   */
+  async timeBounds() {
+    const partitions = await this._partitionsInRange(null, null);
+    const bound = async (ordered, pick) => {
+      for (const partition of ordered) {
+        const { records } = await this._load(partition);
+        if (records.length > 0) {
+          // A loop rather than Math.min(...timestamps): a day's partition can outgrow the call stack
+          return records.reduce((picked, record) => pick(picked, record.timestamp), records[0].timestamp);
+        }
+      }
+      return null;
+    };
+
+    return {
+      oldest: await bound(partitions, Math.min),
+      newest: await bound([...partitions].reverse(), Math.max)
+    };
+  }
+
+  /**
+   * Read, transform and atomically rewrite every partition
+   * @param {Function} transform - Receives a partition's records, returns {records, result}
+   * @returns {Promise<number>} Sum of the numeric results
+   */
+  async mutate(transform) {
+    let total = 0;
+    for (const partition of await this._partitionsInRange(null, null)) {
+      total += await this._partitionStore(partition).mutate(transform) || 0;
+      // The rewrite may reuse the inode number the cache remembers, so don't rely on it here
+      this.cache.delete(partition);
+    }
+    return total;
+  }
+
+  /**
+   * Delete records older than a cutoff, dropping whole partitions where possible
+   * @param {number} cutoffTime - Records with timestamp <= cutoffTime are removed
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async deleteOlderThan(cutoffTime) {
+    let deleted = 0;
+
+    for (const partition of await this._partitionsInRange(null, null)) {
+      const store = this._partitionStore(partition);
+      const entry = await this._load(partition);
+
+      if (partition !== null && partitionStart(partition) + DAY_MS <= cutoffTime) {
+        deleted += entry.records.length;
+        await store.remove();
+        this.cache.delete(partition);
+        this.stores.delete(partition);
+        continue;
+      }
+
+      // Skip the rewrite when nothing in the partition has expired
+      if (!entry.records.some(record => record.timestamp <= cutoffTime)) {
+        continue;
+      }
+
+      deleted += await store.mutate(records => {
+        const kept = records.filter(record => record.timestamp > cutoffTime);
+        return { records: kept, result: records.length - kept.length };
+      });
+      this.cache.delete(partition);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Rewrite every partition without unreadable lines
+   * @returns {Promise<number>} Number of records kept
+   */
+  async compact() {
+    return await this.mutate(records => ({ records, result: records.length }));
+  }
+
+  /**
+   * Total size of the table's files in bytes
+   * @returns {Promise<number>}
+   */
+  async size() {
+    let total = 0;
+    for (const partition of await this._partitionsInRange(null, null)) {
+      total += await this._partitionStore(partition).size();
+    }
+    return total;
+  }
+
+  /**
+   * List partitions overlapping a time range, oldest first (null is the single-file partition)
+   * @private
+   */
+  async _partitionsInRange(start, end) {
+    if (!this.partitionBy) {
+      return [null];
+    }
+
+    let files;
+    try {
+      files = await fs.readdir(this.partitionDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+      .map(file => file.slice(0, -'.jsonl'.length))
+      .filter(partition => {
+        const partitionFrom = partitionStart(partition);
+        return (start === null || partitionFrom + DAY_MS > start) &&
+          (end === null || partitionFrom <= end);
+      })
+      .sort();
+  }
+
+  /**
+   * Get a partition's records and indexes, reading only what changed since the last call
+   * @private
+   */
+  async _load(partition) {
+    const store = this._partitionStore(partition);
+    let entry = this.cache.get(partition);
+
+    const { records, nextOffset, ino } = await store.readFrom(entry ? entry.offset : 0);
+
+    // A different inode means the file was rewritten (or removed): start over
+    if (entry && ino !== entry.ino) {
+      this.cache.delete(partition);
+      return await this._load(partition);
+    }
+
+    if (!entry) {
+      entry = { ino, offset: 0, records: [], indexes: new Map(this.indexes.map(index => [index.name, new Map()])) };
+    }
+
+    for (const record of records) {
+      entry.records.push(record);
+      for (const index of this.indexes) {
+        const key = indexKey(record, index.fields);
+        const bucket = entry.indexes.get(index.name);
+        if (!bucket.has(key)) {
+          bucket.set(key, []);
+        }
+        bucket.get(key).push(record);
+      }
+    }
+    entry.offset = nextOffset;
+
+    // Least recently used partitions fall out of memory first
+    this.cache.delete(partition);
+    this.cache.set(partition, entry);
+    while (this.cache.size > this.cachedPartitions) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Pick the index covering the most equality conditions
+   * @private
+   */
+  _chooseIndex(conditions) {
+    const fields = new Set(conditions.map(([field]) => field));
+    let best = null;
+    for (const index of this.indexes) {
+      if (index.fields.every(field => fields.has(field)) && (!best || index.fields.length > best.fields.length)) {
+        best = index;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  _groupByPartition(records) {
+    const groups = new Map();
+    for (const record of records) {
+      const partition = this.partitionBy ? partitionOf(record.timestamp) : null;
+      if (!groups.has(partition)) {
+        groups.set(partition, []);
+      }
+      groups.get(partition).push(record);
+    }
+    return groups;
+  }
+
+  /**
+   * @private
+   */
+  _partitionStore(partition) {
+    if (!this.stores.has(partition)) {
+      if (partition === null) {
+        this.stores.set(partition, new TableStore(this.dataDir, this.table));
+      } else {
+        const store = new TableStore(this.partitionDir, partition);
+        store.table = `${this.table}/${partition}`;
+        this.stores.set(partition, store);
+      }
+    }
+    return this.stores.get(partition);
+  }
+}
+
+/**
+ * UTC day partition name for a timestamp
+ * @private
+ */
+function partitionOf(timestamp) {
+  return new Date(Number.isFinite(timestamp) ? timestamp : Date.now()).toISOString().slice(0, 10);
+}
+
+/**
+ * @private
+ */
+function partitionStart(partition) {
+  return Date.parse(`${partition}T00:00:00.000Z`);
+}
+
+/**
+ * @private
+ */
+function indexKey(values, fields) {
+  return JSON.stringify(fields.map(field => values[field] ?? null));
+}
+
+/**
+ * @private
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export default IndexedTable;
@@ -1,11 +1,49 @@
 // Simple JSON-based database for storing trading data
+//
+// Tables are append-only JSONL files managed by TableStore (see table-store.js), so several
+// bot processes can share one data directory without losing each other's writes. High-volume
+// tables are split into daily partitions with in-memory secondary indexes (see indexed-table.js),
+// so time-range and pair lookups only touch the files and records they need.
 import fs from 'fs/promises';
 import path from 'path';
+import { writeFileAtomic } from './table-store.js';
+import { IndexedTable } from './indexed-table.js';
+import { SCHEMA_VERSION, runMigrations } from './migrations.js';
+
+// Every table the bot reads or writes
+export const DATABASE_TABLES = [
+  'price_history',
+  'trades',
+  'positions',
+  'performance_metrics',
+  'arbitrage_opportunities',
+  'arbitrage_executions',
+  'orders',
+  'monitor_samples'
+];
+
+// Storage layout per table; tables not listed are a single unindexed file
+export const TABLE_OPTIONS = {
+  price_history: { partitionBy: 'day', indexes: [['pair'], ['pair', 'dex']] },
+  monitor_samples: { partitionBy: 'day', indexes: [['pair'], ['pair', 'dex']] },
+  arbitrage_opportunities: { partitionBy: 'day', indexes: [['pair']] }
+};
+
+const SCHEMA_FILE = '_schema.json';
 
 export class JSONDatabase {
-  constructor(dataDir = './data') {
+  /**
+   * @param {string} dataDir - Directory holding the table files
+   * @param {Object} options
+   * @param {boolean} [options.autoMigrate=true] - Apply pending schema migrations in initialize()
+   * @param {Object} [options.tableOptions] - Per-table overrides of TABLE_OPTIONS
+   */
+  constructor(dataDir = './data', options = {}) {
     this.dataDir = dataDir;
+    this.autoMigrate = options.autoMigrate !== false;
+    this.tableOptions = { ...TABLE_OPTIONS, ...options.tableOptions };
     this.initialized = false;
+    this.stores = new Map();
   }
 
   async initialize() {
@@ -13,27 +51,26 @@ export class JSONDatabase {
       // Create data directory if it doesn't exist
       await fs.mkdir(this.dataDir, { recursive: true });
       
-      // Initialize empty files if they don't exist
-      const files = [
-        'price_history.json',
-        'trades.json', 
-        'positions.json',
-        'performance_metrics.json',
-        'arbitrage_opportunities.json',
-        'arbitrage_executions.json'
-      ];
-
-      for (const file of files) {
-        const filePath = path.join(this.dataDir, file);
-        try {
-          await fs.access(filePath);
-        } catch {
-          // File doesn't exist, create it with empty array
-          await fs.writeFile(filePath, JSON.stringify([], null, 2));
-        }
+      // Create table files that don't exist yet (converting pre-JSONL .json files and
+      // splitting single-file tables that are now partitioned)
+      for (const table of DATABASE_TABLES) {
+        await this._store(table).ensure();
       }
 
       this.initialized = true;
+
+      const version = await this.getSchemaVersion();
+      if (version > SCHEMA_VERSION) {
+        this.initialized = false;
+        throw new Error(
+          `Data in ${this.dataDir} uses schema v${version}, but this bot only understands v${SCHEMA_VERSION}. Upgrade the bot.`
+        );
+      }
+      if (version < SCHEMA_VERSION && this.autoMigrate) {
+        console.log(`🔄 Database schema v${version} is outdated, migrating to v${SCHEMA_VERSION}...`);
+        await runMigrations(this);
+      }
+
       console.log('✅ JSON Database initialized');
       return true;
     } catch (error) {
@@ -46,9 +83,6 @@ export class JSONDatabase {
     this._ensureInitialized();
     
     try {
-      const filePath = path.join(this.dataDir, `${table}.json`);
-      const existingData = await this.select(table);
-      
       // Add timestamp if not present
       const record = {
         id: this._generateId(),
@@ -56,9 +90,7 @@ export class JSONDatabase {
         ...data
       };
 
-      existingData.push(record);
-      
-      await fs.writeFile(filePath, JSON.stringify(existingData, null, 2));
+      await this._store(table).append([record]);
       return record;
     } catch (error) {
       console.error(`Error inserting data into ${table}:`, error);
@@ -70,18 +102,13 @@ export class JSONDatabase {
     this._ensureInitialized();
     
     try {
-      const filePath = path.join(this.dataDir, `${table}.json`);
-      const existingData = await this.select(table);
-      
       const records = dataArray.map(data => ({
         id: this._generateId(),
         timestamp: Date.now(),
         ...data
       }));
 
-      existingData.push(...records);
-      
-      await fs.writeFile(filePath, JSON.stringify(existingData, null, 2));
+      await this._store(table).append(records);
       return records;
     } catch (error) {
       console.error(`Error inserting batch data into ${table}:`, error);
@@ -89,25 +116,18 @@ export class JSONDatabase {
     }
   }
 
+  /**
+   * Select records in insertion order
+   * @param {string} table
+   * @param {Function|Object} filter - Predicate, or field values to match (uses an index when one covers them)
+   * @param {number} limit - Return only the last N matches
+   * @returns {Promise<Array<Object>>}
+   */
   async select(table, filter = null, limit = null) {
     this._ensureInitialized();
     
     try {
-      const filePath = path.join(this.dataDir, `${table}.json`);
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      let data = JSON.parse(fileContent);
-
-      // Apply filter if provided
-      if (filter) {
-        data = data.filter(filter);
-      }
-
-      // Apply limit if provided
-      if (limit) {
-        data = data.slice(-limit); // Get last N records
-      }
-
-      return data;
+      return await this._store(table).query({ ...this._toQuery(filter), limit });
     } catch (error) {
       console.error(`Error selecting data from ${table}:`, error);
       return [];
@@ -115,14 +135,38 @@ export class JSONDatabase {
   }
 
   async selectLatest(table, count = 1) {
-    const data = await this.select(table);
-    return data.slice(-count);
+    return await this.select(table, null, count);
   }
 
-  async selectByTimeRange(table, startTime, endTime = Date.now()) {
-    return await this.select(table, record => 
-      record.timestamp >= startTime && record.timestamp <= endTime
-    );
+  /**
+   * Select records with startTime <= timestamp <= endTime, reading only the partitions in range
+   * @param {string} table
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {Function|Object} filter - Same as select()
+   * @returns {Promise<Array<Object>>}
+   */
+  async selectByTimeRange(table, startTime, endTime = Date.now(), filter = null) {
+    this._ensureInitialized();
+
+    try {
+      return await this._store(table).query({ ...this._toQuery(filter), start: startTime, end: endTime });
+    } catch (error) {
+      console.error(`Error selecting data from ${table}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Count records, optionally only those with startTime <= timestamp <= endTime
+   * @param {string} table
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Promise<number>}
+   */
+  async count(table, startTime = null, endTime = null) {
+    this._ensureInitialized();
+    return await this._store(table).count(startTime, endTime);
   }
 
   async deleteOlderThan(table, maxAge = 7 * 24 * 60 * 60 * 1000) { // Default: 7 days
@@ -130,13 +174,9 @@ export class JSONDatabase {
     
     try {
       const cutoffTime = Date.now() - maxAge;
-      const data = await this.select(table);
-      const filteredData = data.filter(record => record.timestamp > cutoffTime);
       
-      const filePath = path.join(this.dataDir, `${table}.json`);
-      await fs.writeFile(filePath, JSON.stringify(filteredData, null, 2));
+      const deletedCount = await this._store(table).deleteOlderThan(cutoffTime);
       
-      const deletedCount = data.length - filteredData.length;
       console.log(`🗑️ Cleaned ${deletedCount} old records from ${table}`);
       
       return deletedCount;
@@ -146,24 +186,34 @@ export class JSONDatabase {
     }
   }
 
+  /**
+   * Update all records matching the filter
+   * @param {string} table
+   * @param {Function|Object} filter - Predicate, or field values selecting the records to update
+   * @param {Object|Function} updateData - Fields to merge, or a function returning them per record
+   * @returns {Promise<number>} Number of updated records
+   */
   async update(table, filter, updateData) {
     this._ensureInitialized();
     
     try {
-      const filePath = path.join(this.dataDir, `${table}.json`);
-      const data = await this.select(table);
-      
-      let updatedCount = 0;
-      const updatedData = data.map(record => {
-        if (filter(record)) {
-          updatedCount++;
-          return { ...record, ...updateData, updated_at: Date.now() };
-        }
-        return record;
-      });
+      const { where, filter: predicate } = this._toQuery(filter);
+      const matches = record =>
+        (!where || Object.entries(where).every(([field, value]) => record[field] === value)) &&
+        (!predicate || predicate(record));
 
-      await fs.writeFile(filePath, JSON.stringify(updatedData, null, 2));
-      return updatedCount;
+      return await this._store(table).mutate(data => {
+        let updatedCount = 0;
+        const updatedData = data.map(record => {
+          if (matches(record)) {
+            updatedCount++;
+            const changes = typeof updateData === 'function' ? updateData(record) : updateData;
+            return { ...record, ...changes, updated_at: Date.now() };
+          }
+          return record;
+        });
+        return { records: updatedData, result: updatedCount };
+      });
     } catch (error) {
       console.error(`Error updating data in ${table}:`, error);
       throw error;
@@ -171,30 +221,33 @@ export class JSONDatabase {
   }
 
   async getTableStats(table) {
-    const data = await this.select(table);
+    const store = this._store(table);
     const now = Date.now();
     const oneDay = 24 * 60 * 60 * 1000;
+    const { oldest, newest } = await store.timeBounds();
 
     return {
-      totalRecords: data.length,
-      todayRecords: data.filter(r => r.timestamp > now - oneDay).length,
-      oldestRecord: data.length > 0 ? new Date(Math.min(...data.map(r => r.timestamp))) : null,
-      newestRecord: data.length > 0 ? new Date(Math.max(...data.map(r => r.timestamp))) : null,
-      fileSizeKB: 0 // Could calculate actual file size if needed
+      totalRecords: await store.count(),
+      todayRecords: await store.count(now - oneDay + 1, now),
+      oldestRecord: oldest !== null ? new Date(oldest) : null,
+      newestRecord: newest !== null ? new Date(newest) : null,
+      fileSizeKB: Math.round(await store.size() / 1024)
     };
   }
 
-  async getAllStats() {
-    const tables = [
-      'price_history',
-      'trades', 
-      'positions',
-      'performance_metrics',
-      'arbitrage_opportunities'
-    ];
+  /**
+   * Rewrite a table's files, dropping lines left unreadable by a crash
+   * @param {string} table
+   * @returns {Promise<number>} Number of records kept
+   */
+  async compact(table) {
+    this._ensureInitialized();
+    return await this._store(table).compact();
+  }
 
+  async getAllStats() {
     const stats = {};
-    for (const table of tables) {
+    for (const table of DATABASE_TABLES) {
       try {
         stats[table] = await this.getTableStats(table);
       } catch (error) {
@@ -205,6 +258,62 @@ export class JSONDatabase {
     return stats;
   }
 
+  /**
+   * Get the schema version of the data directory (0 if never recorded)
+   * @returns {Promise<number>}
+   */
+  async getSchemaVersion() {
+    try {
+      const content = await fs.readFile(path.join(this.dataDir, SCHEMA_FILE), 'utf8');
+      return JSON.parse(content).version || 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Record that the data directory now uses the given schema version
+   * @param {number} version
+   * @param {string} migrationName - Migration that produced this version
+   */
+  async setSchemaVersion(version, migrationName = null) {
+    const filePath = path.join(this.dataDir, SCHEMA_FILE);
+    let schema = { version: 0, history: [] };
+    try {
+      schema = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch {
+      // First version recorded
+    }
+
+    schema.version = version;
+    schema.updatedAt = Date.now();
+    schema.history = [...(schema.history || []), { version, name: migrationName, appliedAt: Date.now() }];
+
+    await writeFileAtomic(filePath, JSON.stringify(schema, null, 2));
+  }
+
+  /**
+   * Get (or create) the storage engine for a table
+   * @private
+   */
+  _store(table) {
+    if (!this.stores.has(table)) {
+      this.stores.set(table, new IndexedTable(this.dataDir, table, this.tableOptions[table]));
+    }
+    return this.stores.get(table);
+  }
+
+  /**
+   * Split a select() filter into equality conditions and a predicate
+   * @private
+   */
+  _toQuery(filter) {
+    if (!filter) {
+      return {};
+    }
+    return typeof filter === 'function' ? { filter } : { where: filter };
+  }
+
   _generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
@@ -0,0 +1,125 @@
+// Versioned schema migrations for the trading database
+//
+// Each migration upgrades stored records by exactly one version. Migrations only use the
+// public database API (select/update/...), so they run against any storage backend.
+import { CONFIG } from "../config/index.js";
+
+/**
+ * Migration list, ordered by version. Append new migrations at the end and never
+ * renumber or edit one that has shipped.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'backfill-price-history-pair',
+    description: "Add the 'ADA/<SYMBOL>' pair label to price_history rows written without one",
+    async up(db) {
+      const symbols = unitSymbols();
+
+      return await db.update(
+        'price_history',
+        record => !record.pair && record.assetA && record.assetB,
+        record => ({
+          pair: `${symbols[record.assetA] || record.assetA}/${symbols[record.assetB] || record.assetB}`
+        })
+      );
+    }
+  },
+  {
+    version: 2,
+    name: 'flatten-price-history-reserves',
+    description: 'Store reserves as flat reserveA/reserveB decimal strings instead of a nested or stringified reserves object',
+    async up(db) {
+      return await db.update(
+        'price_history',
+        record => record.reserves !== undefined ||
+          typeof record.reserveA === 'number' ||
+          typeof record.reserveB === 'number',
+        record => {
+          let reserves = record.reserves;
+
+          // Older builds stored JSON.stringify(priceData.reserves)
+          if (typeof reserves === 'string') {
+            try {
+              reserves = JSON.parse(reserves);
+            } catch {
+              reserves = null;
+            }
+          }
+
+          const reserveA = reserves?.reserveA ?? record.reserveA;
+          const reserveB = reserves?.reserveB ?? record.reserveB;
+
+          return {
+            reserves: undefined,
+            reserveA: reserveA === undefined || reserveA === null ? null : toIntegerString(reserveA),
+            reserveB: reserveB === undefined || reserveB === null ? null : toIntegerString(reserveB)
+          };
+        }
+      );
+    }
+  }
+];
+
+// Schema version the current code expects
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get migrations that still have to run for a given version
+ * @param {number} currentVersion
+ * @returns {Array}
+ */
+export function getPendingMigrations(currentVersion) {
+  return MIGRATIONS.filter(migration => migration.version > currentVersion);
+}
+
+/**
+ * Apply all pending migrations in order, recording the version after each one
+ * @param {Object} db - Initialized database
+ * @returns {Promise<Array<{version: number, name: string, affected: number}>>}
+ */
+export async function runMigrations(db) {
+  const currentVersion = await db.getSchemaVersion();
+  const applied = [];
+
+  for (const migration of getPendingMigrations(currentVersion)) {
+    console.log(`   ⬆️  v${migration.version} ${migration.name}...`);
+
+    try {
+      const affected = await migration.up(db);
+      await db.setSchemaVersion(migration.version, migration.name);
+      applied.push({ version: migration.version, name: migration.name, affected: affected || 0 });
+      console.log(`   ✅ v${migration.version} applied (${affected || 0} records updated)`);
+    } catch (error) {
+      console.error(`   ❌ Migration v${migration.version} ${migration.name} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Map asset units to their configured symbols
+ * @private
+ */
+function unitSymbols() {
+  const symbols = { lovelace: 'ADA' };
+  for (const token of Object.values(CONFIG.SUPPORTED_TOKENS)) {
+    symbols[token.fullUnit] = token.symbol;
+  }
+  return symbols;
+}
+
+/**
+ * Convert a reserve value (number, string or bigint) to an integer string
+ * @private
+ */
+function toIntegerString(value) {
+  try {
+    return BigInt(value).toString();
+  } catch {
+    // Floats and decimal strings ("1234.0") can't go through BigInt directly
+    return BigInt(Math.round(Number(value))).toString();
+  }
+}
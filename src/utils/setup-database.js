@@ -0,0 +1,110 @@
+// Database setup - Creates the data directory, seeds tables and applies schema migrations
+import { CONFIG } from '../config/index.js';
+import { DATABASE_TABLES } from './json-database.js';
+import { createDatabase } from './database.js';
+import { SCHEMA_VERSION, MIGRATIONS, getPendingMigrations, runMigrations } from './migrations.js';
+
+/**
+ * Create the data directory and tables, then bring the schema up to date
+ * @param {string} location - Data directory (json backend) or database file (sqlite backend)
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: Array}>}
+ */
+export async function setupDatabase(location = undefined) {
+  console.log(`🗄️  Setting up ${CONFIG.DATABASE_BACKEND} trading database${location ? ` in ${location}` : ''}...`);
+
+  // Migrations run explicitly below so their progress is reported
+  const database = createDatabase({ location, autoMigrate: false });
+  await database.initialize();
+
+  const fromVersion = await database.getSchemaVersion();
+  const pending = getPendingMigrations(fromVersion);
+
+  if (pending.length === 0) {
+    console.log(`✅ Schema is up to date (v${fromVersion})`);
+  } else {
+    console.log(`🔄 Migrating schema v${fromVersion} → v${SCHEMA_VERSION} (${pending.length} migration(s))`);
+  }
+
+  const applied = await runMigrations(database);
+  const toVersion = await database.getSchemaVersion();
+
+  await printTableSummary(database);
+
+  return { fromVersion, toVersion, applied };
+}
+
+/**
+ * Print schema version and pending migrations without changing anything
+ * @param {string} location - Data directory (json backend) or database file (sqlite backend)
+ */
+export async function showStatus(location = undefined) {
+  const database = createDatabase({ location, autoMigrate: false });
+  await database.initialize();
+
+  const version = await database.getSchemaVersion();
+  const pending = getPendingMigrations(version);
+
+  console.log(`📋 Schema version: v${version} (code expects v${SCHEMA_VERSION})`);
+  console.log("");
+  for (const migration of MIGRATIONS) {
+    const status = migration.version <= version ? '✅' : '⏳';
+    console.log(`  ${status} v${migration.version} ${migration.name} - ${migration.description}`);
+  }
+
+  if (pending.length > 0) {
+    console.log(`\n⚠️ ${pending.length} pending migration(s) - run 'npm run setup-db'`);
+  }
+
+  await printTableSummary(database);
+}
+
+/**
+ * Print record counts per table
+ * @private
+ */
+async function printTableSummary(database) {
+  console.log("\n📊 Tables:");
+  for (const table of DATABASE_TABLES) {
+    const stats = await database.getTableStats(table);
+    console.log(`  ${table.padEnd(26)} ${stats.totalRecords} records`);
+  }
+}
+
+// CLI functionality if run directly
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'setup';
+  const location = args[1];
+
+  try {
+    switch (command) {
+      case 'setup':
+      case 'migrate':
+        await setupDatabase(location);
+        process.exit(0);
+        break;
+
+      case 'status':
+        await showStatus(location);
+        process.exit(0);
+        break;
+
+      default:
+        console.log("Usage:");
+        console.log("  npm run setup-db [setup] [location]  - Create tables and apply migrations");
+        console.log("  npm run setup-db status [location]   - Show schema version and pending migrations");
+        console.log("  (location: data directory for DATABASE_BACKEND=json, database file for sqlite)");
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Database setup failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default setupDatabase;
@@ -0,0 +1,576 @@
+// SQLite-backed trading database with the same interface as JSONDatabase
+//
+// Every table keeps the complete record as JSON in a `data` column, so records round-trip
+// exactly as they do with the JSON backend, and mirrors the fields worth querying into typed,
+// indexed columns. Those columns make long-range analytics practical through raw().
+import fs from 'fs/promises';
+import path from 'path';
+import { DATABASE_TABLES } from './json-database.js';
+import { SCHEMA_VERSION, runMigrations } from './migrations.js';
+
+// Typed columns per table (record field name → SQLite type); everything else stays in `data`
+export const SQLITE_COLUMNS = {
+  price_history: {
+    pair: 'TEXT',
+    dex: 'TEXT',
+    assetA: 'TEXT',
+    assetB: 'TEXT',
+    price: 'REAL',
+    reserveA: 'TEXT',
+    reserveB: 'TEXT'
+  },
+  trades: {
+    pair: 'TEXT',
+    dex: 'TEXT',
+    side: 'TEXT',
+    amountIn: 'TEXT',
+    amountOut: 'TEXT',
+    price: 'REAL',
+    txHash: 'TEXT',
+    status: 'TEXT'
+  },
+  positions: {
+    pair: 'TEXT',
+    dex: 'TEXT',
+    status: 'TEXT',
+    amount: 'TEXT',
+    entryPrice: 'REAL'
+  },
+  performance_metrics: {
+    metric: 'TEXT',
+    value: 'REAL'
+  },
+  arbitrage_opportunities: {
+    pair: 'TEXT',
+    buyDEX: 'TEXT',
+    sellDEX: 'TEXT',
+    buyPrice: 'REAL',
+    sellPrice: 'REAL',
+    netProfitPercent: 'REAL',
+    estimatedProfitADA: 'REAL',
+    amountIn: 'TEXT'
+  },
+  arbitrage_executions: {
+    pair: 'TEXT',
+    buyDEX: 'TEXT',
+    sellDEX: 'TEXT',
+    success: 'INTEGER',
+    message: 'TEXT',
+    executionMode: 'TEXT',
+    expectedProfitADA: 'REAL',
+    actualProfitADA: 'REAL',
+    amountTraded: 'TEXT',
+    executedAt: 'INTEGER'
+  },
+  orders: {
+    dex: 'TEXT',
+    txHash: 'TEXT',
+    status: 'TEXT',
+    assetIn: 'TEXT',
+    assetOut: 'TEXT',
+    amountIn: 'TEXT',
+    submittedAt: 'INTEGER'
+  },
+  monitor_samples: {
+    pair: 'TEXT',
+    dex: 'TEXT',
+    price: 'REAL',
+    reserveA: 'TEXT',
+    reserveB: 'TEXT'
+  }
+};
+
+// Secondary indexes per table, in addition to the timestamp index every table gets
+const SQLITE_INDEXES = {
+  price_history: [['pair', 'dex', 'timestamp']],
+  arbitrage_opportunities: [['pair', 'timestamp']],
+  arbitrage_executions: [['pair', 'timestamp']],
+  trades: [['pair', 'timestamp']],
+  positions: [['status']],
+  orders: [['status'], ['txHash']],
+  monitor_samples: [['pair', 'dex', 'timestamp']]
+};
+
+export class SQLiteDatabase {
+  /**
+   * @param {string} dbPath - SQLite database file
+   * @param {Object} options
+   * @param {boolean} [options.autoMigrate=true] - Apply pending schema migrations in initialize()
+   */
+  constructor(dbPath = './data/trading_bot.db', options = {}) {
+    this.dbPath = dbPath;
+    this.autoMigrate = options.autoMigrate !== false;
+    this.initialized = false;
+    this.db = null;
+    this.statements = new Map();
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+
+      // Loaded on demand so the JSON backend keeps working where the native module isn't built
+      const { default: Database } = await import('better-sqlite3');
+      this.db = new Database(this.dbPath);
+
+      // WAL lets the dashboard and other bot processes read while one process writes
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 10000');
+
+      this._createTables();
+      this.initialized = true;
+
+      const version = await this.getSchemaVersion();
+      if (version > SCHEMA_VERSION) {
+        this.initialized = false;
+        throw new Error(
+          `Data in ${this.dbPath} uses schema v${version}, but this bot only understands v${SCHEMA_VERSION}. Upgrade the bot.`
+        );
+      }
+      if (version < SCHEMA_VERSION && this.autoMigrate) {
+        console.log(`🔄 Database schema v${version} is outdated, migrating to v${SCHEMA_VERSION}...`);
+        await runMigrations(this);
+      }
+
+      console.log('✅ SQLite Database initialized');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize SQLite Database:', error);
+      throw error;
+    }
+  }
+
+  async insert(table, data) {
+    const [record] = await this.insertMany(table, [data]);
+    return record;
+  }
+
+  async insertMany(table, dataArray) {
+    this._ensureInitialized();
+
+    try {
+      const records = dataArray.map(data => ({
+        id: this._generateId(),
+        timestamp: Date.now(),
+        ...data
+      }));
+
+      this._writeRecords(table, records, 'INSERT');
+      return records;
+    } catch (error) {
+      console.error(`Error inserting data into ${table}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert complete records (keeping their id and timestamp), skipping ids already present
+   * @param {string} table
+   * @param {Array<Object>} records
+   * @returns {Promise<number>} Number of records inserted
+   */
+  async importRecords(table, records) {
+    this._ensureInitialized();
+    return this._writeRecords(table, records, 'INSERT OR IGNORE');
+  }
+
+  /**
+   * Select records, oldest first
+   * @param {string} table
+   * @param {Function|Object} filter - Predicate, or field values to match in SQL
+   * @param {number} limit - Return only the last N matches
+   * @returns {Promise<Array<Object>>}
+   */
+  async select(table, filter = null, limit = null) {
+    this._ensureInitialized();
+
+    try {
+      return this._query(table, { filter, limit });
+    } catch (error) {
+      console.error(`Error selecting data from ${table}:`, error);
+      return [];
+    }
+  }
+
+  async selectLatest(table, count = 1) {
+    return await this.select(table, null, count);
+  }
+
+  /**
+   * Select records with startTime <= timestamp <= endTime
+   * @param {string} table
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {Function|Object} filter - Same as select()
+   * @returns {Promise<Array<Object>>}
+   */
+  async selectByTimeRange(table, startTime, endTime = Date.now(), filter = null) {
+    this._ensureInitialized();
+
+    try {
+      return this._query(table, { filter, start: startTime, end: endTime });
+    } catch (error) {
+      console.error(`Error selecting data from ${table}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Count records, optionally only those with startTime <= timestamp <= endTime
+   * @param {string} table
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Promise<number>}
+   */
+  async count(table, startTime = null, endTime = null) {
+    this._ensureInitialized();
+
+    const { clause, params } = this._where(table, { start: startTime, end: endTime });
+    return this._statement(`SELECT COUNT(*) AS n FROM ${this._table(table)}${clause}`).get(...params).n;
+  }
+
+  async deleteOlderThan(table, maxAge = 7 * 24 * 60 * 60 * 1000) { // Default: 7 days
+    this._ensureInitialized();
+
+    try {
+      const cutoffTime = Date.now() - maxAge;
+      const { changes } = this._statement(`DELETE FROM ${this._table(table)} WHERE timestamp <= ?`).run(cutoffTime);
+
+      console.log(`🗑️ Cleaned ${changes} old records from ${table}`);
+
+      return changes;
+    } catch (error) {
+      console.error(`Error cleaning old data from ${table}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update all records matching the filter
+   * @param {string} table
+   * @param {Function|Object} filter - Predicate, or field values selecting the records to update
+   * @param {Object|Function} updateData - Fields to merge, or a function returning them per record
+   * @returns {Promise<number>} Number of updated records
+   */
+  async update(table, filter, updateData) {
+    this._ensureInitialized();
+
+    try {
+      const columns = this._columns(table);
+      const assignments = ['timestamp = ?', 'data = ?', ...columns.map(column => `"${column}" = ?`)].join(', ');
+      const statement = this._statement(`UPDATE ${this._table(table)} SET ${assignments} WHERE id = ?`);
+
+      const matches = this._query(table, { filter });
+
+      this.db.transaction(() => {
+        for (const record of matches) {
+          const changes = typeof updateData === 'function' ? updateData(record) : updateData;
+          const updated = { ...record, ...changes, updated_at: Date.now() };
+          const row = this._toRow(table, updated);
+          statement.run(row.timestamp, row.data, ...row.values, record.id);
+        }
+      })();
+
+      return matches.length;
+    } catch (error) {
+      console.error(`Error updating data in ${table}:`, error);
+      throw error;
+    }
+  }
+
+  async getTableStats(table) {
+    this._ensureInitialized();
+
+    const now = Date.now();
+    const oneDay = 24 * 60 * 60 * 1000;
+    const stats = this._statement(
+      `SELECT COUNT(*) AS total, SUM(timestamp > ?) AS today, MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM ${this._table(table)}`
+    ).get(now - oneDay);
+
+    return {
+      totalRecords: stats.total,
+      todayRecords: stats.today || 0,
+      oldestRecord: stats.oldest !== null ? new Date(stats.oldest) : null,
+      newestRecord: stats.newest !== null ? new Date(stats.newest) : null,
+      fileSizeKB: this._tableSizeKB(table)
+    };
+  }
+
+  /**
+   * Reclaim space left by deleted records (the whole database file is rebuilt)
+   * @param {string} table
+   * @returns {Promise<number>} Number of records in the table
+   */
+  async compact(table) {
+    this._ensureInitialized();
+    this.db.exec('VACUUM');
+    return await this.count(table);
+  }
+
+  async getAllStats() {
+    const stats = {};
+    for (const table of DATABASE_TABLES) {
+      try {
+        stats[table] = await this.getTableStats(table);
+      } catch (error) {
+        stats[table] = { error: error.message };
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Run a read-only SQL query for analytics, e.g.
+   *   raw("SELECT dex, AVG(price) FROM price_history WHERE pair = ? GROUP BY dex", ['ADA/CATSKY'])
+   * @param {string} sql
+   * @param {Array} params
+   * @returns {Array<Object>}
+   */
+  raw(sql, params = []) {
+    this._ensureInitialized();
+
+    const statement = this.db.prepare(sql);
+    if (!statement.reader) {
+      throw new Error('raw() only runs queries that return rows; use the table methods to change data');
+    }
+    return statement.all(...params);
+  }
+
+  /**
+   * Get the schema version of the database (0 if never recorded)
+   * @returns {Promise<number>}
+   */
+  async getSchemaVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  /**
+   * Record that the database now uses the given schema version
+   * @param {number} version
+   * @param {string} migrationName - Migration that produced this version
+   */
+  async setSchemaVersion(version, migrationName = null) {
+    this.db.prepare('INSERT OR REPLACE INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+      .run(version, migrationName, Date.now());
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements.clear();
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    for (const table of DATABASE_TABLES) {
+      const columns = Object.entries(SQLITE_COLUMNS[table])
+        .map(([column, type]) => `"${column}" ${type}`)
+        .join(',\n          ');
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id TEXT PRIMARY KEY,
+          timestamp INTEGER NOT NULL,
+          ${columns},
+          data TEXT NOT NULL
+        )
+      `);
+      this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_timestamp ON ${table} (timestamp)`);
+
+      for (const fields of SQLITE_INDEXES[table] || []) {
+        const name = `idx_${table}_${fields.join('_')}`;
+        this.db.exec(`CREATE INDEX IF NOT EXISTS ${name} ON ${table} (${fields.map(field => `"${field}"`).join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Select records, pushing equality filters, time range and limit into SQL where possible
+   * @private
+   */
+  _query(table, { filter = null, start = null, end = null, limit = null }) {
+    const where = filter && typeof filter !== 'function' ? filter : null;
+    const predicate = typeof filter === 'function' ? filter : null;
+    const { clause, params } = this._where(table, { where, start, end });
+
+    // Newest first, so a limited query can stop as soon as it has enough matches
+    const statement = this._statement(`SELECT data FROM ${this._table(table)}${clause} ORDER BY timestamp DESC, rowid DESC`);
+    const matches = [];
+
+    for (const row of statement.iterate(...params)) {
+      const record = JSON.parse(row.data);
+      if (predicate && !predicate(record)) {
+        continue;
+      }
+      matches.push(record);
+      if (limit && matches.length >= limit) {
+        break;
+      }
+    }
+
+    return matches.reverse();
+  }
+
+  /**
+   * Build a WHERE clause from equality conditions and a time range
+   * @private
+   */
+  _where(table, { where = null, start = null, end = null }) {
+    const columns = new Set(this._columns(table));
+    const conditions = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(where || {})) {
+      const target = columns.has(field) ? `"${field}"` : `json_extract(data, '$.${field.replace(/[^\w]/g, '')}')`;
+      if (value === null || value === undefined) {
+        conditions.push(`${target} IS NULL`);
+      } else {
+        conditions.push(`${target} = ?`);
+        params.push(toSQLValue(value));
+      }
+    }
+
+    if (start !== null) {
+      conditions.push('timestamp >= ?');
+      params.push(start);
+    }
+    if (end !== null) {
+      conditions.push('timestamp <= ?');
+      params.push(end);
+    }
+
+    return { clause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Insert records in one transaction
+   * @private
+   */
+  _writeRecords(table, records, verb) {
+    const columns = this._columns(table);
+    const placeholders = ['?', '?', '?', ...columns.map(() => '?')].join(', ');
+    const statement = this._statement(
+      `${verb} INTO ${this._table(table)} (id, timestamp, data${columns.map(column => `, "${column}"`).join('')}) VALUES (${placeholders})`
+    );
+
+    let inserted = 0;
+    this.db.transaction(() => {
+      for (const record of records) {
+        const row = this._toRow(table, record);
+        inserted += statement.run(row.id, row.timestamp, row.data, ...row.values).changes;
+      }
+    })();
+
+    return inserted;
+  }
+
+  /**
+   * Map a record to its column values
+   * @private
+   */
+  _toRow(table, record) {
+    return {
+      id: String(record.id),
+      timestamp: Number(record.timestamp),
+      data: serialize(record),
+      values: this._columns(table).map(column => toSQLValue(record[column]))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _tableSizeKB(table) {
+    try {
+      // Needs SQLite built with the dbstat virtual table
+      const { bytes } = this.db.prepare('SELECT SUM(pgsize) AS bytes FROM dbstat WHERE name = ?').get(table);
+      return Math.round((bytes || 0) / 1024);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _columns(table) {
+    return Object.keys(SQLITE_COLUMNS[this._table(table)]);
+  }
+
+  /**
+   * Validate a table name before it is interpolated into SQL
+   * @private
+   */
+  _table(table) {
+    if (!SQLITE_COLUMNS[table]) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+    return table;
+  }
+
+  /**
+   * Prepared statements are cached per SQL string
+   * @private
+   */
+  _statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  _generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  _ensureInitialized() {
+    if (!this.initialized) {
+      throw new Error('SQLiteDatabase not initialized. Call initialize() first.');
+    }
+  }
+}
+
+/**
+ * Convert a record field to a value SQLite can bind
+ * @private
+ */
+function toSQLValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'object') {
+    return serialize(value);
+  }
+  return value;
+}
+
+/**
+ * JSON.stringify that stores BigInt values as decimal strings, like the JSONL tables
+ * @private
+ */
+function serialize(record) {
+  return JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+export default SQLiteDatabase;
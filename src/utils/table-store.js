@@ -0,0 +1,393 @@
+// Append-only JSONL table storage with crash-safe compaction and per-table locking
+//
+// Every record is one JSON line. Inserts append to the file, so a write costs O(records written)
+// and a crash can at worst leave one truncated trailing line, which readers skip. Operations that
+// change existing records rewrite the table into a temp file that is renamed over the original,
+// so readers always see either the old or the new file. All writes to a table - from this
+// process or any other bot process sharing the data directory - go through one lock.
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+// In-process write queues keyed by lock file, shared by every TableStore instance
+const processQueues = new Map();
+
+export class TableStore {
+  /**
+   * @param {string} dataDir - Directory holding the table files
+   * @param {string} table - Table name
+   */
+  constructor(dataDir, table) {
+    this.table = table;
+    this.filePath = path.join(dataDir, `${table}.jsonl`);
+    this.legacyPath = path.join(dataDir, `${table}.json`);
+    this.lockPath = path.join(dataDir, `${table}.lock`);
+    this.warnedCorruptLines = false;
+  }
+
+  /**
+   * Create the table file, converting a legacy JSON array file if one exists
+   */
+  async ensure() {
+    await this.withLock(async () => {
+      if (await exists(this.filePath)) {
+        return;
+      }
+
+      let records = [];
+      if (await exists(this.legacyPath)) {
+        try {
+          records = JSON.parse(await fs.readFile(this.legacyPath, 'utf8'));
+        } catch (error) {
+          const corruptPath = `${this.legacyPath}.corrupt-${Date.now()}`;
+          await fs.rename(this.legacyPath, corruptPath);
+          console.warn(`⚠️ ${this.table}: legacy JSON file unreadable (${error.message}), moved to ${corruptPath}`);
+          records = [];
+        }
+      }
+
+      await this._writeAtomic(records);
+
+      if (records.length > 0 || await exists(this.legacyPath)) {
+        await fs.rename(this.legacyPath, `${this.legacyPath}.bak`).catch(() => {});
+        console.log(`📦 ${this.table}: converted ${records.length} records to append-only JSONL`);
+      }
+    });
+  }
+
+  /**
+   * Read every record in the table
+   * @returns {Promise<Array<Object>>}
+   */
+  async readAll() {
+    try {
+      return this._parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the complete lines written after a byte offset
+   * Used to pick up appends incrementally; a trailing line without its newline is left for later.
+   * @param {number} offset - Byte offset to start reading from
+   * @returns {Promise<{records: Array<Object>, nextOffset: number, ino: number|null}>}
+   */
+  async readFrom(offset = 0) {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { records: [], nextOffset: 0, ino: null };
+      }
+      throw error;
+    }
+
+    try {
+      const { size, ino } = await handle.stat();
+      if (size <= offset) {
+        return { records: [], nextOffset: offset, ino };
+      }
+
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(size - offset), 0, size - offset, offset);
+      const lastNewline = buffer.lastIndexOf(0x0a, bytesRead - 1);
+      if (lastNewline === -1) {
+        return { records: [], nextOffset: offset, ino };
+      }
+
+      const records = this._parse(buffer.toString('utf8', 0, lastNewline + 1));
+      return { records, nextOffset: offset + lastNewline + 1, ino };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Append records to the table
+   * @param {Array<Object>} records
+   */
+  async append(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    const lines = records.map(record => serialize(record)).join('\n') + '\n';
+
+    await this.withLock(async () => {
+      // A crash during a previous append can leave a line without its newline;
+      // start on a fresh line so the new records stay readable
+      const prefix = await this._endsWithNewline() ? '' : '\n';
+      await fs.appendFile(this.filePath, prefix + lines);
+    });
+  }
+
+  /**
+   * Read, transform and atomically rewrite the table under the write lock
+   * @param {Function} transform - Receives all records, returns {records, result}
+   * @returns {Promise<*>} The transform's result
+   */
+  async mutate(transform) {
+    return await this.withLock(async () => {
+      const records = await this.readAll();
+      const { records: nextRecords, result } = transform(records);
+      await this._writeAtomic(nextRecords);
+      return result;
+    });
+  }
+
+  /**
+   * Rewrite the table without unreadable lines
+   * @returns {Promise<number>} Number of records kept
+   */
+  async compact() {
+    return await this.mutate(records => ({ records, result: records.length }));
+  }
+
+  /**
+   * Delete the table file
+   */
+  async remove() {
+    await this.withLock(async () => {
+      await fs.unlink(this.filePath).catch(() => {});
+    });
+  }
+
+  /**
+   * Get the size of the table file in bytes
+   * @returns {Promise<number>}
+   */
+  async size() {
+    try {
+      return (await fs.stat(this.filePath)).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Run a function while holding the table's write lock
+   * @param {Function} fn
+   * @returns {Promise<*>}
+   */
+  async withLock(fn) {
+    // Serialize writers inside this process first, then take the cross-process lock file
+    const previous = processQueues.get(this.lockPath) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const queued = previous.then(() => current);
+    processQueues.set(this.lockPath, queued);
+
+    await previous;
+    try {
+      const token = await this._acquireFileLock();
+      try {
+        return await fn();
+      } finally {
+        await this._releaseFileLock(token);
+      }
+    } finally {
+      release();
+      if (processQueues.get(this.lockPath) === queued) {
+        processQueues.delete(this.lockPath);
+      }
+    }
+  }
+
+  /**
+   * Create the lock file exclusively, waiting for other processes and clearing stale locks
+   * @returns {Promise<string>} Token identifying our lock, for _releaseFileLock()
+   * @private
+   */
+  async _acquireFileLock() {
+    const startTime = Date.now();
+    const token = randomUUID();
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(JSON.stringify({ pid: process.pid, token, acquiredAt: Date.now() }));
+        await handle.close();
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._isLockStale()) {
+        console.warn(`⚠️ ${this.table}: removing stale write lock`);
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() - startTime > LOCK_TIMEOUT_MS) {
+        throw new Error(`${this.table}: timed out waiting for write lock ${this.lockPath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  /**
+   * Remove the lock file if it's still ours
+   * A lock judged stale by another process may have been taken over while we held it; that
+   * process's lock must stay.
+   * @private
+   */
+  async _releaseFileLock(token) {
+    try {
+      const owner = JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+      if (owner.token !== token) {
+        console.warn(`⚠️ ${this.table}: write lock was taken over by process ${owner.pid}, leaving it in place`);
+        return;
+      }
+      await fs.unlink(this.lockPath);
+    } catch {
+      // Lock file already gone, or being written by its new owner
+    }
+  }
+
+  /**
+   * A lock is stale when its owner died or it has been held far longer than any write takes
+   * @private
+   */
+  async _isLockStale() {
+    try {
+      const owner = JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+      if (Date.now() - owner.acquiredAt > LOCK_STALE_MS) {
+        return true;
+      }
+      try {
+        process.kill(owner.pid, 0);
+        return false;
+      } catch (error) {
+        return error.code === 'ESRCH';
+      }
+    } catch {
+      // Lock file vanished or is being written - check its age instead
+      try {
+        const stats = await fs.stat(this.lockPath);
+        return Date.now() - stats.mtimeMs > LOCK_STALE_MS;
+      } catch {
+        return false;
+      }
+    }
+  }
+
+  /**
+   * Write all records to a temp file, flush it and rename it over the table file
+   * @private
+   */
+  async _writeAtomic(records) {
+    const content = records.length > 0
+      ? records.map(record => serialize(record)).join('\n') + '\n'
+      : '';
+    await writeFileAtomic(this.filePath, content);
+  }
+
+  /**
+   * @private
+   */
+  async _endsWithNewline() {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true;
+      }
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      if (size === 0) {
+        return true;
+      }
+      const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+      return buffer[0] === 0x0a;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Parse JSONL content, skipping lines a crash left unreadable
+   * @private
+   */
+  _parse(content) {
+    const records = [];
+    let skipped = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0 && !this.warnedCorruptLines) {
+      this.warnedCorruptLines = true;
+      console.warn(`⚠️ ${this.table}: skipped ${skipped} unreadable line(s) - run compaction to clean up`);
+    }
+
+    return records;
+  }
+}
+
+/**
+ * Replace a file atomically: write a temp file, fsync it, then rename it into place
+ * @param {string} filePath
+ * @param {string} content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * JSON.stringify that stores BigInt values (reserves, amounts) as decimal strings
+ * @private
+ */
+function serialize(record) {
+  return JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+/**
+ * @private
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export default TableStore;
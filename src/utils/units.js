@@ -0,0 +1,14 @@
+// Units - ADA amounts and token names shared by the trading modules
+import { CONFIG } from "../config/index.js";
+
+export const LOVELACE_PER_ADA = 1_000_000;
+
+/**
+ * Symbol of a token unit listed in CONFIG.SUPPORTED_TOKENS, else the start of the unit
+ * @param {string} unit - Policy id + hex asset name, with or without a dot between them
+ * @returns {string}
+ */
+export function tokenSymbol(unit) {
+  const token = Object.values(CONFIG.SUPPORTED_TOKENS).find(token => token.fullUnit === unit.replace('.', '').toLowerCase());
+  return token ? token.symbol : unit.slice(0, 12);
+}
@@ -0,0 +1,53 @@
+// Wallet helpers - Lucid wallet loading and balance lookups
+import { Lucid, Blockfrost } from "lucid-cardano";
+import { CONFIG } from "../config/index.js";
+
+// Lucid expects capitalized network names
+const LUCID_NETWORKS = {
+  mainnet: "Mainnet",
+  preprod: "Preprod",
+  preview: "Preview"
+};
+
+/**
+ * Create a Lucid instance with the wallet from CONFIG.MNEMONIC selected
+ * @returns {Promise<{lucid: Lucid, address: string}>}
+ */
+export async function initializeWallet() {
+  if (!CONFIG.BF_PROJECT_ID || !CONFIG.MNEMONIC) {
+    throw new Error("BF_PROJECT_ID and MNEMONIC must be set to load the wallet");
+  }
+
+  const lucid = await Lucid.new(
+    new Blockfrost(
+      `https://cardano-${CONFIG.NETWORK}.blockfrost.io/api/v0`,
+      CONFIG.BF_PROJECT_ID
+    ),
+    LUCID_NETWORKS[CONFIG.NETWORK] || "Mainnet"
+  );
+
+  lucid.selectWalletFromSeed(CONFIG.MNEMONIC.trim());
+  const address = await lucid.wallet.address();
+
+  return { lucid, address };
+}
+
+/**
+ * Sum the wallet UTxOs per asset unit
+ * @param {Lucid} lucid - Lucid instance with a wallet selected
+ * @returns {Promise<Object<string, bigint>>} Balances keyed by unit ("lovelace" for ADA)
+ */
+export async function getWalletBalances(lucid) {
+  const utxos = await lucid.wallet.getUtxos();
+  const balances = {};
+
+  for (const utxo of utxos) {
+    for (const [unit, quantity] of Object.entries(utxo.assets)) {
+      balances[unit] = (balances[unit] || 0n) + BigInt(quantity);
+    }
+  }
+
+  return balances;
+}
+
+export default initializeWallet;